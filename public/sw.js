@@ -0,0 +1,97 @@
+// ============================================================
+// BARUK SERVICE WORKER
+// ============================================================
+// App shell: network first for page loads (so deploys show up straight away),
+// falling back to the cached index.html; hashed build assets are cache first.
+// Supabase responses are never cached here: they belong to whoever is signed in,
+// and a cache keyed by URL would hand them to the next user. The app keeps its
+// own per-user copy of the order list, and the in-app outbox queues writes.
+
+const SHELL_CACHE = "baruk-shell-v1";
+const SHELL_FILES = ["/", "/index.html", "/manifest.json", "/icon-192.png", "/icon-512.png"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Only whole responses: the Cache API rejects a 206 (a ranged request for media).
+// A failed write (quota, say) only costs the cached copy, never the response.
+const store = async (cache, key, response) => {
+  if (response.status !== 200) return;
+  try {
+    await cache.put(key, response);
+  } catch (err) {
+    console.error("[sw] cache.put", err);
+  }
+};
+
+const networkFirst = async (request, fallbackUrl) => {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    await store(cache, fallbackUrl || request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  await store(await caches.open(SHELL_CACHE), request, response.clone());
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, "/index.html"));
+  } else if (url.origin === self.location.origin && url.pathname.startsWith("/assets/")) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// ------------------------------------------------------------
+// Push notifications (sent by the push-dispatch edge function)
+// ------------------------------------------------------------
+self.addEventListener("push", (event) => {
+  const data = event.data?.json() ?? {};
+  event.waitUntil(self.registration.showNotification(data.title || "Baruk", {
+    body:  data.body,
+    tag:   data.tag,
+    icon:  "/icon-192.png",
+    badge: "/icon-192.png",
+    data:  { url: data.url || "/" },
+  }));
+});
+
+// Opens the order the notification is about: reuse an open Baruk tab if there is one.
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || "/", self.location.origin);
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    const open = windows.find(w => new URL(w.url).origin === self.location.origin);
+    if (open) {
+      await open.focus();
+      open.postMessage({ type: "NAVIGATE", url: url.pathname + url.search });
+    } else {
+      await self.clients.openWindow(url.href);
+    }
+  })());
+});
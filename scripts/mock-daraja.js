@@ -0,0 +1,103 @@
+// ============================================================
+// MOCK DARAJA SERVER
+// ============================================================
+// Stands in for Safaricom's Daraja API so the STK Push flow can run offline:
+//
+//   npm run mock:daraja
+//   # supabase/functions/.env: DARAJA_BASE_URL=http://host.docker.internal:8787
+//
+// Each STK push is answered like the real API, then the callback is POSTed to
+// the CallBackURL after MOCK_DARAJA_DELAY_MS. The outcome of the next pushes is
+// MOCK_DARAJA_OUTCOME, or whatever was last set with
+//
+//   curl -X POST localhost:8787/mock/outcome -d '{"outcome":"cancelled"}'
+//
+// Outcomes: success, cancelled, timeout, wrong_amount, insufficient_funds.
+import { createServer } from "node:http";
+import { randomUUID } from "node:crypto";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DELAY_MS = Number(process.env.MOCK_DARAJA_DELAY_MS) || 3000;
+
+const OUTCOMES = {
+  success:            { ResultCode: 0,    ResultDesc: "The service request is processed successfully." },
+  wrong_amount:       { ResultCode: 0,    ResultDesc: "The service request is processed successfully." },
+  cancelled:          { ResultCode: 1032, ResultDesc: "Request cancelled by user" },
+  timeout:            { ResultCode: 1037, ResultDesc: "DS timeout user cannot be reached" },
+  insufficient_funds: { ResultCode: 1,    ResultDesc: "The balance is insufficient for the transaction." },
+};
+
+let outcome = process.env.MOCK_DARAJA_OUTCOME || "success";
+
+const readJson = (req) => new Promise((resolve) => {
+  let raw = "";
+  req.on("data", c => raw += c);
+  req.on("end", () => { try { resolve(JSON.parse(raw || "{}")); } catch { resolve({}); } });
+});
+
+const send = (res, status, body) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+};
+
+const receiptNumber = () => "MOCK" + Math.random().toString(36).slice(2, 8).toUpperCase();
+
+const sendCallback = async (push, ids, result) => {
+  const stkCallback = { ...ids, ...OUTCOMES[result] };
+  if (stkCallback.ResultCode === 0) {
+    stkCallback.CallbackMetadata = {
+      Item: [
+        { Name: "Amount",             Value: result === "wrong_amount" ? Number(push.Amount) - 1 : Number(push.Amount) },
+        { Name: "MpesaReceiptNumber", Value: receiptNumber() },
+        { Name: "TransactionDate",    Value: Number(push.Timestamp) },
+        { Name: "PhoneNumber",        Value: Number(push.PhoneNumber) },
+      ],
+    };
+  }
+  try {
+    const res = await fetch(push.CallBackURL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ Body: { stkCallback } }),
+    });
+    console.log(`[mock-daraja] callback ${ids.CheckoutRequestID} → ${result} (${res.status})`);
+  } catch (err) {
+    console.error(`[mock-daraja] callback to ${push.CallBackURL} failed:`, err.message);
+  }
+};
+
+createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === "GET" && url.pathname === "/oauth/v1/generate") {
+    if (!req.headers.authorization?.startsWith("Basic ")) return send(res, 401, { errorMessage: "Invalid credentials" });
+    return send(res, 200, { access_token: "mock-" + randomUUID(), expires_in: "3599" });
+  }
+
+  if (req.method === "POST" && url.pathname === "/mpesa/stkpush/v1/processrequest") {
+    if (!req.headers.authorization?.startsWith("Bearer ")) return send(res, 401, { errorMessage: "Invalid Access Token" });
+    const push = await readJson(req);
+    if (!push.Amount || !push.PhoneNumber || !push.CallBackURL) {
+      return send(res, 400, { errorCode: "400.002.02", errorMessage: "Bad Request - Invalid request body" });
+    }
+    const ids = { MerchantRequestID: randomUUID(), CheckoutRequestID: "ws_CO_" + Date.now() };
+    const result = outcome;
+    setTimeout(() => sendCallback(push, ids, result), DELAY_MS);
+    console.log(`[mock-daraja] STK push KES ${push.Amount} to ${push.PhoneNumber} (${push.AccountReference}) → ${result} in ${DELAY_MS}ms`);
+    return send(res, 200, {
+      ...ids,
+      ResponseCode: "0",
+      ResponseDescription: "Success. Request accepted for processing",
+      CustomerMessage: "Success. Request accepted for processing",
+    });
+  }
+
+  if (req.method === "POST" && url.pathname === "/mock/outcome") {
+    const body = await readJson(req);
+    if (!OUTCOMES[body.outcome]) return send(res, 400, { error: `Outcome must be one of: ${Object.keys(OUTCOMES).join(", ")}` });
+    outcome = body.outcome;
+    return send(res, 200, { outcome });
+  }
+
+  send(res, 404, { errorMessage: "Not found" });
+}).listen(PORT, () => console.log(`[mock-daraja] listening on :${PORT}, outcome=${outcome}`));
@@ -2,7 +2,22 @@
 // SUPABASE SETUP
 // ============================================================
 import { createClient } from "@supabase/supabase-js";
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { compressImage } from "./imageCompression";
+import { computeLandedCost, BREAKDOWN_LINES } from "./landedCost";
+import { BASE_CURRENCY, CURRENCIES, rateFor, fmtForeign } from "./exchangeRates";
+import { enqueue, replay, subscribe, discard, isOffline, isReplaying } from "./outbox";
+import { navigate, useLocation, matchPath, withQuery } from "./router";
+import { SHIPMENT_MODES, SHIPMENT_STATUSES, SHIPPABLE_STATUSES, ALLOCATION_BASES, allocateFreight } from "./shipments";
+import { downloadFile } from "./csv";
+import { ordersToCsv, ordersToXlsx } from "./orderExport";
+import { IMPORT_KINDS, importTemplate, importOrderCodes, planImport, importedQuoteData } from "./orderImport";
+import { ORDER_CODE_PREFIX, normalizeOrderCode, isValidOrderCode, isAmbiguousOrderCode, looksLikeOrderCode } from "./orderCode";
+import { PUSH_EVENTS, MESSAGE_EVENTS, MESSAGE_CHANNELS, pushSupported, currentSubscription, subscribePush, unsubscribePush } from "./notifications";
+import { PAGE_SIZE, ORDER_TABS, tabFor, countIn, searchQuery } from "./orderQuery";
+import { ORDER_CHILD_TABLES, upsertById, applyOrderChange, applyOpenOrderChange, enteredView, patchedOrder, undoPatch } from "./orderStore";
+import { STATUS_CONFIG, STATUS_STEPS, CUSTOMER_CANCELLABLE, QUOTE_SLA_HOURS, checkTransition, getNextStatuses, quoteHoursLeft } from "./orderStatus";
+import { ROLES, STAFF_ROLES, isStaff, can } from "./roles";
 
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
 const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
@@ -11,7 +26,6 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_ANON_KEY);
 // ============================================================
 // HELPERS
 // ============================================================
-const generateOrderCode = () => "BRK-" + Date.now().toString(36).toUpperCase().slice(-6);
 
 const dbOrderToApp = (o) => ({
   id:              o.id,
@@ -27,6 +41,11 @@ const dbOrderToApp = (o) => ({
   budgetMax:       o.budget_max,
   referenceLinks:  o.reference_links,
   sourceCountry:   o.source_country,
+  weightKg:        o.weight_kg,
+  tariffCategory:  o.tariff_category,
+  quoteCurrency:   o.quote_currency || BASE_CURRENCY,
+  quoteExchangeRate: o.quote_exchange_rate,
+  productCostForeign: o.product_cost_foreign,
   deliveryAddress: o.delivery_address,
   status:          o.status,
   paymentStatus:   o.payment_status,
@@ -37,14 +56,171 @@ const dbOrderToApp = (o) => ({
   totalCost:       o.total_cost,
   balanceDue:      o.balance_due,
   depositPaid:     o.deposit_paid,
+  depositPercent:  o.deposit_percent,
+  amountPaid:      o.amount_paid,
   mpesaCode:       o.mpesa_code,
   estimatedDays:   o.estimated_days,
   trackingNumber:  o.tracking_number,
+  carrier:         o.carrier,
+  carrierSyncedAt: o.carrier_synced_at,
+  shipmentId:      o.shipment_id,
+  assignedTo:      o.assigned_to,
+  assignedName:    o.assigned_name,
+  assignedAt:      o.assigned_at,
   adminNotes:      o.admin_notes,
+  quoteVersion:    o.quote_version,
+  quoteResponse:   o.quote_response,
+  quoteResponseNotes: o.quote_response_notes,
+  counterAmount:   o.counter_amount,
+  cancelStatus:    o.cancel_status,
+  cancelReason:    o.cancel_reason,
+  cancelResponse:  o.cancel_response,
+  items:           (o.order_items || []).map(dbItemToApp).sort((a, b) => a.position - b.position),
+  quotes:          (o.order_quotes || []).map(dbQuoteToApp).sort((a, b) => a.version - b.version),
+  payments:        (o.payments || []).map(dbPaymentToApp).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+  attachments:     (o.order_attachments || []).map(dbAttachmentToApp).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+  deliveries:      (o.notification_deliveries || []).map(dbDeliveryToApp).sort((a, b) => b.createdAt.localeCompare(a.createdAt)),
+  checkpoints:     (o.tracking_checkpoints || []).map(dbCheckpointToApp).sort((a, b) => b.occurredAt.localeCompare(a.occurredAt)),
+  refunds:         (o.refunds || []).map(dbRefundToApp).sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
   createdAt:       o.created_at,
   updatedAt:       o.updated_at,
 });
 
+const dbItemToApp = (i) => ({
+  id:             i.id,
+  position:       i.position,
+  name:           i.name,
+  description:    i.description,
+  quantity:       i.quantity,
+  budgetMin:      i.budget_min,
+  budgetMax:      i.budget_max,
+  referenceLinks: i.reference_links,
+  unitCost:       i.unit_cost,
+});
+
+const dbQuoteToApp = (q) => ({
+  id:            q.id,
+  version:       q.version,
+  productCost:   q.product_cost,
+  shippingCost:  q.shipping_cost,
+  customsDuty:   q.customs_duty,
+  serviceFee:    q.service_fee,
+  totalCost:     q.total_cost,
+  estimatedDays: q.estimated_days,
+  depositPercent: q.deposit_percent,
+  breakdown:     q.breakdown,
+  currency:      q.currency || BASE_CURRENCY,
+  exchangeRate:  q.exchange_rate,
+  productCostForeign: q.product_cost_foreign,
+  notes:         q.notes,
+  createdBy:     q.created_by,
+  createdAt:     q.created_at,
+});
+
+const dbPaymentToApp = (p) => ({
+  id:           p.id,
+  phone:        p.phone,
+  amount:       p.amount,
+  kind:         p.kind,
+  status:       p.status,
+  mpesaReceipt: p.mpesa_receipt,
+  amountReceived: p.amount_received,
+  resultDesc:   p.result_desc,
+  createdAt:    p.created_at,
+});
+
+const dbRefundToApp = (r) => ({
+  id:               r.id,
+  amount:           r.amount,
+  reason:           r.reason,
+  status:           r.status,
+  mpesaReversalRef: r.mpesa_reversal_ref,
+  createdAt:        r.created_at,
+  closedAt:         r.closed_at,
+});
+
+const dbAttachmentToApp = (a) => ({
+  id:           a.id,
+  path:         a.path,
+  fileName:     a.file_name,
+  mimeType:     a.mime_type,
+  sizeBytes:    a.size_bytes,
+  internal:     a.internal,
+  uploaderRole: a.uploader_role,
+  createdAt:    a.created_at,
+});
+
+const dbDeliveryToApp = (d) => ({
+  id:        d.id,
+  event:     d.event,
+  channel:   d.channel,
+  provider:  d.provider,
+  recipient: d.recipient,
+  message:   d.message,
+  status:    d.status,
+  error:     d.error,
+  createdAt: d.created_at,
+});
+
+const dbCheckpointToApp = (c) => ({
+  id:          c.id,
+  carrier:     c.carrier,
+  stage:       c.stage,
+  description: c.description,
+  location:    c.location,
+  occurredAt:  c.occurred_at,
+});
+
+const dbCountryToApp = (c) => ({
+  code:              c.code,
+  name:              c.name,
+  shippingRatePerKg: c.shipping_rate_per_kg,
+  transitDays:       c.transit_days,
+  serviceFeePercent: c.service_fee_percent,
+  active:            c.active,
+  position:          c.position,
+});
+
+const dbTariffToApp = (t) => ({
+  code:              t.code,
+  name:              t.name,
+  importDutyPercent: t.import_duty_percent,
+  excisePercent:     t.excise_percent,
+  vatPercent:        t.vat_percent,
+  active:            t.active,
+  position:          t.position,
+});
+
+const dbCustomsToApp = (s) => ({
+  idfPercent:        s.idf_percent,
+  rdlPercent:        s.rdl_percent,
+  insurancePercent:  s.insurance_percent,
+  volumetricKgPerM3: s.volumetric_kg_per_m3,
+});
+
+const dbExchangeRateToApp = (r) => ({
+  id:            r.id,
+  currency:      r.currency,
+  kesPerUnit:    r.kes_per_unit,
+  effectiveFrom: r.effective_from,
+  createdBy:     r.created_by,
+});
+
+const dbShipmentToApp = (s) => ({
+  id:              s.id,
+  reference:       s.reference,
+  mode:            s.mode,
+  carrier:         s.carrier,
+  trackingNumber:  s.tracking_number,
+  status:          s.status,
+  departedOn:      s.departed_on,
+  arrivedOn:       s.arrived_on,
+  freightCost:     s.freight_cost,
+  allocationBasis: s.allocation_basis,
+  notes:           s.notes,
+  createdAt:       s.created_at,
+});
+
 const dbLogToApp = (l) => ({
   id:        l.id,
   orderId:   l.order_id,
@@ -55,19 +231,26 @@ const dbLogToApp = (l) => ({
   createdAt: l.created_at,
 });
 
-const STATUS_CONFIG = {
-  pending:         { label: "Pending",          color: "#F59E0B", bg: "#FFFBEB", step: 0 },
-  quoted:          { label: "Quote Sent",        color: "#3B82F6", bg: "#EFF6FF", step: 1 },
-  approved:        { label: "Approved",          color: "#8B5CF6", bg: "#F5F3FF", step: 2 },
-  sourcing:        { label: "Sourcing",          color: "#EC4899", bg: "#FDF2F8", step: 3 },
-  shipped:         { label: "Shipped",           color: "#06B6D4", bg: "#ECFEFF", step: 4 },
-  customs:         { label: "In Customs",        color: "#F97316", bg: "#FFF7ED", step: 5 },
-  out_for_delivery:{ label: "Out for Delivery",  color: "#10B981", bg: "#ECFDF5", step: 6 },
-  delivered:       { label: "Delivered",         color: "#16A34A", bg: "#F0FDF4", step: 7 },
-  cancelled:       { label: "Cancelled",         color: "#6B7280", bg: "#F9FAFB", step: -1 },
+// The deposit is rounded up to whole shillings, as M-Pesa only takes whole amounts.
+const depositAmount = (order) => Math.ceil((order.totalCost || 0) * (order.depositPercent ?? 100) / 100);
+
+// The payment the customer owes next, if any: the deposit once the quote is
+// approved, then the balance before the order goes out for delivery.
+const paymentDue = (order) => {
+  if (order.status === "approved" && order.paymentStatus === "unpaid")
+    return { kind: "deposit", amount: depositAmount(order) };
+  if (["sourcing","shipped","customs"].includes(order.status) && order.paymentStatus === "partially_paid")
+    return { kind: "balance", amount: order.balanceDue };
+  return null;
 };
 
-const STATUS_STEPS = ["pending","quoted","approved","sourcing","shipped","customs","out_for_delivery","delivered"];
+const ATTACHMENTS_BUCKET = "order-attachments";
+
+// Orders keep a one-line summary of their items for lists and search.
+const itemsSummary = (items) => items.length > 1 ? `${items[0].name} + ${items.length - 1} more` : items[0]?.name || "";
+const quantityLabel = (order) => order.items.length > 1 ? `${order.items.length} items` : `Qty ${order.quantity}`;
+
+const refundedAmount = (order) => order.refunds.reduce((s, r) => s + (Number(r.amount) || 0), 0);
 
 const fmt = (n) => n ? `KES ${Number(n).toLocaleString()}` : "—";
 const fmtDate = (d) => d ? new Date(d).toLocaleDateString("en-KE", { day:"numeric", month:"short", year:"numeric" }) : "—";
@@ -85,12 +268,28 @@ const Badge = ({ status }) => {
   );
 };
 
-const Card = ({ children, style = {} }) => (
-  <div style={{ background: "#fff", borderRadius: 16, border: "1px solid #F0F0F0", boxShadow: "0 1px 6px rgba(0,0,0,0.05)", ...style }}>
+const Card = ({ children, style = {}, ...props }) => (
+  <div {...props} style={{ background: "#fff", borderRadius: 16, border: "1px solid #F0F0F0", boxShadow: "0 1px 6px rgba(0,0,0,0.05)", ...style }}>
     {children}
   </div>
 );
 
+const SyncChip = () => (
+  <span style={{ fontSize: 10, fontWeight: 700, color: "#B45309", background: "#FFFBEB", border: "1px solid #FDE68A", padding: "2px 8px", borderRadius: 20, whiteSpace: "nowrap" }}>⏳ Pending sync</span>
+);
+
+// How long is left to quote a pending order (QUOTE_SLA_HOURS), for staff; nothing for other statuses.
+const SlaChip = ({ order }) => {
+  const left = quoteHoursLeft(order);
+  if (left === null) return null;
+  const [color, bg, border] = left < 0 ? ["#B91C1C", "#FEF2F2", "#FECACA"] : left < 6 ? ["#B45309", "#FFFBEB", "#FDE68A"] : ["#6B7280", "#F9FAFB", "#E5E7EB"];
+  return (
+    <span style={{ fontSize: 10, fontWeight: 700, color, background: bg, border: `1px solid ${border}`, padding: "2px 8px", borderRadius: 20, whiteSpace: "nowrap" }}>
+      ⏱ {left < 0 ? `Quote ${Math.ceil(-left)}h overdue` : `${Math.ceil(left)}h to quote`}
+    </span>
+  );
+};
+
 const Btn = ({ label, onClick, variant = "primary", small, disabled, style = {} }) => {
   const styles = {
     primary:   { background: "#DC2626", color: "#fff", border: "none" },
@@ -136,6 +335,24 @@ const Select = ({ label, value, onChange, options }) => (
   </div>
 );
 
+// Failures that surface after their form has closed, such as a change the server
+// refused and that was undone on screen. A toast may offer one action, e.g. Retry.
+const Toasts = ({ toasts, onDismiss }) => (
+  <div style={{ position: "fixed", left: 0, right: 0, bottom: 16, zIndex: 1000, display: "flex", flexDirection: "column", alignItems: "center", gap: 8, padding: "0 16px", pointerEvents: "none" }}>
+    {toasts.map(t => (
+      <div key={t.id} role="alert"
+        style={{ display: "flex", alignItems: "center", gap: 12, width: "100%", maxWidth: 480, background: "#111827", color: "#F9FAFB", borderRadius: 12, padding: "10px 14px", fontSize: 13, boxShadow: "0 4px 16px rgba(0,0,0,0.2)", pointerEvents: "auto" }}>
+        <span style={{ flex: 1 }}>⚠️ {t.message}</span>
+        {t.action && (
+          <button onClick={() => { onDismiss(t.id); t.action.run(); }}
+            style={{ fontSize: 12, fontWeight: 700, color: "#FCA5A5", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit", padding: 0 }}>{t.action.label}</button>
+        )}
+        <button onClick={() => onDismiss(t.id)} title="Dismiss" style={{ fontSize: 13, color: "#9CA3AF", background: "none", border: "none", cursor: "pointer", padding: 0 }}>✕</button>
+      </div>
+    ))}
+  </div>
+);
+
 // ============================================================
 // TIMELINE / LOG
 // ============================================================
@@ -147,9 +364,41 @@ const LOG_ICONS = {
   STATUS_UPDATED:     "🔄",
   TRACKING_ADDED:     "🚢",
   NOTE_ADDED:         "📝",
+  QUOTE_DECLINED:     "🚫",
+  QUOTE_COUNTERED:    "🤝",
+  QUOTE_QUESTION:     "❓",
+  QUOTE_REVISED:      "✏️",
+  PAYMENT_REQUESTED:  "📲",
+  PAYMENT_FAILED:     "⚠️",
+  BALANCE_PAID:       "💰",
+  CANCEL_REQUESTED:   "🛑",
+  CANCEL_APPROVED:    "❌",
+  CANCEL_REFUSED:     "↩️",
+  REFUND_CREATED:     "💸",
+  REFUND_UPDATED:     "🔁",
+  REFUND_CLOSED:      "🏁",
+  ATTACHMENT_ADDED:   "📎",
+  FREIGHT_ALLOCATED:  "⚖️",
+  SHIPMENT_UPDATED:   "📦",
+  ORDER_ASSIGNED:     "👤",
+};
+
+const PAYMENT_MESSAGES = {
+  pending:         "📲 Check your phone and enter your M-Pesa PIN to complete payment.",
+  cancelled:       "The M-Pesa request was cancelled on your phone.",
+  timeout:         "The M-Pesa request timed out before the PIN was entered.",
+  amount_mismatch: "We received a different amount than expected. Our team will contact you.",
+  failed:          "The M-Pesa payment did not go through.",
+  refund_due:      "Your payment arrived after the order was cancelled. We'll refund it.",
 };
 
-const Timeline = ({ logs, orderId }) => {
+const QUOTE_RESPONSES = {
+  declined:  { label: "Declined",       event: "QUOTE_DECLINED",  prompt: "Why are you declining?" },
+  countered: { label: "Counter offer",  event: "QUOTE_COUNTERED", prompt: "Anything to add to your offer?" },
+  question:  { label: "Question",       event: "QUOTE_QUESTION",  prompt: "What would you like to know?" },
+};
+
+const Timeline = ({ logs, orderId, showActors = true }) => {
   const orderLogs = logs.filter(l => l.orderId === orderId);
   if (!orderLogs.length) return <div style={{ fontSize: 13, color: "#9CA3AF", textAlign: "center", padding: "20px 0" }}>No activity yet</div>;
   return (
@@ -165,7 +414,7 @@ const Timeline = ({ logs, orderId }) => {
           <div style={{ paddingBottom: 16, flex: 1 }}>
             <div style={{ fontSize: 13, fontWeight: 700, color: "#111827" }}>{log.event.replace(/_/g, " ")}</div>
             {log.notes && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>{log.notes}</div>}
-            <div style={{ fontSize: 11, color: "#9CA3AF", marginTop: 3 }}>{fmtTime(log.createdAt)} · {log.actorName}</div>
+            <div style={{ fontSize: 11, color: "#9CA3AF", marginTop: 3 }}>{fmtTime(log.createdAt)}{showActors && ` · ${log.actorName}`}</div>
           </div>
         </div>
       ))}
@@ -173,6 +422,105 @@ const Timeline = ({ logs, orderId }) => {
   );
 };
 
+const DELIVERY_COLORS = { sending: "#9CA3AF", sent: "#16A34A", failed: "#DC2626" };
+
+// SMS / WhatsApp messages sent for an order (admins only; see notify-dispatch).
+const DeliveryLog = ({ deliveries }) => (
+  <div style={{ borderTop: "1px solid #F3F4F6", marginTop: 8, paddingTop: 14 }}>
+    <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 10, textTransform: "uppercase" }}>Messages to customer</div>
+    {deliveries.length === 0 && <div style={{ fontSize: 13, color: "#9CA3AF" }}>No SMS or WhatsApp messages sent yet</div>}
+    {deliveries.map(d => (
+      <div key={d.id} style={{ marginBottom: 12 }}>
+        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 11, color: "#9CA3AF", marginBottom: 3 }}>
+          <span>{d.channel === "whatsapp" ? "WhatsApp" : "SMS"} · {d.recipient} · {fmtTime(d.createdAt)}</span>
+          <span style={{ fontWeight: 700, color: DELIVERY_COLORS[d.status], textTransform: "uppercase" }}>{d.status}</span>
+        </div>
+        <div style={{ fontSize: 13, color: "#374151", background: "#F9FAFB", borderRadius: 10, padding: "8px 12px" }}>{d.message}</div>
+        {d.error && <div style={{ fontSize: 11, color: "#DC2626", marginTop: 3 }}>{d.error} ({d.provider})</div>}
+      </div>
+    ))}
+  </div>
+);
+
+// Carrier names as stored by carrier-sync (supabase/functions/_shared/carriers.ts).
+const CARRIER_LABELS = { dhl: "DHL Express", "sf-express": "SF Express", aramex: "Aramex", "sea-freight": "Sea freight" };
+
+// Checkpoints reported by the carrier, newest first.
+const CheckpointList = ({ order }) => (
+  <div style={{ background: "#F9FAFB", borderRadius: 12, padding: "12px 14px", marginBottom: 16 }}>
+    <div style={{ display: "flex", justifyContent: "space-between", fontSize: 10, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 8 }}>
+      <span>🚢 {CARRIER_LABELS[order.carrier] || order.carrier} tracking</span>
+      {order.carrierSyncedAt && <span>Checked {fmtTime(order.carrierSyncedAt)}</span>}
+    </div>
+    {order.checkpoints.map((c, i) => (
+      <div key={c.id} style={{ fontSize: 12, marginBottom: 6, color: i === 0 ? "#111827" : "#6B7280" }}>
+        <div style={{ fontWeight: i === 0 ? 700 : 500, color: c.stage === "exception" ? "#DC2626" : undefined }}>{c.description}</div>
+        <div style={{ fontSize: 11, color: "#9CA3AF" }}>{[c.location, fmtTime(c.occurredAt)].filter(Boolean).join(" · ")}</div>
+      </div>
+    ))}
+  </div>
+);
+
+// ============================================================
+// ATTACHMENTS
+// ============================================================
+const AttachmentGallery = ({ attachments, onUpload, staff }) => {
+  const [urls, setUrls] = useState({});
+  const [internal, setInternal] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const paths = attachments.map(a => a.path).join(",");
+
+  // The bucket is private, so every file is shown through a short-lived signed URL.
+  useEffect(() => {
+    if (!paths) return;
+    supabase.storage.from(ATTACHMENTS_BUCKET).createSignedUrls(paths.split(","), 3600).then(({ data, error }) => {
+      if (error) { console.error("[AttachmentGallery]", error); return; }
+      setUrls(Object.fromEntries(data.map(d => [d.path, d.signedUrl])));
+    });
+  }, [paths]);
+
+  const handleFiles = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = "";
+    if (!files.length) return;
+    setUploading(true);
+    await onUpload(files, { internal });
+    setUploading(false);
+  };
+
+  return (
+    <div style={{ marginBottom: 16 }}>
+      <div style={{ fontSize: 10, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 6 }}>Photos & Documents ({attachments.length})</div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(88px, 1fr))", gap: 8, marginBottom: 10 }}>
+        {attachments.map(a => (
+          <a key={a.id} href={urls[a.path]} target="_blank" rel="noreferrer" title={a.fileName}
+            style={{ position: "relative", aspectRatio: "1", borderRadius: 10, overflow: "hidden", background: "#F3F4F6", border: a.internal ? "2px solid #F59E0B" : "1px solid #E5E7EB", display: "flex", alignItems: "center", justifyContent: "center", textDecoration: "none" }}>
+            {a.mimeType?.startsWith("image/") && urls[a.path]
+              ? <img src={urls[a.path]} alt={a.fileName} loading="lazy" style={{ width: "100%", height: "100%", objectFit: "cover" }} />
+              : <div style={{ textAlign: "center", padding: 6 }}>
+                  <div style={{ fontSize: 22 }}>📄</div>
+                  <div style={{ fontSize: 9, color: "#6B7280", wordBreak: "break-all", maxHeight: 24, overflow: "hidden" }}>{a.fileName}</div>
+                </div>}
+            {a.internal && <span style={{ position: "absolute", top: 4, left: 4, fontSize: 8, fontWeight: 800, color: "#fff", background: "#F59E0B", borderRadius: 4, padding: "1px 4px", textTransform: "uppercase" }}>Internal</span>}
+          </a>
+        ))}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <label style={{ fontSize: 12, fontWeight: 700, color: "#DC2626", border: "1.5px solid #DC2626", borderRadius: 10, padding: "6px 14px", cursor: uploading ? "not-allowed" : "pointer", opacity: uploading ? 0.5 : 1 }}>
+          {uploading ? "Uploading…" : "+ Add photos or files"}
+          <input type="file" multiple accept="image/*,application/pdf" onChange={handleFiles} disabled={uploading} style={{ display: "none" }} />
+        </label>
+        {staff && (
+          <label style={{ fontSize: 12, color: "#6B7280", display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+            <input type="checkbox" checked={internal} onChange={e => setInternal(e.target.checked)} />
+            Internal (hidden from customer)
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
 // ============================================================
 // ORDER PROGRESS BAR
 // ============================================================
@@ -197,37 +545,156 @@ const ProgressBar = ({ status }) => {
 // ============================================================
 // ORDER DETAIL MODAL (shared)
 // ============================================================
-const OrderDetail = ({ order, logs, onClose, isAdmin, onSendQuote, onUpdateStatus, onAddNote, onAddTracking, onApproveQuote, onUpdatePayment }) => {
+const OrderDetail = ({ order, logs, onClose, role, onSendQuote, onUpdateStatus, onAddNote, onAddTracking, onSyncTracking, shipment, onApproveQuote, onRespondToQuote, onRequestPayment, onRequestCancellation, onDecideCancellation, onCreateRefund, onUpdateRefund, onConfirmPayment, onUploadAttachments, team = [], onAssignOrder, countries = [], tariffs = [], customs = null, exchangeRates = [], syncing }) => {
+  const staff = isStaff(role);
   const [tab, setTab] = useState("details");
+  const isRevision = order.status === "quoted";
+  const presetFor = (name) => countries.find(c => c.name === name);
   const [quoteForm, setQuoteForm] = useState({
-    productCost: "", shippingCost: "", customsDuty: "", serviceFee: "",
-    estimatedDays: "", adminNotes: "",
+    sourceCountry: order.sourceCountry || "",
+    weightKg:      order.weightKg != null ? String(order.weightKg) : "",
+    shippingCost:  isRevision ? String(order.shippingCost || "") : "",
+    customsDuty:   isRevision ? String(order.customsDuty || "") : "",
+    serviceFee:    isRevision ? String(order.serviceFee || "") : "",
+    estimatedDays: isRevision ? String(order.estimatedDays || "") : String(presetFor(order.sourceCountry)?.transitDays || ""),
+    depositPercent: isRevision ? String(order.depositPercent ?? 100) : "50",
+    adminNotes: "",
+  });
+  const [itemCosts, setItemCosts] = useState(() =>
+    Object.fromEntries(order.items.map(i => [i.id, isRevision && i.unitCost != null ? String(i.unitCost) : ""])));
+  const [calc, setCalc] = useState({
+    open: false, currency: "USD", exchangeRate: String(rateFor(exchangeRates, "USD")?.kesPerUnit || ""), volumeM3: "",
+    tariffCategory: order.tariffCategory || "GEN",
+    unitPrices: Object.fromEntries(order.items.map(i => [i.id, ""])),
   });
+  const [breakdown, setBreakdown] = useState(null);
+  const [unitPricesForeign, setUnitPricesForeign] = useState({});
+  const [responseType, setResponseType] = useState(null);
+  const [responseForm, setResponseForm] = useState({ notes: "", amount: "" });
   const [noteText, setNoteText] = useState(order.adminNotes || "");
   const [trackingText, setTrackingText] = useState(order.trackingNumber || "");
-  const [mpesaCode, setMpesaCode] = useState("");
-  const [newStatus, setNewStatus] = useState(order.status);
+  const [paymentError, setPaymentError] = useState("");
+  const [cancelText, setCancelText] = useState("");
+  const [showCancel, setShowCancel] = useState(false);
+  const [refundForm, setRefundForm] = useState({ amount: "", reason: "" });
+  const [refundRefs, setRefundRefs] = useState({});
+  const nextStatuses = staff ? getNextStatuses(order, role) : [];
+  const allowedStatuses = nextStatuses.filter(n => !n.blockedBy);
+  const blockedStatuses = nextStatuses.filter(n => n.blockedBy);
+  const [newStatus, setNewStatus] = useState(allowedStatuses[0]?.status || "");
+  const [statusError, setStatusError] = useState("");
+  const [trackingError, setTrackingError] = useState("");
+  const [trackingSyncing, setTrackingSyncing] = useState(false);
   const [loading, setLoading] = useState(false);
 
-  const totalCost = ["productCost","shippingCost","customsDuty","serviceFee"]
+  const currentBreakdown = order.quotes.find(q => q.version === order.quoteVersion)?.breakdown;
+  const productCost = order.items.reduce((s, i) => s + (parseFloat(itemCosts[i.id]) || 0) * i.quantity, 0);
+  const totalCost = productCost + ["shippingCost","customsDuty","serviceFee"]
     .reduce((s, k) => s + (parseFloat(quoteForm[k]) || 0), 0);
 
+  const tariff = tariffs.find(t => t.code === calc.tariffCategory);
+  const landed = calc.open && tariff && customs ? computeLandedCost({
+    items:             order.items.map(i => ({ quantity: i.quantity, unitPrice: calc.unitPrices[i.id] })),
+    exchangeRate:      calc.exchangeRate,
+    weightKg:          quoteForm.weightKg,
+    volumeM3:          calc.volumeM3,
+    shippingRatePerKg: presetFor(quoteForm.sourceCountry)?.shippingRatePerKg,
+    marginPercent:     presetFor(quoteForm.sourceCountry)?.serviceFeePercent,
+    tariff,
+    settings:          customs,
+  }) : null;
+
+  // Copies the calculator result into the quote fields; the breakdown is saved with the quote.
+  const applyLandedCost = () => {
+    const rate = parseFloat(calc.exchangeRate) || 0;
+    setItemCosts(Object.fromEntries(order.items.map(i => [i.id, String(Math.round((parseFloat(calc.unitPrices[i.id]) || 0) * rate))])));
+    setUnitPricesForeign(Object.fromEntries(order.items.map(i => [i.id, parseFloat(calc.unitPrices[i.id]) || 0])));
+    setQuoteForm(f => ({
+      ...f,
+      shippingCost: String(landed.shippingCost),
+      customsDuty:  String(landed.customsDuty),
+      serviceFee:   String(landed.serviceFee),
+    }));
+    setBreakdown({ ...landed, currency: calc.currency, tariffCategory: calc.tariffCategory, sourceCountry: quoteForm.sourceCountry });
+  };
+
+  // Country presets fill in shipping (rate × weight), transit days and the service fee; all stay editable.
+  const applyPresets = (patch = {}) => setQuoteForm(f => {
+    const next = { ...f, ...patch };
+    const preset = presetFor(next.sourceCountry);
+    if (!preset) return next;
+    const kg = parseFloat(next.weightKg);
+    return {
+      ...next,
+      shippingCost:  kg ? String(Math.round(kg * preset.shippingRatePerKg)) : next.shippingCost,
+      estimatedDays: preset.transitDays ? String(preset.transitDays) : next.estimatedDays,
+      serviceFee:    productCost ? String(Math.round(productCost * preset.serviceFeePercent / 100)) : next.serviceFee,
+    };
+  });
+
   const handleSendQuote = async () => {
     setLoading(true);
     await onSendQuote(order.id, {
-      productCost:   parseFloat(quoteForm.productCost) || 0,
+      productCost,
+      itemCosts:     order.items.map(i => ({ itemId: i.id, unitCost: parseFloat(itemCosts[i.id]) || 0, unitPriceForeign: breakdown ? unitPricesForeign[i.id] : null })),
       shippingCost:  parseFloat(quoteForm.shippingCost) || 0,
       customsDuty:   parseFloat(quoteForm.customsDuty) || 0,
       serviceFee:    parseFloat(quoteForm.serviceFee) || 0,
       totalCost,
       balanceDue:    totalCost,
+      depositPercent: Math.min(100, Math.max(1, parseFloat(quoteForm.depositPercent) || 100)),
       estimatedDays: quoteForm.estimatedDays,
+      sourceCountry: quoteForm.sourceCountry,
+      weightKg:      parseFloat(quoteForm.weightKg) || null,
+      tariffCategory: breakdown?.tariffCategory || order.tariffCategory || null,
+      breakdown,
+      currency:      breakdown?.currency || BASE_CURRENCY,
+      exchangeRate:  breakdown?.exchangeRate || 1,
+      productCostForeign: breakdown ? breakdown.goodsForeign : productCost,
       adminNotes:    quoteForm.adminNotes,
     });
     setLoading(false);
     onClose();
   };
 
+  const handleRespond = async () => {
+    setLoading(true);
+    await onRespondToQuote(order.id, responseType, {
+      notes:  responseForm.notes.trim(),
+      amount: responseType === "countered" ? parseFloat(responseForm.amount) || 0 : null,
+    });
+    setLoading(false);
+    onClose();
+  };
+  const due = paymentDue(order);
+  const latestPayment = due && order.payments.filter(p => p.kind === due.kind).pop();
+  const paymentPending = latestPayment?.status === "pending";
+  const handlePay = async () => {
+    setPaymentError(""); setLoading(true);
+    const err = await onRequestPayment(order.id);
+    setLoading(false);
+    if (err) setPaymentError(err);
+  };
+
+  const canRequestCancel = CUSTOMER_CANCELLABLE.includes(order.status) && order.cancelStatus !== "requested";
+  const handleRequestCancel = async () => {
+    setLoading(true);
+    await onRequestCancellation(order.id, cancelText.trim());
+    setLoading(false);
+    setShowCancel(false); setCancelText("");
+  };
+  const handleDecideCancel = async (approve) => {
+    setLoading(true);
+    const { error } = await onDecideCancellation(order.id, approve, cancelText.trim());
+    setLoading(false);
+    if (error) setStatusError(error); else setCancelText("");
+  };
+  const refundable = (Number(order.amountPaid) || 0) - refundedAmount(order);
+
+  const canRespond = responseType === "countered"
+    ? parseFloat(responseForm.amount) > 0
+    : !!responseForm.notes.trim();
+
   return (
     <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={onClose}>
       <div onClick={e => e.stopPropagation()}
@@ -240,8 +707,11 @@ const OrderDetail = ({ order, logs, onClose, isAdmin, onSendQuote, onUpdateStatu
               <div style={{ fontSize: 18, fontWeight: 900, color: "#111827", marginTop: 2 }}>{order.productName}</div>
               <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 6 }}>
                 <Badge status={order.status} />
-                <span style={{ fontSize: 12, color: "#9CA3AF" }}>Qty {order.quantity}</span>
+                <span style={{ fontSize: 12, color: "#9CA3AF" }}>{quantityLabel(order)}</span>
                 <span style={{ fontSize: 12, color: "#9CA3AF" }}>{fmtDate(order.createdAt)}</span>
+                {staff && <span style={{ fontSize: 12, color: "#6B7280" }}>👤 {order.assignedName || "Unassigned"}</span>}
+                {staff && <SlaChip order={order} />}
+                {syncing && <SyncChip />}
               </div>
             </div>
             <button onClick={onClose} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer", display: "flex", alignItems: "center", justifyContent: "center" }}>✕</button>
@@ -249,7 +719,7 @@ const OrderDetail = ({ order, logs, onClose, isAdmin, onSendQuote, onUpdateStatu
           <div style={{ marginBottom: 12 }}><ProgressBar status={order.status} /></div>
           {/* Tabs */}
           <div style={{ display: "flex", gap: 0, marginBottom: -1 }}>
-            {["details","timeline", isAdmin && "admin"].filter(Boolean).map(t => (
+            {["details","timeline", staff && "manage"].filter(Boolean).map(t => (
               <button key={t} onClick={() => setTab(t)}
                 style={{ padding: "8px 18px", fontSize: 13, fontWeight: 700, background: "none", border: "none", borderBottom: tab === t ? "2.5px solid #DC2626" : "2.5px solid transparent", color: tab === t ? "#DC2626" : "#6B7280", cursor: "pointer", fontFamily: "inherit", textTransform: "capitalize" }}>
                 {t}
@@ -268,36 +738,146 @@ const OrderDetail = ({ order, logs, onClose, isAdmin, onSendQuote, onUpdateStatu
                   <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 10, textTransform: "uppercase" }}>Cost Breakdown</div>
                   {[["Product Cost", order.productCost], ["Shipping", order.shippingCost], ["Customs Duty", order.customsDuty], ["Service Fee", order.serviceFee]].map(([k, v]) => v ? (
                     <div key={k} style={{ display: "flex", justifyContent: "space-between", fontSize: 13, color: "#374151", marginBottom: 6 }}>
-                      <span>{k}</span><span style={{ fontWeight: 600 }}>{fmt(v)}</span>
+                      <span>{k}</span>
+                      <span style={{ fontWeight: 600 }}>
+                        {k === "Product Cost" && order.quoteCurrency !== BASE_CURRENCY && order.productCostForeign != null && (
+                          <span style={{ fontWeight: 400, color: "#9CA3AF", marginRight: 6 }}>{fmtForeign(order.productCostForeign, order.quoteCurrency)}</span>
+                        )}
+                        {fmt(v)}
+                      </span>
                     </div>
                   ) : null)}
+                  {order.quoteCurrency !== BASE_CURRENCY && order.quoteExchangeRate && (
+                    <div style={{ fontSize: 11, color: "#9CA3AF", marginBottom: 6 }}>Supplier prices converted at KES {order.quoteExchangeRate} per {order.quoteCurrency}</div>
+                  )}
                   <div style={{ borderTop: "1.5px solid #E5E7EB", marginTop: 8, paddingTop: 8, display: "flex", justifyContent: "space-between", fontSize: 15, fontWeight: 900, color: "#111827" }}>
                     <span>Total</span><span>{fmt(order.totalCost)}</span>
                   </div>
+                  {order.depositPercent < 100 && (
+                    <div style={{ fontSize: 12, color: "#6B7280", marginTop: 6 }}>Deposit {order.depositPercent}% · {fmt(depositAmount(order))}</div>
+                  )}
+                  {order.paymentStatus !== "unpaid" && (
+                    <div style={{ marginTop: 8 }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13, color: "#16A34A", marginBottom: 4 }}>
+                        <span>Paid</span><span style={{ fontWeight: 700 }}>{fmt(order.amountPaid)}</span>
+                      </div>
+                      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13, color: order.balanceDue > 0 ? "#B45309" : "#6B7280" }}>
+                        <span>Outstanding</span><span style={{ fontWeight: 700 }}>{order.balanceDue > 0 ? fmt(order.balanceDue) : "KES 0"}</span>
+                      </div>
+                    </div>
+                  )}
                   {order.estimatedDays && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 8 }}>⏱ Estimated delivery: {order.estimatedDays} days</div>}
+                  {order.payments.length > 0 && (
+                    <div style={{ borderTop: "1px dashed #E5E7EB", marginTop: 10, paddingTop: 8 }}>
+                      <div style={{ fontSize: 11, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 6 }}>Payment history</div>
+                      {order.payments.map(p => (
+                        <div key={p.id} style={{ marginBottom: 4 }}>
+                          <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: p.status === "confirmed" ? "#111827" : "#9CA3AF" }}>
+                            <span style={{ textTransform: "capitalize" }}>{p.kind} · {fmtDate(p.createdAt)} · {p.mpesaReceipt || p.status.replace(/_/g, " ")}</span>
+                            <span style={{ fontWeight: 600 }}>{fmt(p.amount)}</span>
+                          </div>
+                          {p.status === "amount_mismatch" && can(role, "managePayments") && (
+                            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, fontSize: 12, color: "#B45309", marginTop: 4 }}>
+                              <span>⚠️ {fmt(p.amountReceived)} received ({p.mpesaReceipt}) instead of {fmt(p.amount)}</span>
+                              <Btn label={`Confirm ${fmt(p.amountReceived)}`} onClick={() => onConfirmPayment(order.id, p.id)} variant="ghost" small />
+                            </div>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {order.quotes.length > 1 && (
+                    <div style={{ borderTop: "1px dashed #E5E7EB", marginTop: 10, paddingTop: 8 }}>
+                      <div style={{ fontSize: 11, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 6 }}>Quote history</div>
+                      {order.quotes.map(q => (
+                        <div key={q.id} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: q.version === order.quoteVersion ? "#111827" : "#9CA3AF", marginBottom: 4 }}>
+                          <span>v{q.version} · {fmtDate(q.createdAt)}{q.currency !== BASE_CURRENCY ? ` · ${q.currency} @ ${q.exchangeRate}` : ""}{q.version === order.quoteVersion ? " (current)" : ""}</span>
+                          <span style={{ fontWeight: 600, textDecoration: q.version === order.quoteVersion ? "none" : "line-through" }}>{fmt(q.totalCost)}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                  {staff && currentBreakdown && (
+                    <div style={{ borderTop: "1px dashed #E5E7EB", marginTop: 10, paddingTop: 8 }}>
+                      <div style={{ fontSize: 11, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 6 }}>How this was calculated</div>
+                      <div style={{ fontSize: 11, color: "#9CA3AF", marginBottom: 6 }}>
+                        {currentBreakdown.currency} {currentBreakdown.goodsForeign?.toLocaleString()} @ {currentBreakdown.exchangeRate} · {currentBreakdown.chargeableKg} kg · {currentBreakdown.tariffCategory}
+                      </div>
+                      {BREAKDOWN_LINES.map(([k, label]) => (
+                        <div key={k} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: "#374151", marginBottom: 3 }}>
+                          <span>{label}</span><span>{fmt(currentBreakdown[k])}</span>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                 </Card>
               )}
 
               {/* Customer actions */}
-              {!isAdmin && order.status === "quoted" && (
+              {!staff && order.status === "quoted" && (
                 <Card style={{ padding: 16, marginBottom: 16, background: "#EFF6FF", border: "1.5px solid #BFDBFE" }}>
                   <div style={{ fontSize: 14, fontWeight: 700, color: "#1D40AE", marginBottom: 6 }}>Quote received — approve to proceed</div>
-                  <div style={{ fontSize: 12, color: "#3B82F6", marginBottom: 12 }}>Pay full amount via M-Pesa to confirm your order</div>
-                  <div style={{ display: "flex", gap: 8 }}>
+                  <div style={{ fontSize: 12, color: "#3B82F6", marginBottom: 12 }}>
+                    {order.depositPercent < 100
+                      ? `Pay a ${order.depositPercent}% deposit (${fmt(depositAmount(order))}) via M-Pesa to confirm your order, and the balance before delivery`
+                      : "Pay full amount via M-Pesa to confirm your order"}
+                  </div>
+                  <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
                     <Btn label="Approve & Pay" onClick={() => onApproveQuote(order.id)} variant="blue" />
+                    {Object.entries(QUOTE_RESPONSES).map(([k, r]) => (
+                      <Btn key={k} label={r.label} onClick={() => setResponseType(t => t === k ? null : k)} variant={responseType === k ? "secondary" : "ghost"} small />
+                    ))}
                   </div>
+                  {order.quoteResponse && !responseType && (
+                    <div style={{ fontSize: 12, color: "#6B7280", marginTop: 10 }}>
+                      You sent: {QUOTE_RESPONSES[order.quoteResponse].label}{order.counterAmount ? ` of ${fmt(order.counterAmount)}` : ""} — waiting for our reply.
+                    </div>
+                  )}
+                  {responseType && (
+                    <div style={{ marginTop: 12 }}>
+                      {responseType === "countered" && (
+                        <Input label="Your price (KES)" value={responseForm.amount} onChange={v => setResponseForm(f => ({ ...f, amount: v }))} type="number" placeholder="e.g. 12000" small />
+                      )}
+                      <Textarea label={QUOTE_RESPONSES[responseType].prompt} value={responseForm.notes} onChange={v => setResponseForm(f => ({ ...f, notes: v }))} rows={2} />
+                      <Btn label={loading ? "Sending…" : "Send"} onClick={handleRespond} disabled={!canRespond || loading} variant="blue" small />
+                    </div>
+                  )}
                 </Card>
               )}
 
-              {!isAdmin && order.status === "approved" && order.paymentStatus !== "deposit_paid" && (
+              {!staff && due && (
                 <Card style={{ padding: 16, marginBottom: 16, background: "#F0FDF4", border: "1.5px solid #BBF7D0" }}>
-                  <div style={{ fontSize: 14, fontWeight: 700, color: "#15803D", marginBottom: 6 }}>Send payment via M-Pesa</div>
-                  <div style={{ fontSize: 13, color: "#16A34A", marginBottom: 4 }}>Paybill: <strong>522522</strong> · Account: <strong>BARUK{order.orderCode}</strong></div>
-                  <div style={{ fontSize: 13, color: "#16A34A", marginBottom: 12 }}>Amount: <strong>{fmt(order.totalCost)}</strong></div>
-                  <Input value={mpesaCode} onChange={setMpesaCode} placeholder="Enter M-Pesa confirmation code" />
-                  <Btn label="Confirm Payment" onClick={() => { if (mpesaCode) onUpdatePayment(order.id, mpesaCode); }} variant="green" disabled={!mpesaCode} />
+                  <div style={{ fontSize: 14, fontWeight: 700, color: "#15803D", marginBottom: 6 }}>
+                    {due.kind === "balance" ? "Pay the balance before delivery" : due.amount < order.totalCost ? "Pay your deposit via M-Pesa" : "Pay via M-Pesa"}
+                  </div>
+                  <div style={{ fontSize: 13, color: "#16A34A", marginBottom: 4 }}>Amount: <strong>{fmt(due.amount)}</strong></div>
+                  <div style={{ fontSize: 13, color: "#16A34A", marginBottom: 12 }}>We'll send a payment request to <strong>{order.customerPhone}</strong></div>
+                  {latestPayment && PAYMENT_MESSAGES[latestPayment.status] && (
+                    <div style={{ fontSize: 12, fontWeight: 600, color: paymentPending ? "#15803D" : "#B45309", marginBottom: 12 }}>{PAYMENT_MESSAGES[latestPayment.status]}</div>
+                  )}
+                  {paymentError && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginBottom: 12 }}>⚠️ {paymentError}</div>}
+                  <Btn label={paymentPending ? "Waiting for M-Pesa…" : loading ? "Sending…" : latestPayment ? "Try Again" : "Pay Now"} onClick={handlePay} variant="green" disabled={paymentPending || loading} />
+                </Card>
+              )}
+
+              {/* Cancellation */}
+              {!staff && order.cancelStatus === "requested" && (
+                <Card style={{ padding: 16, marginBottom: 16, background: "#F9FAFB" }}>
+                  <div style={{ fontSize: 13, fontWeight: 700, color: "#374151" }}>🛑 Cancellation requested — our team will get back to you shortly.</div>
                 </Card>
               )}
+              {!staff && order.cancelStatus === "refused" && order.status !== "cancelled" && (
+                <Card style={{ padding: 16, marginBottom: 16, background: "#F9FAFB" }}>
+                  <div style={{ fontSize: 13, fontWeight: 700, color: "#374151", marginBottom: 4 }}>Your cancellation request was declined</div>
+                  {order.cancelResponse && <div style={{ fontSize: 12, color: "#6B7280" }}>{order.cancelResponse}</div>}
+                </Card>
+              )}
+              {!staff && order.status === "cancelled" && order.refunds.map(rf => (
+                <Card key={rf.id} style={{ padding: 16, marginBottom: 16, background: "#F9FAFB" }}>
+                  <div style={{ fontSize: 13, fontWeight: 700, color: "#374151" }}>💸 Refund of {fmt(rf.amount)} — {rf.status === "closed" ? "sent" : "in progress"}</div>
+                  {rf.mpesaReversalRef && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>M-Pesa reference: {rf.mpesaReversalRef}</div>}
+                </Card>
+              ))}
 
               {/* Order info grid */}
               <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12, marginBottom: 16 }}>
@@ -318,59 +898,240 @@ const OrderDetail = ({ order, logs, onClose, isAdmin, onSendQuote, onUpdateStatu
                 ))}
               </div>
 
-              {order.description && (
-                <div style={{ background: "#F9FAFB", borderRadius: 10, padding: "12px 14px", marginBottom: 12 }}>
-                  <div style={{ fontSize: 10, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 4 }}>Description</div>
-                  <div style={{ fontSize: 13, color: "#374151" }}>{order.description}</div>
+              {order.checkpoints.length > 0 && <CheckpointList order={order} />}
+
+              {/* Items */}
+              <div style={{ fontSize: 10, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 6 }}>Items ({order.items.length})</div>
+              {order.items.map(it => (
+                <div key={it.id} style={{ background: "#F9FAFB", borderRadius: 10, padding: "12px 14px", marginBottom: 10 }}>
+                  <div style={{ display: "flex", justifyContent: "space-between", gap: 10 }}>
+                    <div style={{ fontSize: 13, fontWeight: 700, color: "#111827" }}>{it.name} <span style={{ color: "#9CA3AF", fontWeight: 600 }}>× {it.quantity}</span></div>
+                    {it.unitCost != null && <div style={{ fontSize: 12, color: "#374151", whiteSpace: "nowrap" }}>{fmt(it.unitCost)} ea · <strong>{fmt(it.unitCost * it.quantity)}</strong></div>}
+                  </div>
+                  {it.description && <div style={{ fontSize: 13, color: "#374151", marginTop: 4 }}>{it.description}</div>}
+                  {(it.budgetMin || it.budgetMax) && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>Budget {fmt(it.budgetMin)} – {fmt(it.budgetMax)}</div>}
+                  {it.referenceLinks && <div style={{ fontSize: 12, color: "#2563EB", wordBreak: "break-all", marginTop: 4 }}>{it.referenceLinks}</div>}
                 </div>
-              )}
-              {order.referenceLinks && (
-                <div style={{ background: "#F9FAFB", borderRadius: 10, padding: "12px 14px" }}>
-                  <div style={{ fontSize: 10, fontWeight: 700, color: "#9CA3AF", textTransform: "uppercase", marginBottom: 4 }}>Reference Links</div>
-                  <div style={{ fontSize: 13, color: "#2563EB", wordBreak: "break-all" }}>{order.referenceLinks}</div>
+              ))}
+
+              <AttachmentGallery attachments={order.attachments} staff={staff} onUpload={(files, opts) => onUploadAttachments(order.id, files, opts)} />
+
+              {!staff && canRequestCancel && (
+                <div style={{ marginTop: 16 }}>
+                  {showCancel ? (
+                    <Card style={{ padding: 16 }}>
+                      <Textarea label="Why do you want to cancel?" value={cancelText} onChange={setCancelText} rows={2} />
+                      {order.amountPaid > 0 && <div style={{ fontSize: 12, color: "#6B7280", marginBottom: 12 }}>If we approve, we'll refund what you've paid to your M-Pesa number.</div>}
+                      <div style={{ display: "flex", gap: 8 }}>
+                        <Btn label={loading ? "Sending…" : "Request Cancellation"} onClick={handleRequestCancel} disabled={!cancelText.trim() || loading} small />
+                        <Btn label="Keep Order" onClick={() => setShowCancel(false)} variant="ghost" small />
+                      </div>
+                    </Card>
+                  ) : (
+                    <Btn label="Cancel this order" onClick={() => setShowCancel(true)} variant="ghost" small />
+                  )}
                 </div>
               )}
             </div>
           )}
 
-          {tab === "timeline" && <Timeline logs={logs} orderId={order.id} />}
+          {tab === "timeline" && (
+            <>
+              <Timeline logs={logs} orderId={order.id} />
+              {staff && <DeliveryLog deliveries={order.deliveries} />}
+            </>
+          )}
 
-          {tab === "admin" && isAdmin && (
+          {tab === "manage" && staff && (
             <div>
-              {/* Send Quote */}
-              {order.status === "pending" && (
+              {/* Assignment */}
+              {can(role, "assignOrders") && (
+                <Card style={{ padding: 16, marginBottom: 16 }}>
+                  <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 12 }}>Assigned To</div>
+                  <Select value={order.assignedTo || ""}
+                    onChange={id => onAssignOrder(order.id, id ? { id, name: team.find(p => p.id === id)?.name || "" } : null)}
+                    options={[
+                      { value: "", label: "Unassigned" },
+                      ...(order.assignedTo && !team.some(p => p.id === order.assignedTo) ? [{ value: order.assignedTo, label: order.assignedName || "Former staff" }] : []),
+                      ...team.map(p => ({ value: p.id, label: `${p.name} · ${ROLES[p.role].label}` })),
+                    ]} />
+                </Card>
+              )}
+
+              {/* Customer's reply to the current quote */}
+              {order.status === "quoted" && order.quoteResponse && (
+                <Card style={{ padding: 16, marginBottom: 16, background: "#FFFBEB", border: "1.5px solid #FDE68A" }}>
+                  <div style={{ fontSize: 14, fontWeight: 800, color: "#92400E", marginBottom: 6 }}>
+                    {LOG_ICONS[QUOTE_RESPONSES[order.quoteResponse].event]} Customer {QUOTE_RESPONSES[order.quoteResponse].label.toLowerCase()}{order.counterAmount ? `: ${fmt(order.counterAmount)}` : ""}
+                  </div>
+                  {order.quoteResponseNotes && <div style={{ fontSize: 13, color: "#78350F" }}>{order.quoteResponseNotes}</div>}
+                </Card>
+              )}
+
+              {/* Send / Revise Quote */}
+              {(order.status === "pending" || isRevision) && can(role, "sendQuotes") && (
                 <Card style={{ padding: 16, marginBottom: 16 }}>
-                  <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 14 }}>Send Quote</div>
+                  <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 14 }}>{isRevision ? `Revise Quote (v${(order.quoteVersion || 1) + 1})` : "Send Quote"}</div>
+                  <div style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 10 }}>
+                    <Select label="Source Country" value={quoteForm.sourceCountry} onChange={v => applyPresets({ sourceCountry: v })}
+                      options={countries.filter(c => c.active || c.name === quoteForm.sourceCountry).map(c => ({ value: c.name, label: c.name }))} />
+                    <Input label="Weight (kg)" value={quoteForm.weightKg} onChange={v => applyPresets({ weightKg: v })} type="number" placeholder="e.g. 2.5" small />
+                  </div>
+                  <Btn label={calc.open ? "Hide calculator" : "🧮 Landed-cost calculator"} onClick={() => setCalc(c => ({ ...c, open: !c.open }))} variant="ghost" small style={{ marginBottom: 12 }} />
+                  {calc.open && (
+                    <div style={{ background: "#F9FAFB", border: "1px solid #E5E7EB", borderRadius: 10, padding: 12, marginBottom: 14 }}>
+                      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 10 }}>
+                        <Select label="Currency" value={calc.currency} options={CURRENCIES.map(c => ({ value: c, label: c }))}
+                          onChange={v => setCalc(c => ({ ...c, currency: v, exchangeRate: String(rateFor(exchangeRates, v)?.kesPerUnit || "") }))} />
+                        <Input label={`KES per ${calc.currency}`} value={calc.exchangeRate} onChange={v => setCalc(c => ({ ...c, exchangeRate: v }))} type="number" placeholder="e.g. 129.5" small />
+                        <Input label="Volume (m³)" value={calc.volumeM3} onChange={v => setCalc(c => ({ ...c, volumeM3: v }))} type="number" placeholder="e.g. 0.02" small />
+                      </div>
+                      <Select label="Tariff Category" value={calc.tariffCategory} onChange={v => setCalc(c => ({ ...c, tariffCategory: v }))}
+                        options={tariffs.filter(t => t.active || t.code === calc.tariffCategory).map(t => ({ value: t.code, label: `${t.name} — duty ${t.importDutyPercent}%${t.excisePercent ? `, excise ${t.excisePercent}%` : ""}` }))} />
+                      {order.items.map(i => (
+                        <Input key={i.id} label={`${i.name} × ${i.quantity} — supplier unit price (${calc.currency})`} value={calc.unitPrices[i.id]}
+                          onChange={v => setCalc(c => ({ ...c, unitPrices: { ...c.unitPrices, [i.id]: v } }))} type="number" placeholder="0" small />
+                      ))}
+                      {landed ? (
+                        <>
+                          {BREAKDOWN_LINES.map(([k, label]) => (
+                            <div key={k} style={{ display: "flex", justifyContent: "space-between", fontSize: 12, color: k === "cif" ? "#111827" : "#374151", fontWeight: k === "cif" ? 700 : 400, marginBottom: 4 }}>
+                              <span>{label}</span><span>{fmt(landed[k])}</span>
+                            </div>
+                          ))}
+                          <div style={{ fontSize: 11, color: "#9CA3AF", margin: "6px 0 10px" }}>Chargeable weight {landed.chargeableKg} kg · customs total {fmt(landed.customsDuty)}</div>
+                          <Btn label="Apply to quote" onClick={applyLandedCost} disabled={!landed.goods} variant="outline" small />
+                        </>
+                      ) : (
+                        <div style={{ fontSize: 12, color: "#9CA3AF" }}>Pick a source country with a preset and a tariff category to calculate.</div>
+                      )}
+                    </div>
+                  )}
+                  {order.items.map(i => (
+                    <div key={i.id} style={{ display: "grid", gridTemplateColumns: "2fr 1fr", gap: 10, alignItems: "end" }}>
+                      <Input label={`${i.name} × ${i.quantity} — unit cost (KES)`} value={itemCosts[i.id]} onChange={v => setItemCosts(c => ({ ...c, [i.id]: v }))} type="number" placeholder="0" small />
+                      <div style={{ fontSize: 13, fontWeight: 600, color: "#374151", marginBottom: 18 }}>{fmt((parseFloat(itemCosts[i.id]) || 0) * i.quantity)}</div>
+                    </div>
+                  ))}
                   <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
-                    <Input label="Product Cost (KES)" value={quoteForm.productCost} onChange={v => setQuoteForm(f => ({ ...f, productCost: v }))} type="number" placeholder="0" small />
                     <Input label="Shipping (KES)" value={quoteForm.shippingCost} onChange={v => setQuoteForm(f => ({ ...f, shippingCost: v }))} type="number" placeholder="0" small />
                     <Input label="Customs Duty (KES)" value={quoteForm.customsDuty} onChange={v => setQuoteForm(f => ({ ...f, customsDuty: v }))} type="number" placeholder="0" small />
                     <Input label="Service Fee (KES)" value={quoteForm.serviceFee} onChange={v => setQuoteForm(f => ({ ...f, serviceFee: v }))} type="number" placeholder="0" small />
                   </div>
-                  <Input label="Est. Delivery (days)" value={quoteForm.estimatedDays} onChange={v => setQuoteForm(f => ({ ...f, estimatedDays: v }))} type="number" placeholder="e.g. 21" small />
+                  {presetFor(quoteForm.sourceCountry) && (
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", fontSize: 11, color: "#9CA3AF", marginBottom: 12 }}>
+                      <span>{quoteForm.sourceCountry}: KES {presetFor(quoteForm.sourceCountry).shippingRatePerKg}/kg · {presetFor(quoteForm.sourceCountry).transitDays || "?"} days · {presetFor(quoteForm.sourceCountry).serviceFeePercent}% fee</span>
+                      <Btn label="Apply presets" onClick={() => applyPresets()} variant="ghost" small />
+                    </div>
+                  )}
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+                    <Input label="Est. Delivery (days)" value={quoteForm.estimatedDays} onChange={v => setQuoteForm(f => ({ ...f, estimatedDays: v }))} type="number" placeholder="e.g. 21" small />
+                    <Input label="Deposit (%)" value={quoteForm.depositPercent} onChange={v => setQuoteForm(f => ({ ...f, depositPercent: v }))} type="number" placeholder="e.g. 50" small />
+                  </div>
                   {totalCost > 0 && (
                     <div style={{ background: "#FEF2F2", borderRadius: 10, padding: "10px 14px", marginBottom: 12, fontSize: 14, fontWeight: 800, color: "#DC2626" }}>
                       Total: KES {totalCost.toLocaleString()}
                     </div>
                   )}
                   <Textarea label="Notes for customer" value={quoteForm.adminNotes} onChange={v => setQuoteForm(f => ({ ...f, adminNotes: v }))} placeholder="Include supplier info, timeline notes, etc." rows={2} />
-                  <Btn label={loading ? "Sending…" : "Send Quote"} onClick={handleSendQuote} disabled={!totalCost || loading} />
+                  <Btn label={loading ? "Sending…" : isRevision ? "Send Revised Quote" : "Send Quote"} onClick={handleSendQuote} disabled={!totalCost || loading} />
+                </Card>
+              )}
+
+              {/* Cancellation request */}
+              {order.cancelStatus === "requested" && can(role, "cancelOrders") && (
+                <Card style={{ padding: 16, marginBottom: 16, background: "#FEF2F2", border: "1.5px solid #FECACA" }}>
+                  <div style={{ fontSize: 14, fontWeight: 800, color: "#991B1B", marginBottom: 6 }}>🛑 Customer asked to cancel</div>
+                  {order.cancelReason && <div style={{ fontSize: 13, color: "#7F1D1D", marginBottom: 12 }}>{order.cancelReason}</div>}
+                  {order.amountPaid > 0 && (
+                    <div style={{ fontSize: 12, color: "#7F1D1D", marginBottom: 12 }}>
+                      {can(role, "managePayments") ? `Approving creates a refund of ${fmt(refundable)}.` : `Approving leaves a refund of ${fmt(refundable)} for finance.`}
+                    </div>
+                  )}
+                  <Textarea label="Reply to customer" value={cancelText} onChange={setCancelText} placeholder="Required when refusing" rows={2} />
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <Btn label="Approve Cancellation" onClick={() => handleDecideCancel(true)} disabled={loading} small />
+                    <Btn label="Refuse" onClick={() => handleDecideCancel(false)} disabled={!cancelText.trim() || loading} variant="ghost" small />
+                  </div>
+                </Card>
+              )}
+
+              {/* Refunds */}
+              {(order.status === "cancelled" || order.refunds.length > 0) && (
+                <Card style={{ padding: 16, marginBottom: 16 }}>
+                  <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 12 }}>Refunds</div>
+                  {order.refunds.map(rf => (
+                    <div key={rf.id} style={{ background: "#F9FAFB", borderRadius: 10, padding: "10px 14px", marginBottom: 10 }}>
+                      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 13, fontWeight: 700, color: "#111827" }}>
+                        <span>{fmt(rf.amount)}</span>
+                        <span style={{ textTransform: "uppercase", fontSize: 11, color: rf.status === "closed" ? "#16A34A" : "#D97706" }}>{rf.status}</span>
+                      </div>
+                      {rf.reason && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>{rf.reason}</div>}
+                      {rf.status === "closed"
+                        ? <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>Reversal ref: {rf.mpesaReversalRef} · {fmtDate(rf.closedAt)}</div>
+                        : can(role, "managePayments") && (
+                          <div style={{ marginTop: 8 }}>
+                            <Input value={refundRefs[rf.id] ?? rf.mpesaReversalRef ?? ""} onChange={v => setRefundRefs(m => ({ ...m, [rf.id]: v }))} placeholder="M-Pesa reversal reference" small />
+                            <div style={{ display: "flex", gap: 8 }}>
+                              {rf.status === "pending" && <Btn label="Mark Processing" onClick={() => onUpdateRefund(order.id, rf.id, { status: "processing", mpesaReversalRef: refundRefs[rf.id] })} variant="ghost" small />}
+                              <Btn label="Close Refund" onClick={() => onUpdateRefund(order.id, rf.id, { status: "closed", mpesaReversalRef: refundRefs[rf.id] ?? rf.mpesaReversalRef })} disabled={!(refundRefs[rf.id] ?? rf.mpesaReversalRef)} variant="green" small />
+                            </div>
+                          </div>
+                        )}
+                    </div>
+                  ))}
+                  {refundable > 0 ? can(role, "managePayments") && (
+                    <div>
+                      <div style={{ display: "grid", gridTemplateColumns: "1fr 2fr", gap: 10 }}>
+                        <Input label="Amount (KES)" value={refundForm.amount} onChange={v => setRefundForm(f => ({ ...f, amount: v }))} type="number" placeholder={String(refundable)} small />
+                        <Input label="Reason" value={refundForm.reason} onChange={v => setRefundForm(f => ({ ...f, reason: v }))} placeholder="e.g. Order cancelled" small />
+                      </div>
+                      <Btn label="Create Refund" onClick={async () => {
+                        const amount = Math.min(refundable, parseFloat(refundForm.amount) || refundable);
+                        await onCreateRefund(order.id, amount, refundForm.reason.trim());
+                        setRefundForm({ amount: "", reason: "" });
+                      }} variant="ghost" small />
+                    </div>
+                  ) : !order.refunds.length && <div style={{ fontSize: 13, color: "#9CA3AF" }}>Nothing was paid on this order.</div>}
                 </Card>
               )}
 
               {/* Update Status */}
               <Card style={{ padding: 16, marginBottom: 16 }}>
                 <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 12 }}>Update Status</div>
-                <Select value={newStatus} onChange={setNewStatus} options={Object.entries(STATUS_CONFIG).map(([k, v]) => ({ value: k, label: v.label }))} />
-                <Btn label="Update" onClick={() => { onUpdateStatus(order.id, newStatus); onClose(); }} variant="primary" />
+                {allowedStatuses.length > 0 && (
+                  <Select value={newStatus} onChange={setNewStatus} options={allowedStatuses.map(n => ({ value: n.status, label: STATUS_CONFIG[n.status].label }))} />
+                )}
+                {blockedStatuses.map(n => (
+                  <div key={n.status} style={{ fontSize: 12, color: "#9CA3AF", marginBottom: 8 }}>🔒 {STATUS_CONFIG[n.status].label}: {n.blockedBy}</div>
+                ))}
+                {!nextStatuses.length && <div style={{ fontSize: 13, color: "#9CA3AF", marginBottom: 12 }}>No further status changes for this order.</div>}
+                {statusError && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginBottom: 8 }}>⚠️ {statusError}</div>}
+                <Btn label="Update" onClick={async () => {
+                  const { error } = await onUpdateStatus(order.id, newStatus);
+                  if (error) setStatusError(error); else onClose();
+                }} variant="primary" disabled={!newStatus} />
               </Card>
 
               {/* Add Tracking */}
-              <Card style={{ padding: 16, marginBottom: 16 }}>
-                <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 12 }}>Tracking Number</div>
-                <Input value={trackingText} onChange={setTrackingText} placeholder="e.g. SF1234567890CN" small />
-                <Btn label="Save Tracking" onClick={() => { onAddTracking(order.id, trackingText); }} variant="ghost" />
-              </Card>
+              {can(role, "ship") && (
+                <Card style={{ padding: 16, marginBottom: 16 }}>
+                  <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 12 }}>Tracking Number</div>
+                  {shipment && <div style={{ fontSize: 12, color: "#6B7280", marginBottom: 10 }}>📦 Ships in {shipment.reference}. Tracking and status set on the shipment apply to every order in it.</div>}
+                  <Input value={trackingText} onChange={setTrackingText} placeholder="e.g. SF1234567890CN" small />
+                  {trackingError && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginBottom: 8 }}>⚠️ {trackingError}</div>}
+                  <div style={{ display: "flex", gap: 8 }}>
+                    <Btn label="Save Tracking" onClick={() => { onAddTracking(order.id, trackingText); }} variant="ghost" />
+                    {order.trackingNumber && (
+                      <Btn label={trackingSyncing ? "Checking…" : "↻ Check Carrier"} disabled={trackingSyncing} onClick={async () => {
+                        setTrackingError(""); setTrackingSyncing(true);
+                        setTrackingError(await onSyncTracking(order.id) || "");
+                        setTrackingSyncing(false);
+                      }} variant="ghost" />
+                    )}
+                  </div>
+                </Card>
+              )}
 
               {/* Notes */}
               <Card style={{ padding: 16 }}>
@@ -389,16 +1150,27 @@ const OrderDetail = ({ order, logs, onClose, isAdmin, onSendQuote, onUpdateStatu
 // ============================================================
 // ORDER CARD (list item)
 // ============================================================
-const OrderCard = ({ order, onClick }) => (
+// With onToggleSelect, a checkbox lets the admin list pick the card for bulk actions.
+// `staff` adds who the order is assigned to and, while it waits for a quote, the time left to send one.
+const OrderCard = ({ order, onClick, syncing, selected, onToggleSelect, staff }) => (
   <Card style={{ padding: 16, cursor: "pointer", transition: "box-shadow 0.15s" }}
     onMouseEnter={e => e.currentTarget.style.boxShadow = "0 4px 20px rgba(0,0,0,0.1)"}
     onMouseLeave={e => e.currentTarget.style.boxShadow = "0 1px 6px rgba(0,0,0,0.05)"}
     onClick={onClick}>
     <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 10 }}>
+      {onToggleSelect && (
+        <input type="checkbox" checked={selected} onClick={e => e.stopPropagation()} onChange={() => onToggleSelect(order.id)}
+          style={{ width: 18, height: 18, margin: "2px 12px 0 0", accentColor: "#DC2626", cursor: "pointer", flexShrink: 0 }} />
+      )}
       <div style={{ flex: 1, minWidth: 0 }}>
-        <div style={{ fontSize: 11, fontWeight: 700, color: "#9CA3AF", letterSpacing: "0.05em" }}>{order.orderCode}</div>
+        <div style={{ fontSize: 11, fontWeight: 700, color: "#9CA3AF", letterSpacing: "0.05em" }}>{order.orderCode} {syncing && <SyncChip />}</div>
         <div style={{ fontSize: 15, fontWeight: 800, color: "#111827", marginTop: 2, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{order.productName}</div>
-        <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>Qty {order.quantity} · {order.customerName} · {fmtDate(order.createdAt)}</div>
+        <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>{quantityLabel(order)} · {order.customerName} · {fmtDate(order.createdAt)}</div>
+        {staff && (
+          <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 6, fontSize: 12, color: order.assignedName ? "#374151" : "#9CA3AF", fontWeight: 600 }}>
+            👤 {order.assignedName || "Unassigned"} <SlaChip order={order} />
+          </div>
+        )}
       </div>
       <Badge status={order.status} />
     </div>
@@ -412,10 +1184,39 @@ const OrderCard = ({ order, onClick }) => (
   </Card>
 );
 
+// The rest of a list, a page at a time: loads as it scrolls into view, or on tap.
+const LoadMore = ({ shown, total, onLoadMore }) => {
+  const [busy, setBusy] = useState(false);
+  const ref = useRef(null);
+  const autoLoadedAt = useRef(null); // once per page, so a failing load doesn't retry in a loop
+
+  const load = useCallback(async () => {
+    setBusy(true);
+    await onLoadMore();
+    setBusy(false);
+  }, [onLoadMore]);
+
+  useEffect(() => {
+    if (busy || shown >= total || autoLoadedAt.current === shown || !window.IntersectionObserver) return;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) { autoLoadedAt.current = shown; load(); }
+    });
+    observer.observe(ref.current);
+    return () => observer.disconnect();
+  }, [busy, shown, total, load]);
+
+  if (shown >= total) return null;
+  return (
+    <div ref={ref} style={{ textAlign: "center", padding: "4px 0" }}>
+      <Btn label={busy ? "Loading…" : `Show more (${shown} of ${total})`} onClick={load} disabled={busy} variant="ghost" small />
+    </div>
+  );
+};
+
 // ============================================================
 // HOME PAGE
 // ============================================================
-function HomePage({ onSignup, onLogin }) {
+function HomePage({ onSignup, onLogin, onTrack }) {
   return (
     <div style={{ minHeight: "100dvh", background: "#0F0F0F", color: "#fff", fontFamily: "'DM Sans', system-ui, sans-serif", overflowX: "hidden" }}>
       {/* Nav */}
@@ -446,7 +1247,7 @@ function HomePage({ onSignup, onLogin }) {
           <button onClick={onSignup} style={{ padding: "14px 32px", background: "#DC2626", border: "none", borderRadius: 12, color: "#fff", fontSize: 16, fontWeight: 800, cursor: "pointer", fontFamily: "inherit", boxShadow: "0 8px 24px rgba(220,38,38,0.4)" }}>
             Place a Request →
           </button>
-          <button onClick={onLogin} style={{ padding: "14px 28px", background: "rgba(255,255,255,0.07)", border: "1px solid rgba(255,255,255,0.15)", borderRadius: 12, color: "#fff", fontSize: 16, fontWeight: 700, cursor: "pointer", fontFamily: "inherit" }}>
+          <button onClick={onTrack} style={{ padding: "14px 28px", background: "rgba(255,255,255,0.07)", border: "1px solid rgba(255,255,255,0.15)", borderRadius: 12, color: "#fff", fontSize: 16, fontWeight: 700, cursor: "pointer", fontFamily: "inherit" }}>
             Track My Order
           </button>
         </div>
@@ -498,39 +1299,43 @@ function HomePage({ onSignup, onLogin }) {
 // ============================================================
 // CUSTOMER APP
 // ============================================================
-function CustomerApp({ orders, onCreateOrder, onApproveQuote, onUpdatePayment, logs, currentUser }) {
-  const [tab, setTab] = useState("orders");
-  const [showNewOrder, setShowNewOrder] = useState(false);
-  const [selectedOrder, setSelectedOrder] = useState(null);
-  const [form, setForm] = useState({ productName: "", description: "", quantity: "1", budgetMin: "", budgetMax: "", referenceLinks: "", deliveryAddress: "" });
+const EMPTY_ITEM = { name: "", description: "", quantity: "1", budgetMin: "", budgetMax: "", referenceLinks: "" };
+const DEFAULT_SOURCE_COUNTRY = "China";
+
+// Like AdminDashboard, `orders` is the loaded part of the current tab, filtered by the server.
+function CustomerApp({ orders, orderTotal, summary, selectedOrder, onLoadMore, onSelect, query, onQuery, showNewOrder, onNewOrder, countries, pendingSync, queuedRequests, onCreateOrder, onApproveQuote, onRespondToQuote, onRequestPayment, onRequestCancellation, onUploadAttachments, logs, currentUser }) {
+  const tab = tabFor("customer", query.tab).key;
+  const setTab = (t) => onQuery({ tab: t === "orders" ? "" : t });
+  const [form, setForm] = useState({ items: [EMPTY_ITEM], sourceCountry: DEFAULT_SOURCE_COUNTRY, deliveryAddress: "", files: [] });
   const [loading, setLoading] = useState(false);
   const [success, setSuccess] = useState("");
   const set = k => v => setForm(f => ({ ...f, [k]: v }));
+  const setItem = (idx, k) => v => setForm(f => ({ ...f, items: f.items.map((it, i) => i === idx ? { ...it, [k]: v } : it) }));
+  const canSubmit = form.items.every(it => it.name.trim()) && form.deliveryAddress;
 
   const handleCreate = async () => {
-    if (!form.productName || !form.deliveryAddress) return;
+    if (!canSubmit) return;
     setLoading(true);
-    const result = await onCreateOrder(form);
+    const { queued, error } = await onCreateOrder(form);
     setLoading(false);
-    if (result) {
-      setSuccess("Order submitted! We'll send you a quote within 24 hours.");
-      setForm({ productName: "", description: "", quantity: "1", budgetMin: "", budgetMax: "", referenceLinks: "", deliveryAddress: "" });
-      setTimeout(() => { setSuccess(""); setShowNewOrder(false); setTab("orders"); }, 3000);
+    if (!error) {
+      setSuccess(queued
+        ? "You're offline — your request is saved and will be sent when you're back online."
+        : `Order submitted! We'll send you a quote within ${QUOTE_SLA_HOURS} hours.`);
+      setForm({ items: [EMPTY_ITEM], sourceCountry: DEFAULT_SOURCE_COUNTRY, deliveryAddress: "", files: [] });
+      setTimeout(() => { setSuccess(""); onNewOrder(false); }, 3000);
     }
   };
 
-  const pending = orders.filter(o => ["pending","quoted","approved"].includes(o.status));
-  const active  = orders.filter(o => ["sourcing","shipped","customs","out_for_delivery"].includes(o.status));
-  const done    = orders.filter(o => ["delivered","cancelled"].includes(o.status));
 
   return (
     <div style={{ maxWidth: 680, margin: "0 auto", padding: "20px 16px" }}>
       {/* Stats */}
       <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 10, marginBottom: 20 }}>
         {[
-          { label: "Total Orders", val: orders.length, icon: "📦" },
-          { label: "In Transit",   val: active.length,  icon: "🚢" },
-          { label: "Delivered",    val: done.filter(o => o.status === "delivered").length, icon: "✅" },
+          { label: "Total Orders", val: countIn(summary.counts, null), icon: "📦" },
+          { label: "In Transit",   val: countIn(summary.counts, tabFor("customer", "active").statuses), icon: "🚢" },
+          { label: "Delivered",    val: countIn(summary.counts, ["delivered"]), icon: "✅" },
         ].map(s => (
           <div key={s.label} style={{ background: "#fff", borderRadius: 14, padding: "14px 16px", border: "1px solid #F0F0F0", textAlign: "center" }}>
             <div style={{ fontSize: 22, marginBottom: 4 }}>{s.icon}</div>
@@ -541,27 +1346,35 @@ function CustomerApp({ orders, onCreateOrder, onApproveQuote, onUpdatePayment, l
       </div>
 
       {/* New order button */}
-      <button onClick={() => setShowNewOrder(true)}
+      <button onClick={() => onNewOrder(true)}
         style={{ width: "100%", padding: "14px", background: "#DC2626", color: "#fff", border: "none", borderRadius: 14, fontSize: 15, fontWeight: 800, cursor: "pointer", fontFamily: "inherit", marginBottom: 20, boxShadow: "0 4px 16px rgba(220,38,38,0.25)", display: "flex", alignItems: "center", justifyContent: "center", gap: 8 }}>
         + New Sourcing Request
       </button>
 
       {/* Tabs */}
       <div style={{ display: "flex", gap: 0, marginBottom: 16, background: "#F3F4F6", borderRadius: 12, padding: 4 }}>
-        {[["orders", "All Orders"], ["active", "In Transit"], ["done", "Done"]].map(([t, l]) => (
+        {ORDER_TABS.customer.map(({ key: t, label: l, statuses }) => (
           <button key={t} onClick={() => setTab(t)}
             style={{ flex: 1, padding: "8px", fontSize: 13, fontWeight: 700, background: tab === t ? "#fff" : "transparent", border: "none", borderRadius: 9, color: tab === t ? "#111827" : "#6B7280", cursor: "pointer", fontFamily: "inherit", boxShadow: tab === t ? "0 1px 4px rgba(0,0,0,0.08)" : "none", transition: "all 0.15s" }}>
-            {l} {t === "orders" ? `(${orders.length})` : t === "active" ? `(${active.length})` : `(${done.length})`}
+            {l} ({countIn(summary.counts, statuses)})
           </button>
         ))}
       </div>
 
       {/* Order list */}
       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
-        {(tab === "orders" ? orders : tab === "active" ? active : done).map(o => (
-          <OrderCard key={o.id} order={o} onClick={() => setSelectedOrder(o)} />
+        {tab === "orders" && queuedRequests.map(q => (
+          <Card key={q.id} style={{ padding: 16, border: "1.5px dashed #FDE68A" }}>
+            <div style={{ marginBottom: 4 }}><SyncChip /></div>
+            <div style={{ fontSize: 15, fontWeight: 800, color: "#111827" }}>{itemsSummary(q.args[0].items)}</div>
+            <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>Saved {fmtTime(q.queuedAt)} · will be sent when you're back online</div>
+          </Card>
+        ))}
+        {orders.map(o => (
+          <OrderCard key={o.id} order={o} onClick={() => onSelect(o.orderCode)} syncing={pendingSync.has(o.id)} />
         ))}
-        {(tab === "orders" ? orders : tab === "active" ? active : done).length === 0 && (
+        <LoadMore shown={orders.length} total={orderTotal} onLoadMore={onLoadMore} />
+        {orders.length + (tab === "orders" ? queuedRequests.length : 0) === 0 && (
           <div style={{ textAlign: "center", padding: "40px 0", color: "#9CA3AF", fontSize: 14 }}>
             {tab === "orders" ? "No orders yet. Place your first request above!" : "Nothing here yet."}
           </div>
@@ -570,31 +1383,50 @@ function CustomerApp({ orders, onCreateOrder, onApproveQuote, onUpdatePayment, l
 
       {/* New order modal */}
       {showNewOrder && (
-        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={() => setShowNewOrder(false)}>
+        <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={() => onNewOrder(false)}>
           <div onClick={e => e.stopPropagation()}
             style={{ background: "#fff", borderRadius: "20px 20px 0 0", width: "100%", maxWidth: 680, maxHeight: "92dvh", overflow: "hidden", display: "flex", flexDirection: "column" }}>
             <div style={{ padding: "20px 20px 0", borderBottom: "1px solid #F3F4F6", display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 20 }}>
               <div>
                 <div style={{ fontSize: 18, fontWeight: 900, color: "#111827" }}>New Sourcing Request</div>
-                <div style={{ fontSize: 13, color: "#6B7280" }}>Tell us what you need from China</div>
+                <div style={{ fontSize: 13, color: "#6B7280" }}>Tell us what you need and where to buy it</div>
               </div>
-              <button onClick={() => setShowNewOrder(false)} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
+              <button onClick={() => onNewOrder(false)} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
             </div>
             <div style={{ flex: 1, overflowY: "auto", padding: "0 20px 20px" }}>
               {success && <div style={{ background: "#ECFDF5", border: "1px solid #6EE7B7", borderRadius: 10, padding: "12px 16px", fontSize: 13, color: "#065F46", fontWeight: 600, marginBottom: 16 }}>✅ {success}</div>}
-              <Input label="Product Name *" value={form.productName} onChange={set("productName")} placeholder="e.g. Honda CB400 Exhaust Pipe" />
-              <Textarea label="Description" value={form.description} onChange={set("description")} placeholder="Describe the item — specs, color, size, model number, etc." />
-              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 10 }}>
-                <Input label="Quantity *" value={form.quantity} onChange={set("quantity")} type="number" placeholder="1" small />
-                <Input label="Budget Min (KES)" value={form.budgetMin} onChange={set("budgetMin")} type="number" placeholder="e.g. 5000" small />
-                <Input label="Budget Max (KES)" value={form.budgetMax} onChange={set("budgetMax")} type="number" placeholder="e.g. 15000" small />
+              {form.items.map((it, idx) => (
+                <div key={idx} style={{ borderBottom: form.items.length > 1 ? "1px dashed #E5E7EB" : "none", marginBottom: 16 }}>
+                  {form.items.length > 1 && (
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+                      <div style={{ fontSize: 12, fontWeight: 800, color: "#DC2626", textTransform: "uppercase" }}>Item {idx + 1}</div>
+                      <button onClick={() => setForm(f => ({ ...f, items: f.items.filter((_, i) => i !== idx) }))}
+                        style={{ fontSize: 12, color: "#9CA3AF", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit" }}>Remove</button>
+                    </div>
+                  )}
+                  <Input label="Product Name *" value={it.name} onChange={setItem(idx, "name")} placeholder="e.g. Honda CB400 Exhaust Pipe" />
+                  <Textarea label="Description" value={it.description} onChange={setItem(idx, "description")} placeholder="Describe the item — specs, color, size, model number, etc." />
+                  <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 10 }}>
+                    <Input label="Quantity *" value={it.quantity} onChange={setItem(idx, "quantity")} type="number" placeholder="1" small />
+                    <Input label="Budget Min (KES)" value={it.budgetMin} onChange={setItem(idx, "budgetMin")} type="number" placeholder="e.g. 5000" small />
+                    <Input label="Budget Max (KES)" value={it.budgetMax} onChange={setItem(idx, "budgetMax")} type="number" placeholder="e.g. 15000" small />
+                  </div>
+                  <Input label="Reference Links" value={it.referenceLinks} onChange={setItem(idx, "referenceLinks")} placeholder="Alibaba, 1688, or any product URL" />
+                </div>
+              ))}
+              <Btn label="+ Add another item" onClick={() => setForm(f => ({ ...f, items: [...f.items, EMPTY_ITEM] }))} variant="outline" small style={{ width: "100%", marginBottom: 16 }} />
+              <div style={{ marginBottom: 16 }}>
+                <div style={{ fontSize: 11, fontWeight: 700, color: "#6B7280", marginBottom: 5, textTransform: "uppercase", letterSpacing: "0.06em" }}>Photos or Screenshots</div>
+                <input type="file" multiple accept="image/*,application/pdf" onChange={e => set("files")([...e.target.files])} style={{ fontSize: 13 }} />
+                {form.files.length > 0 && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>{form.files.length} file{form.files.length > 1 ? "s" : ""} selected — photos are compressed before upload</div>}
               </div>
-              <Input label="Reference Links" value={form.referenceLinks} onChange={set("referenceLinks")} placeholder="Alibaba, 1688, or any product URL" />
+              <Select label="Buy From" value={form.sourceCountry} onChange={set("sourceCountry")}
+                options={[...countries.filter(c => c.active).map(c => ({ value: c.name, label: c.name })), { value: "", label: "Not sure — let Baruk choose" }]} />
               <Input label="Delivery Address *" value={form.deliveryAddress} onChange={set("deliveryAddress")} placeholder="e.g. Karen, Nairobi" />
               <div style={{ background: "#FFF7ED", border: "1px solid #FDE68A", borderRadius: 10, padding: "10px 14px", fontSize: 12, color: "#92400E", marginBottom: 16 }}>
-                ⚡ We source from China by default. You'll receive a quote with full landed cost within 24hrs.
+                ⚡ You'll receive a quote with full landed cost within 24hrs.
               </div>
-              <Btn label={loading ? "Submitting…" : "Submit Request"} onClick={handleCreate} disabled={loading || !form.productName || !form.deliveryAddress} style={{ width: "100%" }} />
+              <Btn label={loading ? "Submitting…" : "Submit Request"} onClick={handleCreate} disabled={loading || !canSubmit} style={{ width: "100%" }} />
             </div>
           </div>
         </div>
@@ -605,10 +1437,15 @@ function CustomerApp({ orders, onCreateOrder, onApproveQuote, onUpdatePayment, l
         <OrderDetail
           order={selectedOrder}
           logs={logs}
-          onClose={() => setSelectedOrder(null)}
-          isAdmin={false}
+          onClose={() => onSelect(null)}
+          role="customer"
           onApproveQuote={onApproveQuote}
-          onUpdatePayment={onUpdatePayment}
+          onRespondToQuote={onRespondToQuote}
+          onRequestCancellation={onRequestCancellation}
+          onUploadAttachments={onUploadAttachments}
+          onRequestPayment={onRequestPayment}
+          countries={countries}
+          syncing={pendingSync.has(selectedOrder.id)}
         />
       )}
     </div>
@@ -618,41 +1455,132 @@ function CustomerApp({ orders, onCreateOrder, onApproveQuote, onUpdatePayment, l
 // ============================================================
 // ADMIN DASHBOARD
 // ============================================================
-function AdminDashboard({ orders, onSendQuote, onUpdateStatus, onAddNote, onAddTracking, customers, logs, currentUser }) {
-  const [tab, setTab] = useState("all");
-  const [selectedOrder, setSelectedOrder] = useState(null);
-  const [search, setSearch] = useState("");
-
-  const tabs = [
-    { key: "all",      label: "All" },
-    { key: "pending",  label: "Pending" },
-    { key: "quoted",   label: "Quoted" },
-    { key: "approved", label: "Approved" },
-    { key: "active",   label: "In Transit" },
-    { key: "delivered",label: "Delivered" },
-  ];
-
-  const filtered = orders.filter(o => {
-    const matchTab = tab === "all" ? true
-      : tab === "active" ? ["sourcing","shipped","customs","out_for_delivery"].includes(o.status)
-      : o.status === tab;
-    const q = search.toLowerCase();
-    const matchSearch = !q || o.productName?.toLowerCase().includes(q) || o.customerName?.toLowerCase().includes(q) || o.orderCode?.toLowerCase().includes(q);
-    return matchTab && matchSearch;
+const BULK_ACTIONS = [
+  { value: "status",   label: "Change status" },
+  { value: "tracking", label: "Set tracking number", permission: "ship" },
+  { value: "note",     label: "Add note" },
+  { value: "export",   label: "Export CSV" },
+];
+
+// Acts on every selected order at once; the outcome is listed per order.
+// `selectedIds` can include orders selected on another tab; `selectedOrders` are the loaded ones.
+const BulkActionBar = ({ selectedIds, selectedOrders, role, onBulkAction, onFetchOrders, onClear }) => {
+  const [action, setAction]   = useState("status");
+  const [value, setValue]     = useState("");
+  const [results, setResults] = useState(null);
+  const [busy, setBusy]       = useState(false);
+  const hidden = selectedIds.length - selectedOrders.length;
+
+  // How many of the loaded selected orders each status is open to, so dead ends show up front.
+  const statusOptions = Object.keys(STATUS_CONFIG).filter(s => s !== "pending").map(s => {
+    const allowed = selectedOrders.filter(o => !checkTransition(o, s, role)).length;
+    return { value: s, label: `${STATUS_CONFIG[s].label} (${allowed}/${selectedOrders.length} allowed)` };
+  });
+
+  const apply = async () => {
+    if (action === "export") {
+      const all = hidden ? await onFetchOrders({ ids: selectedIds }) : selectedOrders;
+      downloadFile(`baruk-orders-${new Date().toISOString().slice(0, 10)}.csv`, ordersToCsv(all));
+      setResults(null);
+      return;
+    }
+    setBusy(true);
+    setResults(await onBulkAction(selectedIds, { type: action, value: value.trim() }));
+    setBusy(false);
+  };
+
+  const failed = results?.filter(r => r.error).length || 0;
+  return (
+    <div style={{ position: "sticky", bottom: 12, zIndex: 50, marginTop: 16 }}>
+      <Card style={{ padding: 14, boxShadow: "0 8px 32px rgba(0,0,0,0.15)" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 10 }}>
+          <div style={{ fontSize: 14, fontWeight: 800, color: "#111827" }}>{selectedIds.length} selected{hidden ? ` (${hidden} not in this list)` : ""}</div>
+          <button onClick={onClear} style={{ fontSize: 12, color: "#6B7280", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit" }}>Clear selection</button>
+        </div>
+        <div style={{ display: "grid", gridTemplateColumns: action === "export" ? "1fr auto" : "1fr 1fr auto", gap: 8, alignItems: "end" }}>
+          <Select value={action} onChange={v => { setAction(v); setValue(""); setResults(null); }} options={BULK_ACTIONS.filter(a => !a.permission || can(role, a.permission))} />
+          {action === "status" && <Select value={value} onChange={setValue} options={[{ value: "", label: "Choose status…" }, ...statusOptions]} />}
+          {action === "tracking" && <Input value={value} onChange={setValue} placeholder="e.g. MSCU1234567" />}
+          {action === "note" && <Input value={value} onChange={setValue} placeholder="Note for each order" />}
+          <Btn label={busy ? "Working…" : "Apply"} onClick={apply} disabled={busy || (action !== "export" && !value.trim())} style={{ marginBottom: 16 }} />
+        </div>
+        {results && (
+          <div style={{ maxHeight: 180, overflowY: "auto", borderTop: "1px solid #F3F4F6", paddingTop: 10 }}>
+            <div style={{ fontSize: 12, fontWeight: 700, color: failed ? "#B45309" : "#16A34A", marginBottom: 6 }}>
+              {results.length - failed} updated{failed ? `, ${failed} not updated` : ""}
+            </div>
+            {results.map(r => (
+              <div key={r.orderId} style={{ fontSize: 12, color: r.error ? "#DC2626" : "#374151", marginBottom: 3 }}>
+                {r.error ? "⚠️" : "✅"} <strong>{r.orderCode}</strong>{r.error && ` — ${r.error}`}
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+// `orders` is the loaded part of the current tab and search, filtered by the server;
+// `summary` holds the counts over every order.
+function AdminDashboard({ orders, orderTotal, summary, selectedOrder, onLoadMore, onSelect, query, onQuery, pendingSync, countries, tariffs, customs, exchangeRates, onSaveCountry, onSaveTariff, onSaveCustoms, onAddExchangeRate, onSendQuote, onUpdateStatus, onAddNote, onAddTracking, onSyncTracking, shipments, onSaveShipment, onUpdateShipmentStatus, onAllocateFreight, onDecideCancellation, onCreateRefund, onUpdateRefund, onConfirmPayment, onUploadAttachments, onBulkAction, onImportOrders, onFetchOrders, onFetchLogs, onFetchProfiles, onSetRole, onAssignOrder, customers, logs, currentUser }) {
+  const { role } = currentUser;
+  const tab = tabFor("staff", query.tab).key;
+  const setTab = (t) => onQuery({ tab: t === "all" ? "" : t });
+  const search = query.q || "";
+  const setSearch = (q) => onQuery({ q });
+  // "My queue": only the orders assigned to the signed-in user, on every tab.
+  const mine = !!query.mine;
+  const setMine = (on) => onQuery({ mine: on ? "1" : "" });
+  const [showSettings, setShowSettings] = useState(false);
+  const [showShipments, setShowShipments] = useState(false);
+  const [showData, setShowData]           = useState(false);
+  const [showTeam, setShowTeam]           = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [team, setTeam]                   = useState([]);
+
+  // The staff an order can be assigned to.
+  useEffect(() => {
+    if (!can(role, "assignOrders")) return;
+    onFetchProfiles("").then(setTeam);
+  }, [role, onFetchProfiles]);
+
+  const toggleSelected = (id) => setSelectedIds(s => {
+    const next = new Set(s);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
   });
+  const allVisibleSelected = orders.length > 0 && orders.every(o => selectedIds.has(o.id));
+  const selectVisible = () => setSelectedIds(s => {
+    const next = new Set(s);
+    orders.forEach(o => allVisibleSelected ? next.delete(o.id) : next.add(o.id));
+    return next;
+  });
+  const selectedOrders = orders.filter(o => selectedIds.has(o.id));
+  // The list's tab, search and queue filter, for work on every matching order rather than the loaded pages.
+  const view = { statuses: tabFor("staff", tab).statuses, search: searchQuery(search), assignee: mine ? currentUser.id : null };
+  const [selectingAll, setSelectingAll] = useState(false);
+  const selectMatching = async () => {
+    setSelectingAll(true);
+    const matching = await onFetchOrders(view);
+    setSelectingAll(false);
+    setSelectedIds(s => new Set([...s, ...matching.map(o => o.id)]));
+  };
 
-  // Summary stats
-  const totalRevenue = orders.filter(o => o.paymentStatus === "deposit_paid").reduce((s, o) => s + (o.totalCost || 0), 0);
-  const pendingCount = orders.filter(o => o.status === "pending").length;
-  const activeCount  = orders.filter(o => ["sourcing","shipped","customs","out_for_delivery"].includes(o.status)).length;
+  // Summary stats, over every order rather than the loaded ones (see order_summary), or every one in my queue.
+  // Money refunded, or committed to a refund, is not revenue.
+  // Payments and refunds are always in KES, whatever currency the supplier quoted in.
+  const totalRevenue = summary.revenue;
+  const pendingCount = countIn(summary.counts, ["pending"]);
+  const activeCount  = countIn(summary.counts, tabFor("staff", "active").statuses);
 
   return (
     <div style={{ maxWidth: 860, margin: "0 auto", padding: "20px 16px" }}>
       {/* Stats */}
       <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 10, marginBottom: 20 }}>
         {[
-          { label: "Total Orders",   val: orders.length,  icon: "📦", color: "#111827" },
-          { label: "Awaiting Quote", val: pendingCount,   icon: "⏳", color: "#D97706" },
+          { label: "Total Orders",   val: countIn(summary.counts, null), icon: "📦", color: "#111827" },
+          { label: summary.overdue ? `Awaiting Quote · ${summary.overdue} overdue` : "Awaiting Quote", val: pendingCount, icon: "⏳", color: summary.overdue ? "#DC2626" : "#D97706" },
           { label: "In Transit",     val: activeCount,    icon: "🚢", color: "#2563EB" },
           { label: "Revenue (paid)", val: `KES ${(totalRevenue/1000).toFixed(0)}K`, icon: "💰", color: "#16A34A" },
         ].map(s => (
@@ -665,19 +1593,27 @@ function AdminDashboard({ orders, onSendQuote, onUpdateStatus, onAddNote, onAddT
       </div>
 
       {/* Search */}
-      <div style={{ position: "relative", marginBottom: 16 }}>
-        <span style={{ position: "absolute", left: 14, top: "50%", transform: "translateY(-50%)", fontSize: 14 }}>🔍</span>
-        <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search orders, customers, codes…"
-          style={{ width: "100%", padding: "11px 14px 11px 40px", border: "1.5px solid #E5E7EB", borderRadius: 12, fontSize: 14, fontFamily: "inherit", boxSizing: "border-box", outline: "none", color: "#111827" }}
-          onFocus={e => e.target.style.borderColor = "#DC2626"} onBlur={e => e.target.style.borderColor = "#E5E7EB"} />
+      <div style={{ display: "flex", gap: 8, marginBottom: 16 }}>
+        <div style={{ position: "relative", flex: 1 }}>
+          <span style={{ position: "absolute", left: 14, top: "50%", transform: "translateY(-50%)", fontSize: 14 }}>🔍</span>
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search orders, customers, codes…"
+            style={{ width: "100%", padding: "11px 14px 11px 40px", border: "1.5px solid #E5E7EB", borderRadius: 12, fontSize: 14, fontFamily: "inherit", boxSizing: "border-box", outline: "none", color: "#111827" }}
+            onFocus={e => e.target.style.borderColor = "#DC2626"} onBlur={e => e.target.style.borderColor = "#E5E7EB"} />
+        </div>
+        {can(role, "ship") && <Btn label="🚚 Shipments" onClick={() => setShowShipments(true)} variant="ghost" />}
+        <Btn label="⇅ Import / Export" onClick={() => setShowData(true)} variant="ghost" />
+        {can(role, "manageRates") && <Btn label="⚙ Settings" onClick={() => setShowSettings(true)} variant="ghost" />}
+        {can(role, "manageTeam") && <Btn label="👥 Team" onClick={() => setShowTeam(true)} variant="ghost" />}
       </div>
 
       {/* Tab nav */}
       <div style={{ display: "flex", gap: 6, marginBottom: 16, overflowX: "auto", paddingBottom: 4 }}>
-        {tabs.map(t => {
-          const count = t.key === "all" ? orders.length
-            : t.key === "active" ? orders.filter(o => ["sourcing","shipped","customs","out_for_delivery"].includes(o.status)).length
-            : orders.filter(o => o.status === t.key).length;
+        <button onClick={() => setMine(!mine)}
+          style={{ padding: "7px 16px", fontSize: 12, fontWeight: 700, background: mine ? "#111827" : "#fff", color: mine ? "#fff" : "#374151", border: "1.5px solid #111827", borderRadius: 20, cursor: "pointer", fontFamily: "inherit", whiteSpace: "nowrap", flexShrink: 0 }}>
+          🙋 My queue
+        </button>
+        {ORDER_TABS.staff.map(t => {
+          const count = countIn(summary.counts, t.statuses);
           return (
             <button key={t.key} onClick={() => setTab(t.key)}
               style={{ padding: "7px 16px", fontSize: 12, fontWeight: 700, background: tab === t.key ? "#DC2626" : "#F3F4F6", color: tab === t.key ? "#fff" : "#6B7280", border: "none", borderRadius: 20, cursor: "pointer", fontFamily: "inherit", whiteSpace: "nowrap", flexShrink: 0 }}>
@@ -688,86 +1624,597 @@ function AdminDashboard({ orders, onSendQuote, onUpdateStatus, onAddNote, onAddT
       </div>
 
       {/* Order list */}
+      {orders.length > 0 && (
+        <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8, marginBottom: 10 }}>
+          <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 13, fontWeight: 600, color: "#6B7280", cursor: "pointer" }}>
+            <input type="checkbox" checked={allVisibleSelected} onChange={selectVisible} style={{ width: 16, height: 16, accentColor: "#DC2626" }} />
+            Select all {orders.length} shown{orders.length < orderTotal ? ` of ${orderTotal}` : ""}
+          </label>
+          {orders.length < orderTotal && (
+            <Btn label={selectingAll ? "Selecting…" : `Select all ${orderTotal} matching${tab !== "all" || search || mine ? " this filter" : ""}`}
+              onClick={selectMatching} variant="ghost" small disabled={selectingAll} />
+          )}
+        </div>
+      )}
       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
-        {filtered.map(o => (
-          <OrderCard key={o.id} order={o} onClick={() => setSelectedOrder(o)} />
+        {orders.map(o => (
+          <OrderCard key={o.id} order={o} onClick={() => onSelect(o.orderCode)} syncing={pendingSync.has(o.id)}
+            selected={selectedIds.has(o.id)} onToggleSelect={toggleSelected} staff />
         ))}
-        {filtered.length === 0 && (
+        <LoadMore shown={orders.length} total={orderTotal} onLoadMore={onLoadMore} />
+        {orders.length === 0 && (
           <div style={{ textAlign: "center", padding: "40px 0", color: "#9CA3AF", fontSize: 14 }}>
-            {search ? "No orders match your search." : "No orders in this category."}
+            {looksLikeOrderCode(search) && isAmbiguousOrderCode(search) ? "No order has that code. If it's a new code, check its last character wasn't left off."
+              : looksLikeOrderCode(search) && !isValidOrderCode(search) ? "That isn't a valid order code. Check it for a mistyped character."
+              : search ? "No orders match your search." : mine ? "Nothing assigned to you here." : "No orders in this category."}
           </div>
         )}
       </div>
 
+      {selectedIds.size > 0 && <BulkActionBar selectedIds={[...selectedIds]} selectedOrders={selectedOrders} role={role} onBulkAction={onBulkAction} onFetchOrders={onFetchOrders} onClear={() => setSelectedIds(new Set())} />}
+
       {/* Order detail modal */}
       {selectedOrder && (
         <OrderDetail
           order={selectedOrder}
           logs={logs}
-          onClose={() => setSelectedOrder(null)}
-          isAdmin={true}
+          onClose={() => onSelect(null)}
+          role={role}
           onSendQuote={onSendQuote}
           onUpdateStatus={onUpdateStatus}
           onAddNote={onAddNote}
           onAddTracking={onAddTracking}
+          onSyncTracking={onSyncTracking}
+          shipment={shipments.find(s => s.id === selectedOrder.shipmentId)}
+          onDecideCancellation={onDecideCancellation}
+          onCreateRefund={onCreateRefund}
+          onUpdateRefund={onUpdateRefund}
+          onConfirmPayment={onConfirmPayment}
+          onUploadAttachments={onUploadAttachments}
+          team={team}
+          onAssignOrder={onAssignOrder}
+          countries={countries}
+          syncing={pendingSync.has(selectedOrder.id)}
+          tariffs={tariffs}
+          customs={customs}
+          exchangeRates={exchangeRates}
         />
       )}
+
+      {showSettings && <SettingsModal countries={countries} tariffs={tariffs} customs={customs} exchangeRates={exchangeRates}
+        onSaveCountry={onSaveCountry} onSaveTariff={onSaveTariff} onSaveCustoms={onSaveCustoms} onAddExchangeRate={onAddExchangeRate} onClose={() => setShowSettings(false)} />}
+      {showShipments && <ShipmentsModal shipments={shipments} onFetchOrders={onFetchOrders} onSaveShipment={onSaveShipment}
+        onUpdateShipmentStatus={onUpdateShipmentStatus} onAllocateFreight={onAllocateFreight} onClose={() => setShowShipments(false)} />}
+      {showData && <DataModal view={{ ...view, total: orderTotal }}
+        allTotal={summary.total} role={role}
+        viewLabel={[mine && "My queue", tab !== "all" && tabFor("staff", tab).label, search && `"${search}"`].filter(Boolean).join(", ")}
+        onFetchOrders={onFetchOrders} onFetchLogs={onFetchLogs} onImportOrders={onImportOrders} onClose={() => setShowData(false)} />}
+      {showTeam && <TeamModal currentUser={currentUser} onFetchProfiles={onFetchProfiles} onSetRole={onSetRole} onClose={() => setShowTeam(false)} />}
     </div>
   );
 }
+
 // ============================================================
-// AUTH LOGO
+// ADMIN SETTINGS
 // ============================================================
-const AuthLogo = () => (
-  <div style={{ marginBottom: 28, textAlign: "center" }}>
-    <div style={{ width: 64, height: 64, borderRadius: 20, background: "#DC2626", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 32, margin: "0 auto 12px", boxShadow: "0 8px 24px rgba(220,38,38,0.3)" }}>🌐</div>
-    <div style={{ fontSize: 32, fontWeight: 900, color: "#DC2626", letterSpacing: "-1px" }}>Baruk</div>
-    <div style={{ fontSize: 14, color: "#9CA3AF", marginTop: 4 }}>Source it. Ship it. Delivered.</div>
-  </div>
-);
+const num  = (v) => parseFloat(v) || 0;
+const days = (v) => parseInt(v) || null;
+
+const COUNTRY_FIELDS = [
+  ["shippingRatePerKg", "KES / kg", num],
+  ["transitDays",       "Days",     days],
+  ["serviceFeePercent", "Fee %",    num],
+];
+
+const TARIFF_FIELDS = [
+  ["importDutyPercent", "Duty %",   num],
+  ["excisePercent",     "Excise %", num],
+  ["vatPercent",        "VAT %",    num],
+];
+
+const CUSTOMS_FIELDS = [
+  ["idfPercent",        "IDF %"],
+  ["rdlPercent",        "RDL %"],
+  ["insurancePercent",  "Insurance %"],
+  ["volumetricKgPerM3", "Volumetric kg / m³"],
+];
+
+// Editable list of coded rate rows (source countries, tariff categories).
+const RateTable = ({ title, hint, rows, fields, codeLength, codePlaceholder, namePlaceholder, onSave }) => {
+  const [drafts, setDrafts] = useState({});
+  const [newRow, setNewRow] = useState({ code: "", name: "" });
+  const setField = (code, k) => v => setDrafts(d => ({ ...d, [code]: { ...rows.find(row => row.code === code), ...d[code], [k]: v } }));
+
+  const save = async (code) => {
+    const d = drafts[code];
+    await onSave({ ...d, ...Object.fromEntries(fields.map(([k, , parse]) => [k, parse(d[k])])) });
+    setDrafts(prev => { const next = { ...prev }; delete next[code]; return next; });
+  };
 
-const AuthError   = ({ msg }) => msg ? <div style={{ background: "#FEF2F2", border: "1px solid #FECACA", borderRadius: 8, padding: "10px 14px", fontSize: 13, color: "#DC2626", fontWeight: 600, marginBottom: 16 }}>⚠️ {msg}</div> : null;
-const AuthSuccess = ({ msg }) => msg ? <div style={{ background: "#ECFDF5", border: "1px solid #6EE7B7", borderRadius: 8, padding: "10px 14px", fontSize: 13, color: "#065F46", fontWeight: 600, marginBottom: 16 }}>✅ {msg}</div> : null;
-const AuthBtn     = ({ label, onClick, loading, disabled }) => (
-  <button onClick={onClick} disabled={loading || disabled}
-    style={{ width: "100%", padding: "13px", background: loading || disabled ? "#FCA5A5" : "#DC2626", color: "#fff", border: "none", borderRadius: 10, fontSize: 15, fontWeight: 800, cursor: loading || disabled ? "not-allowed" : "pointer", fontFamily: "inherit", marginTop: 4, boxShadow: "0 2px 12px rgba(220,38,38,0.25)" }}>
-    {loading ? "Please wait..." : label}
-  </button>
-);
+  const addRow = async () => {
+    await onSave({ ...Object.fromEntries(fields.map(([k, , parse]) => [k, parse("")])), code: newRow.code, name: newRow.name.trim(), active: true, position: rows.length });
+    setNewRow({ code: "", name: "" });
+  };
 
-const AuthInput = ({ label, value, onChange, type = "text", placeholder, icon }) => (
-  <div style={{ marginBottom: 16 }}>
-    <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 6, textTransform: "uppercase", letterSpacing: "0.06em" }}>{label}</div>
-    <div style={{ position: "relative" }}>
-      {icon && <span style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", fontSize: 15, pointerEvents: "none" }}>{icon}</span>}
-      <input type={type} value={value} onChange={e => onChange(e.target.value)} placeholder={placeholder}
-        style={{ width: "100%", padding: icon ? "12px 14px 12px 38px" : "12px 14px", border: "1.5px solid #E5E7EB", borderRadius: 10, fontSize: 14, fontFamily: "inherit", boxSizing: "border-box", outline: "none", color: "#111827" }}
-        onFocus={e => e.target.style.borderColor = "#DC2626"}
-        onBlur={e => e.target.style.borderColor = "#E5E7EB"} />
+  return (
+    <div style={{ marginBottom: 24 }}>
+      <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 4 }}>{title}</div>
+      <div style={{ fontSize: 12, color: "#6B7280", marginBottom: 14 }}>{hint}</div>
+      {rows.map(row => {
+        const d = drafts[row.code] || row;
+        return (
+          <Card key={row.code} style={{ padding: 14, marginBottom: 10, opacity: d.active ? 1 : 0.6 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 8 }}>
+              <div style={{ fontSize: 14, fontWeight: 800, color: "#111827" }}>{row.name} <span style={{ fontSize: 11, color: "#9CA3AF" }}>{row.code}</span></div>
+              <label style={{ fontSize: 12, color: "#6B7280", display: "flex", alignItems: "center", gap: 6 }}>
+                <input type="checkbox" checked={!!d.active} onChange={e => setField(row.code, "active")(e.target.checked)} /> Active
+              </label>
+            </div>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 10 }}>
+              {fields.map(([k, label]) => (
+                <Input key={k} label={label} value={String(d[k] ?? "")} onChange={setField(row.code, k)} type="number" small />
+              ))}
+            </div>
+            {drafts[row.code] && <Btn label="Save" onClick={() => save(row.code)} small />}
+          </Card>
+        );
+      })}
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 2fr auto", gap: 10, alignItems: "end" }}>
+        <Input label="Code" value={newRow.code} onChange={v => setNewRow(n => ({ ...n, code: v.toUpperCase().slice(0, codeLength) }))} placeholder={codePlaceholder} small />
+        <Input label="Name" value={newRow.name} onChange={v => setNewRow(n => ({ ...n, name: v }))} placeholder={namePlaceholder} small />
+        <Btn label="Add" onClick={addRow} disabled={newRow.code.length !== codeLength || !newRow.name.trim()} variant="ghost" small style={{ marginBottom: 10 }} />
+      </div>
     </div>
-  </div>
-);
+  );
+};
 
-// ============================================================
-// SIGNUP SCREEN
-// ============================================================
-function SignupScreen({ onBack }) {
-  const [form, setForm]       = useState({ name: "", email: "", phone: "", password: "", confirm: "" });
-  const [error, setError]     = useState("");
-  const [success, setSuccess] = useState("");
-  const [loading, setLoading] = useState(false);
-  const set = k => v => setForm(f => ({ ...f, [k]: v }));
+function SettingsModal({ countries, tariffs, customs, exchangeRates, onSaveCountry, onSaveTariff, onSaveCustoms, onAddExchangeRate, onClose }) {
+  const [customsDraft, setCustomsDraft] = useState(null);
+  const [rateForm, setRateForm] = useState({ currency: CURRENCIES[0], kesPerUnit: "", effectiveFrom: new Date().toISOString().slice(0, 10) });
+  const [rateError, setRateError] = useState("");
+  const customsForm = customsDraft || customs || {};
 
-  const handleSignup = async () => {
-    setError(""); setSuccess("");
-    if (!form.name || !form.email || !form.phone || !form.password || !form.confirm) return setError("Please fill in all fields.");
-    if (form.password.length < 6) return setError("Password must be at least 6 characters.");
-    if (form.password !== form.confirm) return setError("Passwords do not match.");
-    setLoading(true);
-    try {
-      const { error: err } = await supabase.auth.signUp({
+  const saveCustoms = async () => {
+    await onSaveCustoms(Object.fromEntries(CUSTOMS_FIELDS.map(([k]) => [k, num(customsDraft[k])])));
+    setCustomsDraft(null);
+  };
+
+  const addRate = async () => {
+    setRateError("");
+    const err = await onAddExchangeRate({ ...rateForm, kesPerUnit: num(rateForm.kesPerUnit) });
+    if (err) { setRateError(err); return; }
+    setRateForm(f => ({ ...f, kesPerUnit: "" }));
+  };
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={onClose}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: "#fff", borderRadius: "20px 20px 0 0", width: "100%", maxWidth: 680, maxHeight: "90dvh", overflow: "hidden", display: "flex", flexDirection: "column" }}>
+        <div style={{ padding: "16px 20px", borderBottom: "1px solid #F3F4F6", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontSize: 18, fontWeight: 900, color: "#111827" }}>Settings</div>
+          <button onClick={onClose} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
+        </div>
+        <div style={{ flex: 1, overflowY: "auto", padding: 20 }}>
+          <RateTable title="Source Countries" hint="Presets prefill shipping, delivery days and service fee (the calculator margin) on new quotes."
+            rows={countries} fields={COUNTRY_FIELDS} codeLength={2} codePlaceholder="e.g. IN" namePlaceholder="e.g. India" onSave={onSaveCountry} />
+          <RateTable title="Tariff Categories" hint="Import duty, excise and VAT rates used by the landed-cost calculator."
+            rows={tariffs} fields={TARIFF_FIELDS} codeLength={3} codePlaceholder="e.g. TOY" namePlaceholder="e.g. Toys" onSave={onSaveTariff} />
+
+          <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", marginBottom: 4 }}>Customs Levies</div>
+          <div style={{ fontSize: 12, color: "#6B7280", marginBottom: 14 }}>Charged on the CIF value of every import.</div>
+          <Card style={{ padding: 14 }}>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+              {CUSTOMS_FIELDS.map(([k, label]) => (
+                <Input key={k} label={label} value={String(customsForm[k] ?? "")} type="number" small
+                  onChange={v => setCustomsDraft(d => ({ ...(d || customs), [k]: v }))} />
+              ))}
+            </div>
+            {customsDraft && <Btn label="Save" onClick={saveCustoms} small />}
+          </Card>
+
+          <div style={{ fontSize: 14, fontWeight: 800, color: "#111827", margin: "24px 0 4px" }}>Exchange Rates</div>
+          <div style={{ fontSize: 12, color: "#6B7280", marginBottom: 14 }}>Quotes use the latest rate effective on the quote date. Past quotes keep the rate they were priced at.</div>
+          <Card style={{ padding: 14, marginBottom: 10 }}>
+            {CURRENCIES.map(c => {
+              const current = rateFor(exchangeRates, c);
+              const history = exchangeRates.filter(r => r.currency === c && r !== current).slice(0, 2);
+              return (
+                <div key={c} style={{ display: "flex", justifyContent: "space-between", fontSize: 13, color: "#374151", marginBottom: 6 }}>
+                  <span style={{ fontWeight: 700 }}>{c}</span>
+                  <span>
+                    {current ? `KES ${current.kesPerUnit} since ${fmtDate(current.effectiveFrom)}` : "—"}
+                    {history.length > 0 && <span style={{ color: "#9CA3AF" }}> · {history.map(h => `${h.kesPerUnit} (${fmtDate(h.effectiveFrom)})`).join(", ")}</span>}
+                  </span>
+                </div>
+              );
+            })}
+          </Card>
+          <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr auto", gap: 10, alignItems: "end" }}>
+            <Select label="Currency" value={rateForm.currency} onChange={v => setRateForm(f => ({ ...f, currency: v }))} options={CURRENCIES.map(c => ({ value: c, label: c }))} />
+            <Input label="KES per unit" value={rateForm.kesPerUnit} onChange={v => setRateForm(f => ({ ...f, kesPerUnit: v }))} type="number" placeholder="e.g. 129.5" small />
+            <Input label="Effective from" value={rateForm.effectiveFrom} onChange={v => setRateForm(f => ({ ...f, effectiveFrom: v }))} type="date" small />
+            <Btn label="Add" onClick={addRate} disabled={!num(rateForm.kesPerUnit) || !rateForm.effectiveFrom} variant="ghost" small style={{ marginBottom: 10 }} />
+          </div>
+          {rateError && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600 }}>⚠️ {rateError}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================
+// ADMIN SHIPMENTS
+// ============================================================
+const EMPTY_SHIPMENT = { mode: "air", carrier: "", trackingNumber: "", departedOn: "", arrivedOn: "", freightCost: "", allocationBasis: "weight", notes: "" };
+
+const shipmentStatusLabel = (s) => s === "preparing" ? "Preparing" : STATUS_CONFIG[s].label;
+
+function ShipmentsModal({ shipments, onFetchOrders, onSaveShipment, onUpdateShipmentStatus, onAllocateFreight, onClose }) {
+  const [draft, setDraft]     = useState(null); // { ...shipment fields, orderIds }
+  const [error, setError]     = useState("");
+  const [message, setMessage] = useState({}); // shipment id → result of its last action
+  const [busy, setBusy]       = useState(null);
+  const [orders, setOrders]   = useState([]); // orders in a shipment or ready for one
+
+  // Reloaded whenever a shipment changes, which every action here does.
+  useEffect(() => {
+    let current = true;
+    onFetchOrders({ forShipments: true }).then(list => { if (current) setOrders(list); });
+    return () => { current = false; };
+  }, [shipments, onFetchOrders]);
+
+  const ordersIn = (id) => orders.filter(o => o.shipmentId === id);
+  const candidates = draft ? orders.filter(o => draft.orderIds.includes(o.id) || (!o.shipmentId && SHIPPABLE_STATUSES.includes(o.status))) : [];
+  const picked = candidates.filter(o => draft.orderIds.includes(o.id));
+  const preview = draft && num(draft.freightCost) ? allocateFreight(picked, num(draft.freightCost), draft.allocationBasis) : null;
+
+  const edit = (s) => {
+    setError("");
+    setDraft(s ? { ...EMPTY_SHIPMENT, ...s, carrier: s.carrier || "", trackingNumber: s.trackingNumber || "", departedOn: s.departedOn || "", arrivedOn: s.arrivedOn || "",
+      freightCost: s.freightCost ? String(s.freightCost) : "", notes: s.notes || "", orderIds: ordersIn(s.id).map(o => o.id) }
+      : { ...EMPTY_SHIPMENT, orderIds: [] });
+  };
+  const set = (k) => (v) => setDraft(d => ({ ...d, [k]: v }));
+  const toggle = (id) => setDraft(d => ({ ...d, orderIds: d.orderIds.includes(id) ? d.orderIds.filter(x => x !== id) : [...d.orderIds, id] }));
+
+  const save = async () => {
+    setError(""); setBusy("save");
+    const err = await onSaveShipment({ ...draft, freightCost: num(draft.freightCost) }, draft.orderIds);
+    setBusy(null);
+    if (err) setError(err); else setDraft(null);
+  };
+
+  const run = async (s, key, action) => {
+    setBusy(`${s.id}:${key}`);
+    const err = await action();
+    setBusy(null);
+    setMessage(m => ({ ...m, [s.id]: err ? { error: err } : { ok: key === "allocate" ? "Freight shared out across the orders." : "Orders updated." } }));
+  };
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={onClose}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: "#fff", borderRadius: "20px 20px 0 0", width: "100%", maxWidth: 680, maxHeight: "90dvh", overflow: "hidden", display: "flex", flexDirection: "column" }}>
+        <div style={{ padding: "16px 20px", borderBottom: "1px solid #F3F4F6", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontSize: 18, fontWeight: 900, color: "#111827" }}>{draft ? (draft.reference || "New Shipment") : "Shipments"}</div>
+          <button onClick={draft ? () => setDraft(null) : onClose} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
+        </div>
+        <div style={{ flex: 1, overflowY: "auto", padding: 20 }}>
+          {draft ? (
+            <>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 10 }}>
+                <Select label="Mode" value={draft.mode} onChange={set("mode")} options={SHIPMENT_MODES} />
+                <Select label="Carrier" value={draft.carrier} onChange={set("carrier")}
+                  options={[{ value: "", label: "Detect from number" }, ...Object.entries(CARRIER_LABELS).map(([value, label]) => ({ value, label }))]} />
+                <Input label="Tracking / Container #" value={draft.trackingNumber} onChange={set("trackingNumber")} placeholder="e.g. MSCU1234567" small />
+                <Input label="Freight Cost (KES)" value={draft.freightCost} onChange={set("freightCost")} type="number" placeholder="e.g. 180000" small />
+                <Input label="Departed" value={draft.departedOn} onChange={set("departedOn")} type="date" small />
+                <Input label="Arrived" value={draft.arrivedOn} onChange={set("arrivedOn")} type="date" small />
+              </div>
+              <Select label="Share Freight" value={draft.allocationBasis} onChange={set("allocationBasis")} options={ALLOCATION_BASES} />
+
+              <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 8, textTransform: "uppercase" }}>Orders ({picked.length})</div>
+              {candidates.length === 0 && <div style={{ fontSize: 13, color: "#9CA3AF", marginBottom: 16 }}>No orders are being sourced or in transit outside a shipment.</div>}
+              {candidates.map(o => (
+                <label key={o.id} style={{ display: "flex", alignItems: "center", gap: 10, padding: "8px 0", borderBottom: "1px solid #F3F4F6", fontSize: 13, cursor: "pointer" }}>
+                  <input type="checkbox" checked={draft.orderIds.includes(o.id)} onChange={() => toggle(o.id)} />
+                  <span style={{ flex: 1, minWidth: 0 }}>
+                    <strong>{o.orderCode}</strong> · {o.productName}
+                    <span style={{ color: "#9CA3AF" }}> · {o.weightKg ? `${o.weightKg} kg` : "no weight"} · {fmt(o.productCost)}</span>
+                  </span>
+                  {preview?.shares?.[o.id] !== undefined && <span style={{ fontWeight: 700, color: "#111827" }}>{fmt(preview.shares[o.id])}</span>}
+                </label>
+              ))}
+              {preview?.error && <div style={{ fontSize: 12, color: "#B45309", marginTop: 8 }}>⚠️ Freight can't be shared yet: {preview.error}</div>}
+
+              <div style={{ marginTop: 16 }}>
+                <Textarea label="Notes" value={draft.notes} onChange={set("notes")} placeholder="Forwarder, booking reference…" rows={2} />
+              </div>
+              {error && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginBottom: 8 }}>⚠️ {error}</div>}
+              <Btn label={busy === "save" ? "Saving…" : "Save Shipment"} onClick={save} disabled={busy === "save"} />
+            </>
+          ) : (
+            <>
+              <Btn label="+ New Shipment" onClick={() => edit(null)} style={{ marginBottom: 16 }} />
+              {shipments.length === 0 && <div style={{ fontSize: 13, color: "#9CA3AF" }}>No shipments yet.</div>}
+              {shipments.map(s => {
+                const inShipment = ordersIn(s.id);
+                const next = SHIPMENT_STATUSES[SHIPMENT_STATUSES.indexOf(s.status) + 1];
+                return (
+                  <Card key={s.id} style={{ padding: 14, marginBottom: 12 }}>
+                    <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 6 }}>
+                      <div>
+                        <div style={{ fontSize: 14, fontWeight: 800, color: "#111827" }}>{s.reference} · {SHIPMENT_MODES.find(m => m.value === s.mode)?.label}</div>
+                        <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>
+                          {inShipment.length} order{inShipment.length === 1 ? "" : "s"}
+                          {s.trackingNumber && ` · ${CARRIER_LABELS[s.carrier] || "Tracking"} ${s.trackingNumber}`}
+                          {s.departedOn && ` · left ${fmtDate(s.departedOn)}`}
+                          {s.arrivedOn && ` · arrived ${fmtDate(s.arrivedOn)}`}
+                        </div>
+                        {s.freightCost > 0 && <div style={{ fontSize: 12, color: "#6B7280" }}>Freight {fmt(s.freightCost)}, {ALLOCATION_BASES.find(b => b.value === s.allocationBasis)?.label.toLowerCase()}</div>}
+                      </div>
+                      <Badge status={s.status} />
+                    </div>
+                    {message[s.id]?.error && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginBottom: 6, whiteSpace: "pre-line" }}>⚠️ {message[s.id].error}</div>}
+                    {message[s.id]?.ok && <div style={{ fontSize: 12, color: "#16A34A", fontWeight: 600, marginBottom: 6 }}>✅ {message[s.id].ok}</div>}
+                    <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
+                      <Btn label="Edit" onClick={() => edit(s)} variant="ghost" small />
+                      {next && (
+                        <Btn label={busy === `${s.id}:status` ? "Updating…" : `Mark ${shipmentStatusLabel(next)}`} disabled={!!busy || !inShipment.length} small
+                          onClick={() => run(s, "status", () => onUpdateShipmentStatus(s.id, next))} />
+                      )}
+                      {s.freightCost > 0 && (
+                        <Btn label={busy === `${s.id}:allocate` ? "Sharing…" : "Share Freight"} disabled={!!busy || !inShipment.length} variant="outline" small
+                          onClick={() => run(s, "allocate", () => onAllocateFreight(s.id))} />
+                      )}
+                    </div>
+                  </Card>
+                );
+              })}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================
+// ADMIN IMPORT / EXPORT
+// ============================================================
+// Exports and imports load the orders they need from the server, not just the list's loaded pages.
+function DataModal({ view, viewLabel, allTotal, role, onFetchOrders, onFetchLogs, onImportOrders, onClose }) {
+  const kinds = Object.entries(IMPORT_KINDS).filter(([, k]) => can(role, k.permission));
+  const [kind, setKind]       = useState(kinds[0]?.[0]);
+  const [plan, setPlan]       = useState(null); // { fileName, error } or { fileName, rows }
+  const [results, setResults] = useState(null); // line → error, once applied
+  const [busy, setBusy]       = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  const exportOrders = async (name, filter, format) => {
+    setExporting(`${name}:${format}`);
+    const orders = await onFetchOrders(filter);
+    const file = `baruk-${name}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === "csv") downloadFile(`${file}.csv`, ordersToCsv(orders));
+    else downloadFile(`${file}.xlsx`, ordersToXlsx(orders, await onFetchLogs(orders.map(o => o.id))));
+    setExporting(null);
+  };
+
+  const downloadTemplate = async () => {
+    const orders = await onFetchOrders({ statuses: IMPORT_KINDS[kind].templateStatuses });
+    downloadFile(`baruk-${kind}-template.csv`, importTemplate(kind, orders));
+  };
+
+  const pickFile = async (file) => {
+    if (!file) return;
+    setResults(null);
+    const text = await file.text();
+    const codes = importOrderCodes(kind, text);
+    const orders = codes.length ? await onFetchOrders({ codes }) : [];
+    setPlan({ fileName: file.name, ...planImport(kind, text, orders, role) });
+  };
+  const ready = plan?.rows?.filter(r => !r.error && !r.unchanged) || [];
+
+  const apply = async () => {
+    setBusy(true);
+    const outcome = await onImportOrders(kind, ready);
+    setResults(Object.fromEntries(outcome.map(r => [r.line, r.error])));
+    setBusy(false);
+  };
+
+  const rowState = (r) =>
+    r.error ? { icon: "⚠️", color: "#DC2626", text: r.error }
+    : r.unchanged ? { icon: "•", color: "#9CA3AF", text: `${r.summary} — no change` }
+    : results && r.line in results ? (results[r.line] ? { icon: "⚠️", color: "#DC2626", text: results[r.line] } : { icon: "✅", color: "#16A34A", text: r.summary })
+    : { icon: "→", color: "#374151", text: r.summary };
+  const failed = results ? Object.values(results).filter(Boolean).length : 0;
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={onClose}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: "#fff", borderRadius: "20px 20px 0 0", width: "100%", maxWidth: 680, maxHeight: "90dvh", overflow: "hidden", display: "flex", flexDirection: "column" }}>
+        <div style={{ padding: "16px 20px", borderBottom: "1px solid #F3F4F6", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontSize: 18, fontWeight: 900, color: "#111827" }}>Import / Export</div>
+          <button onClick={onClose} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
+        </div>
+        <div style={{ flex: 1, overflowY: "auto", padding: 20 }}>
+          <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 8, textTransform: "uppercase" }}>Export</div>
+          {[
+            { name: "orders-view", filter: { statuses: view.statuses, search: view.search, assignee: view.assignee }, total: view.total, label: `This view${viewLabel ? ` (${viewLabel})` : ""}` },
+            { name: "orders-all",  filter: {}, total: allTotal, label: "All orders, with items and activity" },
+          ].map(e => (
+            <div key={e.name} style={{ display: "flex", alignItems: "center", gap: 8, padding: "8px 0", borderBottom: "1px solid #F3F4F6" }}>
+              <div style={{ flex: 1, fontSize: 13, color: "#374151" }}>{e.label} · <strong>{e.total}</strong></div>
+              {["csv", "xlsx"].map(format => (
+                <Btn key={format} label={exporting === `${e.name}:${format}` ? "Preparing…" : format === "csv" ? "CSV" : "Excel"}
+                  onClick={() => exportOrders(e.name, e.filter, format)} disabled={!e.total || !!exporting} variant="ghost" small />
+              ))}
+            </div>
+          ))}
+
+          {kinds.length > 0 && (
+            <>
+              <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", margin: "24px 0 8px", textTransform: "uppercase" }}>Import from CSV</div>
+              <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 8, alignItems: "end" }}>
+                <Select value={kind} onChange={v => { setKind(v); setPlan(null); setResults(null); }}
+                  options={kinds.map(([value, k]) => ({ value, label: k.label }))} />
+                <Btn label="Template" onClick={downloadTemplate} variant="ghost" small style={{ marginBottom: 16 }} />
+              </div>
+              <div style={{ fontSize: 12, color: "#9CA3AF", marginBottom: 10 }}>Columns: {IMPORT_KINDS[kind].columns.join(", ")}. Nothing changes until you apply the preview.</div>
+              <input type="file" accept=".csv,text/csv" onChange={e => { pickFile(e.target.files[0]); e.target.value = ""; }} style={{ fontSize: 13, marginBottom: 14 }} />
+
+              {plan?.error && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600 }}>⚠️ {plan.fileName}: {plan.error}</div>}
+              {plan?.rows && (
+                <>
+                  <div style={{ fontSize: 12, fontWeight: 700, color: "#374151", marginBottom: 6 }}>
+                    {plan.fileName}: {ready.length} to apply
+                    {plan.rows.some(r => r.unchanged) && `, ${plan.rows.filter(r => r.unchanged).length} unchanged`}
+                    {plan.rows.some(r => r.error) && `, ${plan.rows.filter(r => r.error).length} with errors`}
+                  </div>
+                  <div style={{ maxHeight: 260, overflowY: "auto", border: "1px solid #F3F4F6", borderRadius: 10, padding: "6px 10px", marginBottom: 12 }}>
+                    {plan.rows.map(r => {
+                      const state = rowState(r);
+                      return (
+                        <div key={r.line} style={{ display: "flex", gap: 8, fontSize: 12, padding: "4px 0", color: state.color }}>
+                          <span style={{ width: 48, flexShrink: 0, color: "#9CA3AF" }}>Row {r.line}</span>
+                          <span>{state.icon} <strong>{r.orderCode || "—"}</strong> — {state.text}</span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {results ? (
+                    <div style={{ fontSize: 12, fontWeight: 700, color: failed ? "#B45309" : "#16A34A" }}>
+                      {Object.keys(results).length - failed} applied{failed ? `, ${failed} failed` : ""}. Each change is in the order's activity log.
+                    </div>
+                  ) : (
+                    <Btn label={busy ? "Applying…" : `Apply ${ready.length} change${ready.length === 1 ? "" : "s"}`} onClick={apply} disabled={busy || !ready.length} />
+                  )}
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================
+// ADMIN TEAM
+// ============================================================
+// Owners give accounts their staff role. Everyone signs up as a customer, so a new
+// team member creates an account first and is then found here by name or email.
+function TeamModal({ currentUser, onFetchProfiles, onSetRole, onClose }) {
+  const [search, setSearch]     = useState("");
+  const [profiles, setProfiles] = useState(null);
+  const [saving, setSaving]     = useState(null);
+  const [error, setError]       = useState("");
+
+  // Staff when the search is empty, otherwise every account that matches it.
+  useEffect(() => {
+    let stale = false;
+    const timer = setTimeout(async () => {
+      const found = await onFetchProfiles(search.trim());
+      if (!stale) setProfiles(found);
+    }, search ? 300 : 0);
+    return () => { stale = true; clearTimeout(timer); };
+  }, [search, onFetchProfiles]);
+
+  const changeRole = async (profile, role) => {
+    setError(""); setSaving(profile.id);
+    const err = await onSetRole(profile.id, role);
+    setSaving(null);
+    if (err) { setError(`${profile.name}: ${err}`); return; }
+    setProfiles(ps => ps.map(p => p.id === profile.id ? { ...p, role } : p));
+  };
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={onClose}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: "#fff", borderRadius: "20px 20px 0 0", width: "100%", maxWidth: 680, maxHeight: "90dvh", overflow: "hidden", display: "flex", flexDirection: "column" }}>
+        <div style={{ padding: "16px 20px", borderBottom: "1px solid #F3F4F6", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontSize: 18, fontWeight: 900, color: "#111827" }}>Team</div>
+          <button onClick={onClose} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
+        </div>
+        <div style={{ flex: 1, overflowY: "auto", padding: 20 }}>
+          <Input value={search} onChange={setSearch} placeholder="Find an account by name or email…" small />
+          {error && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginBottom: 8 }}>⚠️ {error}</div>}
+          {profiles?.map(p => (
+            <div key={p.id} style={{ display: "grid", gridTemplateColumns: "1fr 180px", gap: 10, alignItems: "center", padding: "8px 0", borderBottom: "1px solid #F3F4F6" }}>
+              <div>
+                <div style={{ fontSize: 14, fontWeight: 700, color: "#111827" }}>{p.name}{p.id === currentUser.id ? " (you)" : ""}</div>
+                <div style={{ fontSize: 12, color: "#9CA3AF" }}>{[p.email, p.phone].filter(Boolean).join(" · ")}</div>
+              </div>
+              {p.id === currentUser.id
+                ? <div style={{ fontSize: 13, color: "#6B7280" }}>{ROLES[p.role].label}</div>
+                : (
+                  <select value={p.role} disabled={saving === p.id} onChange={e => changeRole(p, e.target.value)}
+                    style={{ padding: "8px 10px", border: "1.5px solid #E5E7EB", borderRadius: 9, fontSize: 13, fontFamily: "inherit", color: "#111827", background: "#fff" }}>
+                    {Object.entries(ROLES).map(([value, r]) => <option key={value} value={value}>{r.label}</option>)}
+                  </select>
+                )}
+            </div>
+          ))}
+          {profiles?.length === 0 && <div style={{ fontSize: 13, color: "#9CA3AF", padding: "12px 0" }}>{search ? "No accounts match." : "No staff yet."}</div>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ============================================================
+// AUTH LOGO
+// ============================================================
+const AuthLogo = () => (
+  <div style={{ marginBottom: 28, textAlign: "center" }}>
+    <div style={{ width: 64, height: 64, borderRadius: 20, background: "#DC2626", display: "flex", alignItems: "center", justifyContent: "center", fontSize: 32, margin: "0 auto 12px", boxShadow: "0 8px 24px rgba(220,38,38,0.3)" }}>🌐</div>
+    <div style={{ fontSize: 32, fontWeight: 900, color: "#DC2626", letterSpacing: "-1px" }}>Baruk</div>
+    <div style={{ fontSize: 14, color: "#9CA3AF", marginTop: 4 }}>Source it. Ship it. Delivered.</div>
+  </div>
+);
+
+const AuthError   = ({ msg }) => msg ? <div style={{ background: "#FEF2F2", border: "1px solid #FECACA", borderRadius: 8, padding: "10px 14px", fontSize: 13, color: "#DC2626", fontWeight: 600, marginBottom: 16 }}>⚠️ {msg}</div> : null;
+const AuthSuccess = ({ msg }) => msg ? <div style={{ background: "#ECFDF5", border: "1px solid #6EE7B7", borderRadius: 8, padding: "10px 14px", fontSize: 13, color: "#065F46", fontWeight: 600, marginBottom: 16 }}>✅ {msg}</div> : null;
+const AuthBtn     = ({ label, onClick, loading, disabled }) => (
+  <button onClick={onClick} disabled={loading || disabled}
+    style={{ width: "100%", padding: "13px", background: loading || disabled ? "#FCA5A5" : "#DC2626", color: "#fff", border: "none", borderRadius: 10, fontSize: 15, fontWeight: 800, cursor: loading || disabled ? "not-allowed" : "pointer", fontFamily: "inherit", marginTop: 4, boxShadow: "0 2px 12px rgba(220,38,38,0.25)" }}>
+    {loading ? "Please wait..." : label}
+  </button>
+);
+
+const AuthInput = ({ label, value, onChange, type = "text", placeholder, icon }) => (
+  <div style={{ marginBottom: 16 }}>
+    <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 6, textTransform: "uppercase", letterSpacing: "0.06em" }}>{label}</div>
+    <div style={{ position: "relative" }}>
+      {icon && <span style={{ position: "absolute", left: 12, top: "50%", transform: "translateY(-50%)", fontSize: 15, pointerEvents: "none" }}>{icon}</span>}
+      <input type={type} value={value} onChange={e => onChange(e.target.value)} placeholder={placeholder}
+        style={{ width: "100%", padding: icon ? "12px 14px 12px 38px" : "12px 14px", border: "1.5px solid #E5E7EB", borderRadius: 10, fontSize: 14, fontFamily: "inherit", boxSizing: "border-box", outline: "none", color: "#111827" }}
+        onFocus={e => e.target.style.borderColor = "#DC2626"}
+        onBlur={e => e.target.style.borderColor = "#E5E7EB"} />
+    </div>
+  </div>
+);
+
+// ============================================================
+// SIGNUP SCREEN
+// ============================================================
+function SignupScreen({ onBack }) {
+  const [form, setForm]       = useState({ name: "", email: "", phone: "", password: "", confirm: "" });
+  const [error, setError]     = useState("");
+  const [success, setSuccess] = useState("");
+  const [loading, setLoading] = useState(false);
+  const set = k => v => setForm(f => ({ ...f, [k]: v }));
+
+  const handleSignup = async () => {
+    setError(""); setSuccess("");
+    if (!form.name || !form.email || !form.phone || !form.password || !form.confirm) return setError("Please fill in all fields.");
+    if (form.password.length < 6) return setError("Password must be at least 6 characters.");
+    if (form.password !== form.confirm) return setError("Passwords do not match.");
+    setLoading(true);
+    try {
+      const { error: err } = await supabase.auth.signUp({
         email: form.email.trim().toLowerCase(), password: form.password,
-        options: { data: { name: form.name.trim(), phone: form.phone.trim(), role: "customer" } },
+        options: { data: { name: form.name.trim(), phone: form.phone.trim() } },
       });
       if (err) throw err;
       setSuccess("Account created! Signing you in…");
@@ -857,6 +2304,77 @@ function LoginScreen({ onGoSignup, onBack }) {
   );
 }
 
+// ============================================================
+// TRACK ORDER (public)
+// ============================================================
+// Anyone with the order code and the last four digits of the customer's phone
+// sees progress only; track_order returns no prices, notes or addresses.
+function TrackPage({ initialCode = "", onBack }) {
+  const [code, setCode]       = useState(initialCode);
+  const [last4, setLast4]     = useState("");
+  const [result, setResult]   = useState(null);
+  const [error, setError]     = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const handleTrack = async () => {
+    setError(""); setResult(null);
+    // A typo is caught here rather than spending one of the rate-limited lookups.
+    // Codes only a lookup can tell from a new one missing its last character go through.
+    if (!isValidOrderCode(code) && !isAmbiguousOrderCode(code)) { setError("That order code doesn't look right. Check it for a mistyped character."); return; }
+    setLoading(true);
+    try {
+      const { data, error: err } = await supabase.rpc("track_order", { p_code: normalizeOrderCode(code), p_phone_last4: last4.trim() });
+      if (err) throw err;
+      if (!data) setError(isAmbiguousOrderCode(code)
+        ? "No order matches that code and phone number. If your code has seven characters after BRK-, check none were left off."
+        : "No order matches that code and phone number.");
+      else setResult(data);
+    } catch (err) {
+      console.error("[handleTrack]", err);
+      setError(err.hint === "rate_limited" ? err.message : "Could not look up the order. Please try again.");
+    } finally { setLoading(false); }
+  };
+
+  const logs = (result?.events || []).map((e, i) => ({ id: i, orderId: result.order_code, event: e.event, notes: e.notes, createdAt: e.created_at }));
+
+  return (
+    <div style={{ minHeight: "100dvh", background: "#F9FAFB", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center", fontFamily: "'DM Sans', system-ui, sans-serif", padding: 20 }}>
+      <div style={{ width: "100%", maxWidth: 420 }}>
+        <AuthLogo />
+        <div style={{ background: "#fff", borderRadius: 20, padding: 28, boxShadow: "0 4px 32px rgba(0,0,0,0.08)" }}>
+          <div style={{ fontSize: 22, fontWeight: 900, color: "#111827", marginBottom: 4 }}>Track an order</div>
+          <div style={{ fontSize: 14, color: "#6B7280", marginBottom: 24 }}>Enter the order code and the last 4 digits of the phone number on the order</div>
+          <AuthInput label="Order Code" value={code} onChange={v => setCode(v.toUpperCase())} placeholder={`${ORDER_CODE_PREFIX}XXXXXXX`} icon="📦" />
+          <AuthInput label="Phone (last 4 digits)" value={last4} onChange={v => setLast4(v.replace(/\D/g, "").slice(0, 4))} placeholder="1234" icon="📱" type="tel" />
+          <AuthError msg={error} />
+          <AuthBtn label="Track Order" onClick={handleTrack} loading={loading} disabled={!code.trim() || last4.length !== 4} />
+          {result && (
+            <div style={{ marginTop: 24, paddingTop: 20, borderTop: "1px solid #F3F4F6" }}>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 10 }}>
+                <div style={{ flex: 1, minWidth: 0 }}>
+                  <div style={{ fontSize: 11, fontWeight: 700, color: "#9CA3AF", letterSpacing: "0.05em" }}>{result.order_code}</div>
+                  <div style={{ fontSize: 15, fontWeight: 800, color: "#111827", marginTop: 2 }}>{result.product_name}</div>
+                  <div style={{ fontSize: 12, color: "#6B7280", marginTop: 2 }}>Requested {fmtDate(result.created_at)}</div>
+                </div>
+                <Badge status={result.status} />
+              </div>
+              <ProgressBar status={result.status} />
+              {result.estimated_days && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 10 }}>⏱ Estimated delivery: {result.estimated_days} days</div>}
+              {result.tracking_number && <div style={{ fontSize: 12, color: "#6B7280", marginTop: 4 }}>🚢 Tracking number: <strong style={{ color: "#111827" }}>{result.tracking_number}</strong></div>}
+              <div style={{ marginTop: 18 }}>
+                <Timeline logs={logs} orderId={result.order_code} showActors={false} />
+              </div>
+            </div>
+          )}
+          <div style={{ textAlign: "center", marginTop: 10 }}>
+            <button onClick={onBack} style={{ fontSize: 13, color: "#9CA3AF", background: "none", border: "none", cursor: "pointer", fontFamily: "inherit" }}>← Back</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ============================================================
 // LOADING SCREEN
 // ============================================================
@@ -869,6 +2387,75 @@ const LoadingScreen = () => (
   </div>
 );
 
+// ============================================================
+// NOTIFICATION SETTINGS
+// ============================================================
+function NotificationSettings({ role, prefs, messageChannel, onSetPreference, onSetMessageChannel, onEnablePush, onDisablePush, onClose }) {
+  const [subscribed, setSubscribed] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const supported = pushSupported();
+
+  useEffect(() => {
+    if (supported) currentSubscription().then(sub => setSubscribed(Boolean(sub)));
+  }, [supported]);
+
+  const toggleDevice = async () => {
+    setBusy(true); setError("");
+    const err = subscribed ? await onDisablePush() : await onEnablePush();
+    if (err) setError(err);
+    else setSubscribed(!subscribed);
+    setBusy(false);
+  };
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.55)", zIndex: 500, display: "flex", alignItems: "flex-end", justifyContent: "center" }} onClick={onClose}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: "#fff", borderRadius: "20px 20px 0 0", width: "100%", maxWidth: 680, maxHeight: "90dvh", overflow: "hidden", display: "flex", flexDirection: "column" }}>
+        <div style={{ padding: "16px 20px", borderBottom: "1px solid #F3F4F6", display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <div style={{ fontSize: 18, fontWeight: 900, color: "#111827" }}>Notifications</div>
+          <button onClick={onClose} style={{ background: "#F3F4F6", border: "none", borderRadius: "50%", width: 32, height: 32, fontSize: 16, cursor: "pointer" }}>✕</button>
+        </div>
+        <div style={{ flex: 1, overflowY: "auto", padding: 20 }}>
+          <Card style={{ padding: 14, marginBottom: 16 }}>
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+              <div>
+                <div style={{ fontSize: 14, fontWeight: 800, color: "#111827" }}>Push on this device</div>
+                <div style={{ fontSize: 12, color: "#6B7280" }}>
+                  {!supported ? "This browser can't receive push notifications. On iPhone, install Baruk to your home screen first."
+                    : subscribed ? "On — we'll notify you even when Baruk is closed." : "Off"}
+                </div>
+              </div>
+              {supported && subscribed !== null && (
+                <Btn label={busy ? "…" : subscribed ? "Turn off" : "Turn on"} onClick={toggleDevice} disabled={busy} variant={subscribed ? "ghost" : "primary"} small />
+              )}
+            </div>
+            {error && <div style={{ fontSize: 12, color: "#DC2626", fontWeight: 600, marginTop: 8 }}>⚠️ {error}</div>}
+          </Card>
+          <div style={{ fontSize: 12, fontWeight: 700, color: "#6B7280", marginBottom: 8, textTransform: "uppercase" }}>Push me about</div>
+          {PUSH_EVENTS[role].map(([event, label]) => (
+            <label key={event} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "10px 0", borderBottom: "1px solid #F3F4F6", fontSize: 14, color: "#374151", cursor: "pointer" }}>
+              <span>{LOG_ICONS[event]} {label}</span>
+              <input type="checkbox" checked={prefs.push[event] !== false} onChange={e => onSetPreference("push", event, e.target.checked)} />
+            </label>
+          ))}
+          {role === "customer" && (
+            <div style={{ marginTop: 24 }}>
+              <Select label="Text messages to your phone" value={messageChannel} onChange={onSetMessageChannel} options={MESSAGE_CHANNELS} />
+              {messageChannel !== "none" && MESSAGE_EVENTS.map(([event, label]) => (
+                <label key={event} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "10px 0", borderBottom: "1px solid #F3F4F6", fontSize: 14, color: "#374151", cursor: "pointer" }}>
+                  <span>{LOG_ICONS[event]} {label}</span>
+                  <input type="checkbox" checked={prefs.message[event] !== false} onChange={e => onSetPreference("message", event, e.target.checked)} />
+                </label>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // ============================================================
 // PWA INSTALL BANNER
 // ============================================================
@@ -919,14 +2506,120 @@ function InstallBanner() {
 // ============================================================
 // MAIN APP
 // ============================================================
+const ORDER_SELECT = "*, order_items(*), order_quotes(*), payments(*), refunds(*), order_attachments(*), notification_deliveries(*), tracking_checkpoints(*)";
+
+// Orders in `statuses` matching the `search` tsquery and assigned to `assignee` (any may be null), newest first.
+const selectOrders = ({ statuses, search, assignee }, options) => {
+  let request = supabase.from("orders").select(ORDER_SELECT, options)
+    .order("created_at", { ascending: false }).order("id", { ascending: false });
+  if (statuses) request = request.in("status", statuses);
+  if (search)   request = request.textSearch("search_vector", search, { config: "simple" });
+  if (assignee) request = request.eq("assigned_to", assignee);
+  return request;
+};
+
+// The first page of each tab, and the last orders opened with their logs, kept in this
+// browser per user so they still show offline. Searches aren't kept. Not left to the
+// service worker, which could only cache the authenticated responses by URL, whoever
+// is signed in.
+const SNAPSHOT_ORDERS = 20;
+const snapshotPrefix = (userId) => `baruk-snapshot:${userId}:`;
+const listSnapshotKey = ({ userId, statuses, search, assignee }) =>
+  search ? null : `${snapshotPrefix(userId)}list:${statuses?.join(",") || "all"}:${assignee || ""}`;
+const orderSnapshotKey = (userId, code) => `${snapshotPrefix(userId)}order:${code}`;
+const logsSnapshotKey = (userId, code) => `${snapshotPrefix(userId)}logs:${code}`;
+const readSnapshot = (key) => JSON.parse(localStorage.getItem(key) || "null");
+// A full browser storage only costs the offline copy.
+const saveSnapshot = (key, data) => {
+  try { localStorage.setItem(key, JSON.stringify(data)); } catch (err) { console.error("[saveSnapshot]", err); }
+};
+// Keeps only the SNAPSHOT_ORDERS orders opened most recently, and their logs.
+const pruneOrderSnapshots = (userId) => {
+  const prefix = orderSnapshotKey(userId, "");
+  Object.keys(localStorage).filter(k => k.startsWith(prefix))
+    .map(k => ({ code: k.slice(prefix.length), at: readSnapshot(k)?.at ?? 0 }))
+    .sort((a, b) => b.at - a.at).slice(SNAPSHOT_ORDERS)
+    .forEach(({ code }) => {
+      localStorage.removeItem(orderSnapshotKey(userId, code));
+      localStorage.removeItem(logsSnapshotKey(userId, code));
+    });
+};
+const clearSnapshots = (userId) => Object.keys(localStorage)
+  .filter(k => k.startsWith(snapshotPrefix(userId))).forEach(k => localStorage.removeItem(k));
+
+// Every order matching `filter`, a page of a thousand at a time, for work that has to
+// see them all: exports, imports and shipments.
+const fetchOrders = async ({ statuses, search, assignee, ids, codes, shipmentId, forShipments } = {}) => {
+  const all = [];
+  for (let from = 0; ; from += 1000) {
+    let request = selectOrders({ statuses, search, assignee }).range(from, from + 999);
+    if (ids)          request = request.in("id", ids);
+    if (codes)        request = request.in("order_code", codes);
+    if (shipmentId)   request = request.eq("shipment_id", shipmentId);
+    if (forShipments) request = request.or(`shipment_id.not.is.null,status.in.(${SHIPPABLE_STATUSES.join(",")})`);
+    const { data, error } = await request;
+    if (error) { console.error("[fetchOrders]", error); return all; }
+    all.push(...data.map(dbOrderToApp));
+    if (data.length < 1000) return all;
+  }
+};
+
+const fetchLogs = async (orderIds) => {
+  const all = [];
+  for (let i = 0; i < orderIds.length; i += 100) {
+    const { data, error } = await supabase.from("order_logs").select("*")
+      .in("order_id", orderIds.slice(i, i + 100)).order("created_at", { ascending: true });
+    if (error) { console.error("[fetchLogs]", error); return all; }
+    all.push(...data.map(dbLogToApp));
+  }
+  return all;
+};
+
+// Staff, or with a `search` every account whose name or email contains it, for the team screen.
+const fetchProfiles = async (search) => {
+  const term = search.replace(/[%,()*\\]/g, "");
+  let request = supabase.from("profiles").select("id, name, email, phone, role").order("name").limit(50);
+  request = term ? request.or(`name.ilike.%${term}%,email.ilike.%${term}%`) : request.in("role", STAFF_ROLES);
+  const { data, error } = await request;
+  if (error) { console.error("[fetchProfiles]", error); return []; }
+  return data;
+};
+
 export default function App() {
   const [user, setUser]             = useState(null);
-  const [authView, setAuthView]     = useState("home");
   const [appLoading, setAppLoading] = useState(true);
-  const [orders, setOrders]         = useState([]);
-  const [logs, setLogs]             = useState([]);
+  const [list, setList]             = useState({ rows: [], total: 0 }); // loaded pages of the tab and search, as raw rows
+  const [openRow, setOpenRow]       = useState(null); // the open order, raw
+  const [summary, setSummary]       = useState({ counts: {}, overdue: 0, total: 0, revenue: 0 });
+  const [logs, setLogs]             = useState([]); // the open order's
   const [customers, setCustomers]   = useState([]);
+  const [countries, setCountries]   = useState([]);
+  const [tariffs, setTariffs]       = useState([]);
+  const [customs, setCustoms]       = useState(null);
+  const [exchangeRates, setExchangeRates] = useState([]);
+  const [shipments, setShipments]   = useState([]);
+  const [outbox, setOutbox]         = useState([]);
+  const [online, setOnline]         = useState(navigator.onLine);
+  const [dataReady, setDataReady]   = useState(false);
+  const [notificationPrefs, setNotificationPrefs] = useState({ push: {}, message: {} });
+  const [messageChannel, setMessageChannel] = useState("sms");
+  const [showNotifications, setShowNotifications] = useState(false);
+  const [toasts, setToasts]         = useState([]);
+  const { pathname, query, href }   = useLocation();
   const realtimeRef                 = useRef(null);
+  const handlersRef                 = useRef({});
+  // What the loaders fetch; kept in a ref so realtime callbacks always see the current view.
+  const viewRef                     = useRef({ userId: null, statuses: null, search: null, assignee: null, openCode: null });
+  const storeRef                    = useRef({ list, openRow });
+  const summaryTimer                = useRef(null);
+  const toastId                     = useRef(0);
+
+  const orders    = useMemo(() => list.rows.map(dbOrderToApp), [list.rows]);
+  const openOrder = useMemo(() => openRow && dbOrderToApp(openRow), [openRow]);
+  useEffect(() => { storeRef.current = { list, openRow }; }, [list, openRow]);
+
+  const showNewOrder = pathname === "/orders/new";
+  const selectedCode = showNewOrder ? null : matchPath("/orders/:code", pathname)?.code;
 
   const profileToUser = (authUser, profile) => ({
     id:    authUser.id,
@@ -941,140 +2634,934 @@ export default function App() {
     if (profile) setUser(profileToUser(authUser, profile));
   }, []);
 
-  const loadOrders = useCallback(async () => {
-    const { data, error } = await supabase.from("orders").select("*").order("created_at", { ascending: false });
-    if (error) { console.error("[loadOrders]", error); return; }
-    if (data) setOrders(data.map(dbOrderToApp));
+  // The first page of the current tab and search or, to catch up after missed changes,
+  // as many orders as are loaded already.
+  const loadList = useCallback(async ({ reload = false } = {}) => {
+    const size = reload ? Math.max(storeRef.current.list.rows.length, PAGE_SIZE) : PAGE_SIZE;
+    const key = listSnapshotKey(viewRef.current);
+    const { data, count, error } = await selectOrders(viewRef.current, { count: "exact" }).range(0, size - 1);
+    if (error) {
+      console.error("[loadList]", error);
+      const snapshot = isOffline() && key && readSnapshot(key);
+      if (snapshot) setList(snapshot);
+      return;
+    }
+    const loaded = { rows: data, total: count ?? data.length };
+    setList(loaded);
+    if (key) saveSnapshot(key, loaded);
+  }, []);
+
+  // The next page, after the last loaded (created_at, id) rather than by offset, so orders
+  // arriving meanwhile don't shift it and orders created in the same instant aren't skipped.
+  const onLoadMore = async () => {
+    const { rows } = storeRef.current.list;
+    const { created_at: at, id } = rows[rows.length - 1];
+    const { data, error } = await selectOrders(viewRef.current)
+      .or(`created_at.lt."${at}",and(created_at.eq."${at}",id.lt.${id})`).limit(PAGE_SIZE);
+    if (error) { console.error("[onLoadMore]", error); return; }
+    setList(l => ({ ...l, rows: data.reduce(upsertById, l.rows) }));
+  };
+
+  // The order whose sheet is open, which may be on no loaded page (a shared link, or a quote that moved it off the tab).
+  const loadOpenOrder = useCallback(async () => {
+    const { userId, openCode: code } = viewRef.current;
+    if (!code) { setOpenRow(null); return; }
+    const key = orderSnapshotKey(userId, code);
+    const { data, error } = await supabase.from("orders").select(ORDER_SELECT).eq("order_code", code).maybeSingle();
+    if (error) {
+      console.error("[loadOpenOrder]", error);
+      const snapshot = isOffline() && readSnapshot(key);
+      if (snapshot) setOpenRow(snapshot.row);
+      return;
+    }
+    setOpenRow(data);
+    if (data) {
+      saveSnapshot(key, { row: data, at: Date.now() });
+      pruneOrderSnapshots(userId);
+    }
+  }, []);
+
+  const loadSummary = useCallback(async () => {
+    const { data, error } = await supabase.rpc("order_summary", { p_assigned_to: viewRef.current.assignee });
+    if (error) { console.error("[loadSummary]", error); return; }
+    setSummary({ counts: data.counts, overdue: data.overdue, total: data.total, revenue: Number(data.revenue) || 0 });
   }, []);
 
   const loadLogs = useCallback(async () => {
-    const { data } = await supabase.from("order_logs").select("*").order("created_at", { ascending: true });
-    if (data) setLogs(data.map(dbLogToApp));
+    const { userId, openCode: code } = viewRef.current;
+    if (!code) { setLogs([]); return; }
+    const key = logsSnapshotKey(userId, code);
+    const { data, error } = await supabase.from("order_logs").select("*, orders!inner(order_code)")
+      .eq("orders.order_code", code).order("created_at", { ascending: true });
+    if (error) {
+      console.error("[loadLogs]", error);
+      const snapshot = isOffline() && readSnapshot(key);
+      if (snapshot) setLogs(snapshot.map(dbLogToApp));
+      return;
+    }
+    setLogs(data.map(dbLogToApp));
+    if (data.length) saveSnapshot(key, data);
   }, []);
 
+  // One change, from realtime or from one of our own writes, applied wherever it shows.
+  const applyChange = useCallback(async (change) => {
+    const { table, eventType } = change;
+    if (table === "order_logs") {
+      if (eventType === "DELETE") setLogs(ls => ls.filter(l => l.id !== change.old.id));
+      else if (change.new.order_id === storeRef.current.openRow?.id) {
+        setLogs(ls => upsertById(ls, dbLogToApp(change.new)).sort((a, b) => a.createdAt.localeCompare(b.createdAt)));
+      }
+      return;
+    }
+    const view = viewRef.current;
+    setList(l => applyOrderChange(l, change, view));
+    setOpenRow(open => applyOpenOrderChange(open, change));
+    if (table === "orders" || table === "refunds") {
+      clearTimeout(summaryTimer.current);
+      summaryTimer.current = setTimeout(loadSummary, 1000);
+    }
+    if (enteredView(storeRef.current.list, change, view)) {
+      const { data } = await supabase.from("orders").select(ORDER_SELECT).eq("id", change.new.id).maybeSingle();
+      if (data) setList(l => applyOrderChange(l, { table, eventType: "INSERT", new: data }, view));
+    }
+  }, [loadSummary]);
+
+  // Our own writes are applied from the rows they return, without waiting for realtime;
+  // the echo that follows then changes nothing.
+  const saved = (table, rows, eventType = "UPDATE") =>
+    [].concat(rows || []).forEach(row => applyChange({ table, eventType, new: row }));
+
+  const dismissToast = (id) => setToasts(ts => ts.filter(t => t.id !== id));
+
+  // Tells the user about a write that failed where no form is left to show it. `retry`
+  // ({ op, args }) names the handler a Retry button runs again, via the outbox like the
+  // first attempt; toasts without one go away by themselves.
+  // While the outbox replays, failures show on its banner instead, and the op stays queued.
+  const toast = (message, retry) => {
+    if (isReplaying()) return;
+    const id = ++toastId.current;
+    const action = retry && { label: "Retry", run: () => queued(retry.op)(...retry.args) };
+    setToasts(ts => [...ts, { id, message, action }].slice(-3));
+    if (!retry) setTimeout(() => dismissToast(id), 6000);
+  };
+
+  // Every edit to an order, with its activity entry. It shows at once, is written in one
+  // transaction by update_order_logged, and is put back if that fails, so the timeline
+  // never records a change that didn't happen. Given `retry`, a failure is toasted;
+  // otherwise the caller reports the { error } itself.
+  const changeOrder = async (orderId, patch, { event, notes }, retry) => {
+    const current = () => {
+      const { list, openRow } = storeRef.current;
+      return openRow?.id === orderId ? openRow : list.rows.find(r => r.id === orderId);
+    };
+    const before = current();
+    if (before) applyChange(patchedOrder(before, patch));
+    const { data, error } = await supabase.rpc("update_order_logged", { p_order_id: orderId, p_patch: patch, p_event: event, p_notes: notes || "" });
+    if (!error) {
+      saved("orders", data.order);
+      saved("order_logs", data.log, "INSERT");
+      return { error: null };
+    }
+    console.error("[changeOrder]", event, error);
+    // Only the patched fields go back, so changes others made meanwhile stay.
+    if (before) applyChange(patchedOrder(current() || before, undoPatch(before, patch)));
+    if (retry) toast(`${before?.order_code || "The order"} was not updated: ${error.message}`, retry);
+    return { error };
+  };
+
+  // Handlers act on the open order or on loaded ones; an outbox replay may name one that is neither.
+  const getOrder = async (id) =>
+    (openOrder?.id === id ? openOrder : orders.find(o => o.id === id)) || (await fetchOrders({ ids: [id] }))[0];
+
   const loadCustomers = useCallback(async () => {
     const { data } = await supabase.from("profiles").select("*").eq("role", "customer");
     if (data) setCustomers(data.map(p => ({ id: p.id, name: p.name, phone: p.phone, email: p.email, role: "customer", createdAt: p.created_at })));
   }, []);
 
+  const loadShipments = useCallback(async () => {
+    const { data, error } = await supabase.from("shipments").select("*").order("created_at", { ascending: false });
+    if (error) { console.error("[loadShipments]", error); return; }
+    setShipments(data.map(dbShipmentToApp));
+  }, []);
+
+  // Source countries, tariff categories, customs levies and exchange rates used to price quotes.
+  const loadRates = useCallback(async () => {
+    const [countryRes, tariffRes, customsRes, fxRes] = await Promise.all([
+      supabase.from("source_countries").select("*").order("position"),
+      supabase.from("tariff_categories").select("*").order("position"),
+      supabase.from("customs_settings").select("*").maybeSingle(),
+      supabase.from("exchange_rates").select("*").order("effective_from", { ascending: false }),
+    ]);
+    const error = countryRes.error || tariffRes.error || customsRes.error || fxRes.error;
+    if (error) { console.error("[loadRates]", error); return; }
+    setCountries(countryRes.data.map(dbCountryToApp));
+    setTariffs(tariffRes.data.map(dbTariffToApp));
+    setCustoms(customsRes.data ? dbCustomsToApp(customsRes.data) : null);
+    setExchangeRates(fxRes.data.map(dbExchangeRateToApp));
+  }, []);
+
+  const loadNotificationPrefs = useCallback(async () => {
+    const [prefRes, settingsRes] = await Promise.all([
+      supabase.from("notification_preferences").select("channel, event, enabled"),
+      supabase.from("message_settings").select("channel").maybeSingle(),
+    ]);
+    const error = prefRes.error || settingsRes.error;
+    if (error) { console.error("[loadNotificationPrefs]", error); return; }
+    const prefs = { push: {}, message: {} };
+    prefRes.data.forEach(p => { prefs[p.channel][p.event] = p.enabled; });
+    setNotificationPrefs(prefs);
+    setMessageChannel(settingsRes.data?.channel || "sms");
+  }, []);
+
   const addLog = async (orderId, actorName, actorRole, event, notes = "") => {
-    await supabase.from("order_logs").insert({ order_id: orderId, actor_name: actorName, actor_role: actorRole, event, notes });
-    await loadLogs();
+    const { data, error } = await supabase.from("order_logs").insert({ order_id: orderId, actor_name: actorName, actor_role: actorRole, event, notes }).select().single();
+    if (error) { console.error("[addLog]", error); return; }
+    saved("order_logs", data, "INSERT");
   };
 
   useEffect(() => {
-    supabase.auth.getSession().then(({ data: { session } }) => {
-      if (session?.user) loadProfile(session.user);
+    // Wait for the profile too, so a deep link isn't bounced to /login while it loads.
+    supabase.auth.getSession().then(async ({ data: { session } }) => {
+      if (session?.user) await loadProfile(session.user);
       setAppLoading(false);
     });
     const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
       if (session?.user) { loadProfile(session.user); }
-      else { setUser(null); setOrders([]); setLogs([]); }
+      else { setUser(null); setList({ rows: [], total: 0 }); setOpenRow(null); setLogs([]); setDataReady(false); }
     });
     return () => subscription.unsubscribe();
   }, [loadProfile]);
 
+  // A new tab, search or queue starts again from the first page; typing is debounced.
+  // The tab counts are per queue, so switching queue reloads them too.
+  useEffect(() => {
+    if (!user) return;
+    const staff = isStaff(user.role);
+    const assignee = staff && query.mine ? user.id : null;
+    const queueChanged = assignee !== viewRef.current.assignee;
+    viewRef.current = { ...viewRef.current, userId: user.id, statuses: tabFor(staff ? "staff" : "customer", query.tab).statuses, search: searchQuery(query.q), assignee };
+    if (queueChanged) loadSummary();
+    const timer = setTimeout(loadList, query.q ? 300 : 0);
+    return () => clearTimeout(timer);
+  }, [user, query.tab, query.q, query.mine, loadList, loadSummary]);
+
+  useEffect(() => {
+    if (!user) return;
+    viewRef.current.openCode = selectedCode || null;
+    loadOpenOrder();
+    loadLogs();
+  }, [user, selectedCode, loadOpenOrder, loadLogs]);
+
+  useEffect(() => {
+    if (!user) return;
+    loadSummary().then(() => setDataReady(true));
+    loadRates(); loadNotificationPrefs(); if (isStaff(user.role)) { loadCustomers(); loadShipments(); }
+  }, [user, loadSummary, loadCustomers, loadShipments, loadRates, loadNotificationPrefs]);
+
+  // Staff hear about everything; customers about their own orders here, and about
+  // the child rows of the orders they have loaded on the channel below.
   useEffect(() => {
     if (!user) return;
-    loadOrders(); loadLogs(); if (user.role === "admin") loadCustomers();
+    const staff = isStaff(user.role);
     if (realtimeRef.current) supabase.removeChannel(realtimeRef.current);
-    const channel = supabase.channel("sourcing-realtime")
-      .on("postgres_changes", { event: "*", schema: "public", table: "orders" },     () => loadOrders())
-      .on("postgres_changes", { event: "*", schema: "public", table: "order_logs" }, () => loadLogs())
-      .subscribe();
+    const onChange = (payload) => applyChange(payload);
+    let channel = supabase.channel("sourcing-realtime")
+      .on("postgres_changes", { event: "*", schema: "public", table: "orders", ...(staff ? {} : { filter: `customer_id=eq.${user.id}` }) }, onChange);
+    if (staff) {
+      for (const table of ORDER_CHILD_TABLES) channel = channel.on("postgres_changes", { event: "*", schema: "public", table }, onChange);
+      channel = channel.on("postgres_changes", { event: "*", schema: "public", table: "shipments" }, () => loadShipments());
+    }
+    // Changes made while the connection was down are never sent, so catch up on rejoining.
+    let joined = false;
+    channel.subscribe((status) => {
+      if (status !== "SUBSCRIBED") return;
+      if (joined) { loadList({ reload: true }); loadOpenOrder(); loadSummary(); if (staff) loadShipments(); }
+      joined = true;
+    });
     realtimeRef.current = channel;
     return () => supabase.removeChannel(channel);
-  }, [user, loadOrders, loadLogs, loadCustomers]);
+  }, [user, applyChange, loadList, loadOpenOrder, loadSummary, loadShipments]);
+
+  // A customer's child rows, filtered by the ids of the orders on screen (realtime
+  // takes up to 100), so the channel is replaced when those change. Rejoining after
+  // a dropped connection is caught up by the channel above.
+  const watchedIds = user && !isStaff(user.role)
+    ? [...new Set([openRow?.id, ...list.rows.map(r => r.id)].filter(Boolean))].slice(0, 100).sort().join(",")
+    : "";
+  useEffect(() => {
+    if (!watchedIds) return;
+    let channel = supabase.channel(`order-rows-${Date.now()}`);
+    for (const table of ORDER_CHILD_TABLES) {
+      if (table !== "notification_deliveries") {
+        channel = channel.on("postgres_changes", { event: "*", schema: "public", table, filter: `order_id=in.(${watchedIds})` }, (payload) => applyChange(payload));
+      }
+    }
+    channel.subscribe();
+    return () => supabase.removeChannel(channel);
+  }, [watchedIds, applyChange]);
+
+  // The open order's activity, on a channel of its own that follows the sheet.
+  const openId = openRow?.id;
+  useEffect(() => {
+    if (!user || !openId) return;
+    let joined = false;
+    const channel = supabase.channel(`order-logs-${openId}`)
+      .on("postgres_changes", { event: "*", schema: "public", table: "order_logs", filter: `order_id=eq.${openId}` }, (payload) => applyChange(payload))
+      .subscribe((status) => {
+        if (status !== "SUBSCRIBED") return;
+        if (joined) loadLogs();
+        joined = true;
+      });
+    return () => supabase.removeChannel(channel);
+  }, [user, openId, applyChange, loadLogs]);
+
+  // Signed-out visitors go to /login and come back afterwards; signed-in users live under /orders.
+  // /track is open to everyone.
+  const isPublicPath = ["/", "/login", "/signup", "/track"].includes(pathname);
+  useEffect(() => {
+    if (appLoading) return;
+    if (!user && !isPublicPath) navigate(withQuery("/login", { next: href }), { replace: true });
+    if (user && !pathname.startsWith("/orders") && pathname !== "/track") {
+      const next = query.next?.startsWith("/") && !query.next.startsWith("//") ? query.next : "/orders";
+      navigate(next, { replace: true });
+    }
+  }, [appLoading, user, isPublicPath, pathname, href, query.next]);
+
+  // A push notification clicked while the app is open asks this tab to show the order.
+  useEffect(() => {
+    const onMessage = (e) => { if (e.data?.type === "NAVIGATE" && e.data.url) navigate(e.data.url); };
+    navigator.serviceWorker?.addEventListener("message", onMessage);
+    return () => navigator.serviceWorker?.removeEventListener("message", onMessage);
+  }, []);
+
+  useEffect(() => subscribe(setOutbox), []);
+
+  useEffect(() => {
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener("online", update);
+    window.addEventListener("offline", update);
+    return () => { window.removeEventListener("online", update); window.removeEventListener("offline", update); };
+  }, []);
+
+  // Queued writes replay once the connection is back and the orders they refer to are loaded.
+  useEffect(() => {
+    if (user && online && dataReady) replay(user.id, () => handlersRef.current);
+  }, [user, online, dataReady]);
 
   const onCreateOrder = async (form) => {
-    const orderCode = generateOrderCode();
-    const { data, error } = await supabase.from("orders").insert({
-      order_code:       orderCode,
+    const items = form.items.map(it => ({ ...it, name: it.name.trim(), quantity: parseInt(it.quantity) || 1 }));
+    const sum = (k) => items.reduce((s, it) => s + (parseFloat(it[k]) || 0), 0) || null;
+    // order_code is filled in by the database (next_order_code). The order, its items
+    // and its log entry are written in one transaction (create_order_logged).
+    const { data, error } = await supabase.rpc("create_order_logged", { p_order: {
       customer_id:      user.id,
       customer_name:    user.name,
       customer_phone:   user.phone,
       customer_email:   user.email,
-      product_name:     form.productName,
-      description:      form.description,
-      quantity:         parseInt(form.quantity) || 1,
-      budget_min:       parseFloat(form.budgetMin) || null,
-      budget_max:       parseFloat(form.budgetMax) || null,
-      reference_links:  form.referenceLinks || null,
-      source_country:   "China",
+      product_name:     itemsSummary(items),
+      quantity:         items.reduce((s, it) => s + it.quantity, 0),
+      budget_min:       sum("budgetMin"),
+      budget_max:       sum("budgetMax"),
+      source_country:   form.sourceCountry || null,
       delivery_address: form.deliveryAddress,
       status:           "pending",
       payment_status:   "unpaid",
-    }).select().single();
-    if (error) { console.error("[onCreateOrder]", error); return null; }
-    await addLog(data.id, user.name, "customer", "REQUEST_SUBMITTED", `${form.productName} — Qty ${form.quantity}`);
-    return dbOrderToApp(data);
+    }, p_items: items.map((it, i) => ({
+      position:        i,
+      name:            it.name,
+      description:     it.description || null,
+      quantity:        it.quantity,
+      budget_min:      parseFloat(it.budgetMin) || null,
+      budget_max:      parseFloat(it.budgetMax) || null,
+      reference_links: it.referenceLinks || null,
+    })), p_notes: items.map(it => `${it.name} — Qty ${it.quantity}`).join("; ") });
+    if (error) { console.error("[onCreateOrder]", error); toast("Your request was not submitted. Please try again."); return { error }; }
+    saved("orders", data.order, "INSERT");
+    saved("order_logs", data.log, "INSERT");
+    const orderId = data.order.id;
+    if (form.files?.length) {
+      const upload = await onUploadAttachments(orderId, form.files);
+      // Replayed from the outbox the order now exists, so only the files that failed queue again.
+      if (upload.error && isReplaying()) await enqueue({ op: "uploadAttachments", args: upload.args, userId: user.id, orderId });
+    }
+    return { order: dbOrderToApp(data.order), error: null };
   };
 
-  const onSendQuote = async (orderId, quoteData) => {
-    const { error } = await supabase.from("orders").update({
+  // Every quote, first or revised, is kept as a new version; the order carries the current one.
+  // `noteSuffix` is added to the log entry, e.g. to tell imported quotes apart. Resolves to { error }.
+  const writeQuote = async (order, quoteData, noteSuffix = "") => {
+    const orderId = order.id;
+    const isRevision = order.status === "quoted";
+    if (!isRevision) {
+      const transitionError = checkTransition({ ...order, totalCost: quoteData.totalCost }, "quoted", user.role);
+      if (transitionError) return { error: transitionError };
+    }
+    const version = (order.quoteVersion || 0) + 1;
+    const summary = `Total KES ${quoteData.totalCost.toLocaleString()} — Est. ${quoteData.estimatedDays || "?"} days`;
+    const patch = {
       product_cost:   quoteData.productCost,
       shipping_cost:  quoteData.shippingCost,
       customs_duty:   quoteData.customsDuty,
       service_fee:    quoteData.serviceFee,
       total_cost:     quoteData.totalCost,
       balance_due:    quoteData.balanceDue,
+      deposit_percent: quoteData.depositPercent,
       estimated_days: quoteData.estimatedDays,
+      source_country: quoteData.sourceCountry || null,
+      weight_kg:      quoteData.weightKg,
+      tariff_category: quoteData.tariffCategory,
+      quote_currency: quoteData.currency,
+      quote_exchange_rate: quoteData.exchangeRate,
+      product_cost_foreign: quoteData.productCostForeign,
       admin_notes:    quoteData.adminNotes,
+      quote_version:  version,
+      quote_response: null,
+      quote_response_notes: null,
+      counter_amount: null,
       status:         "quoted",
-    }).eq("id", orderId);
-    if (error) { console.error("[onSendQuote]", error); return; }
-    await addLog(orderId, user.name, "admin", "QUOTE_SENT", `Total KES ${quoteData.totalCost.toLocaleString()} — Est. ${quoteData.estimatedDays || "?"} days`);
-    await loadOrders();
+    };
+    const { event, notes } = isRevision
+      ? { event: "QUOTE_REVISED", notes: `v${version}: ${summary}${noteSuffix}` }
+      : { event: "QUOTE_SENT", notes: summary + noteSuffix };
+    // The quote version, the item costs, the order and its log entry land together or not at all.
+    const { data, error } = await supabase.rpc("send_quote_logged", {
+      p_order_id: orderId,
+      p_quote: {
+        version,
+        product_cost:   quoteData.productCost,
+        shipping_cost:  quoteData.shippingCost,
+        customs_duty:   quoteData.customsDuty,
+        service_fee:    quoteData.serviceFee,
+        total_cost:     quoteData.totalCost,
+        estimated_days: parseInt(quoteData.estimatedDays) || null,
+        deposit_percent: quoteData.depositPercent,
+        item_costs:     quoteData.itemCosts.map(c => ({ item_id: c.itemId, unit_cost: c.unitCost, unit_price_foreign: c.unitPriceForeign })),
+        currency:       quoteData.currency,
+        exchange_rate:  quoteData.exchangeRate,
+        product_cost_foreign: quoteData.productCostForeign,
+        breakdown:      quoteData.breakdown || null,
+        notes:          quoteData.adminNotes || null,
+        created_by:     user.name,
+      },
+      p_item_costs: quoteData.itemCosts.map(c => ({ item_id: c.itemId, unit_cost: c.unitCost })),
+      p_patch: patch, p_event: event, p_notes: notes,
+    });
+    if (error) { console.error("[writeQuote]", error); return { error: error.message }; }
+    saved("order_quotes", data.quote, "INSERT");
+    saved("order_items", data.items);
+    saved("orders", data.order);
+    saved("order_logs", data.log, "INSERT");
+    return { error: null };
+  };
+
+  const onSendQuote = async (orderId, quoteData) => {
+    const order = await getOrder(orderId);
+    const { error } = await writeQuote(order, quoteData);
+    if (error) toast(`The quote for ${order.orderCode} was not sent: ${error}`, { op: "sendQuote", args: [orderId, quoteData] });
+    return { error };
   };
 
   const onApproveQuote = async (orderId) => {
-    await supabase.from("orders").update({ status: "approved" }).eq("id", orderId);
-    await addLog(orderId, user.name, "customer", "ORDER_APPROVED", "Customer approved quote and paid deposit");
-    await loadOrders();
+    const transitionError = checkTransition(await getOrder(orderId), "approved", user.role);
+    if (transitionError) { toast(transitionError); return { error: transitionError }; }
+    return changeOrder(orderId, { status: "approved" }, { event: "ORDER_APPROVED", notes: "Customer approved quote" },
+      { op: "approveQuote", args: [orderId] });
   };
 
-  const onUpdatePayment = async (orderId, mpesaCode) => {
-    const order = orders.find(o => o.id === orderId);
-    const depositAmount = order?.totalCost || 0;
-    await supabase.from("orders").update({
-      payment_status: "deposit_paid",
-      mpesa_code:     mpesaCode,
-      deposit_paid:   depositAmount,
-      balance_due:    0,
-    }).eq("id", orderId);
-    await addLog(orderId, user.name, "customer", "DEPOSIT_PAID", `M-Pesa code: ${mpesaCode} — KES ${depositAmount.toLocaleString()}`);
-    await loadOrders();
+  const onRespondToQuote = async (orderId, responseType, { notes, amount }) => {
+    const text = amount ? `Offered KES ${amount.toLocaleString()}${notes ? ` — ${notes}` : ""}` : notes;
+    return changeOrder(orderId, {
+      quote_response:       responseType,
+      quote_response_notes: notes || null,
+      counter_amount:       amount || null,
+    }, { event: QUOTE_RESPONSES[responseType].event, notes: text },
+    { op: "respondToQuote", args: [orderId, responseType, { notes, amount }] });
   };
 
+  // Starts an STK Push; the order is marked paid by the mpesa-callback function once Daraja confirms.
+  // Resolves to an error message when the request could not be sent.
+  const onRequestPayment = async (orderId) => {
+    if (isOffline()) return "You're offline — connect to the internet to pay with M-Pesa.";
+    const { error } = await supabase.functions.invoke("mpesa-stk-push", { body: { orderId } });
+    if (error) {
+      console.error("[onRequestPayment]", error);
+      const body = await error.context?.json?.().catch(() => null);
+      return body?.error || "Could not reach M-Pesa. Please try again.";
+    }
+    return null;
+  };
+
+  // Resolves to { error }, a message the caller can show when the move is not allowed or failed.
   const onUpdateStatus = async (orderId, newStatus) => {
-    await supabase.from("orders").update({ status: newStatus }).eq("id", orderId);
-    await addLog(orderId, user.name, "admin", "STATUS_UPDATED", `Status changed to: ${newStatus.replace(/_/g, " ")}`);
-    await loadOrders();
+    const transitionError = checkTransition(await getOrder(orderId), newStatus, user.role);
+    if (transitionError) return { error: transitionError };
+    const { error } = await changeOrder(orderId, { status: newStatus }, { event: "STATUS_UPDATED", notes: `Status changed to: ${newStatus.replace(/_/g, " ")}` },
+      { op: "updateStatus", args: [orderId, newStatus] });
+    return { error: error?.message || null };
+  };
+
+  const onRequestCancellation = async (orderId, reason) => {
+    const order = await getOrder(orderId);
+    if (!CUSTOMER_CANCELLABLE.includes(order.status)) {
+      const error = `${order.orderCode} is ${STATUS_CONFIG[order.status].label.toLowerCase()} and can no longer be cancelled.`;
+      toast(error);
+      return { error };
+    }
+    return changeOrder(orderId, {
+      cancel_status:       "requested",
+      cancel_reason:       reason,
+      cancel_requested_at: new Date().toISOString(),
+    }, { event: "CANCEL_REQUESTED", notes: reason }, { op: "requestCancellation", args: [orderId, reason] });
+  };
+
+  // Resolves to { error }, a message the caller can show when the order can no longer be cancelled.
+  const onDecideCancellation = async (orderId, approve, response) => {
+    const order = await getOrder(orderId);
+    const retry = { op: "decideCancellation", args: [orderId, approve, response] };
+    if (!approve) {
+      const { error } = await changeOrder(orderId, { cancel_status: "refused", cancel_response: response }, { event: "CANCEL_REFUSED", notes: response }, retry);
+      return { error: error?.message || null };
+    }
+    const transitionError = checkTransition(order, "cancelled", user.role);
+    if (transitionError) return { error: transitionError };
+    // The refund below is worked out from what has been paid so far, so wait for an
+    // M-Pesa prompt still open on the customer's phone to complete or fail first.
+    if (order.payments.some(p => p.status === "pending")) return { error: "A payment is still waiting on the customer's phone. Decide once it completes or fails." };
+    const { error } = await changeOrder(orderId, {
+      status:          "cancelled",
+      cancel_status:   "approved",
+      cancel_response: response || null,
+    }, { event: "CANCEL_APPROVED", notes: response || order.cancelReason }, retry);
+    if (error) return { error: error.message };
+    // Without refund rights the amount stays on the order's Refunds card for finance.
+    // A failed refund is toasted with its own retry; the cancellation itself is done.
+    const refundable = (Number(order.amountPaid) || 0) - refundedAmount(order);
+    if (refundable > 0 && can(user.role, "managePayments")) await onCreateRefund(orderId, refundable, `Cancelled: ${order.cancelReason || response || "customer request"}`);
+    return { error: null };
+  };
+
+  const onCreateRefund = async (orderId, amount, reason) => {
+    const { data, error } = await supabase.from("refunds").insert({ order_id: orderId, amount, reason: reason || null, created_by: user.name }).select().single();
+    if (error) {
+      console.error("[onCreateRefund]", error);
+      toast(`The refund of KES ${amount.toLocaleString()} was not recorded.`, { op: "createRefund", args: [orderId, amount, reason] });
+      return { error };
+    }
+    saved("refunds", data, "INSERT");
+    await addLog(orderId, user.name, user.role, "REFUND_CREATED", `KES ${amount.toLocaleString()}${reason ? ` — ${reason}` : ""}`);
+    return { error: null };
+  };
+
+  const onUpdateRefund = async (orderId, refundId, { status, mpesaReversalRef }) => {
+    const closing = status === "closed";
+    const { data, error } = await supabase.from("refunds").update({
+      status,
+      mpesa_reversal_ref: mpesaReversalRef || null,
+      updated_at:         new Date().toISOString(),
+      closed_at:          closing ? new Date().toISOString() : null,
+    }).eq("id", refundId).select().single();
+    if (error) {
+      console.error("[onUpdateRefund]", error);
+      toast("The refund was not updated.", { op: "updateRefund", args: [orderId, refundId, { status, mpesaReversalRef }] });
+      return { error };
+    }
+    saved("refunds", data);
+    await addLog(orderId, user.name, user.role, closing ? "REFUND_CLOSED" : "REFUND_UPDATED",
+      `Refund ${status}${mpesaReversalRef ? ` — M-Pesa ref ${mpesaReversalRef}` : ""}`);
+    return { error: null };
+  };
+
+  // Finance accepts a payment M-Pesa flagged as the wrong amount; confirm_payment credits
+  // what was received and logs it.
+  const onConfirmPayment = async (orderId, paymentId) => {
+    const { data, error } = await supabase.rpc("confirm_payment", { p_payment_id: paymentId });
+    if (error) {
+      console.error("[onConfirmPayment]", error);
+      toast(`The payment was not confirmed: ${error.message}`);
+      return;
+    }
+    saved("orders", data);
+    saved("payments", { id: paymentId, order_id: orderId, status: "confirmed" });
+  };
+
+  // Internal files are staff-only, so they are not announced in the customer-visible timeline.
+  // A failure names the files still to attach, so a retry doesn't upload the rest again.
+  const onUploadAttachments = async (orderId, files, { internal = false } = {}) => {
+    let uploaded = 0;
+    const failed = [];
+    for (const file of files) {
+      const blob = await compressImage(file);
+      const fileName = blob === file ? file.name : file.name.replace(/\.[^.]+$/, "") + ".jpg";
+      const path = `${orderId}/${crypto.randomUUID()}-${fileName.replace(/[^\w.-]+/g, "_")}`;
+      const { error: uploadError } = await supabase.storage.from(ATTACHMENTS_BUCKET).upload(path, blob, { contentType: blob.type || file.type });
+      if (uploadError) { console.error("[onUploadAttachments]", uploadError); failed.push(file); continue; }
+      const { data, error } = await supabase.from("order_attachments").insert({
+        order_id:      orderId,
+        path,
+        file_name:     fileName,
+        mime_type:     blob.type || file.type,
+        size_bytes:    blob.size,
+        internal,
+        uploaded_by:   user.id,
+        uploader_role: user.role,
+      }).select().single();
+      if (error) { console.error("[onUploadAttachments]", error); failed.push(file); continue; }
+      saved("order_attachments", data, "INSERT");
+      uploaded++;
+    }
+    if (uploaded && !internal) await addLog(orderId, user.name, user.role, "ATTACHMENT_ADDED", `${uploaded} file${uploaded > 1 ? "s" : ""} attached`);
+    if (!failed.length) return { error: null };
+    const error = `${failed.length} file${failed.length > 1 ? "s were" : " was"} not attached.`;
+    const args = [orderId, failed, { internal }];
+    toast(error, { op: "uploadAttachments", args });
+    return { error, args };
+  };
+
+  const onSaveCountry = async (country) => {
+    const { error } = await supabase.from("source_countries").upsert({
+      code:                 country.code,
+      name:                 country.name,
+      shipping_rate_per_kg: country.shippingRatePerKg,
+      transit_days:         country.transitDays,
+      service_fee_percent:  country.serviceFeePercent,
+      active:               country.active,
+      position:             country.position,
+      updated_at:           new Date().toISOString(),
+    });
+    if (error) { console.error("[onSaveCountry]", error); return; }
+    await loadRates();
+  };
+
+  const onSaveTariff = async (tariff) => {
+    const { error } = await supabase.from("tariff_categories").upsert({
+      code:                tariff.code,
+      name:                tariff.name,
+      import_duty_percent: tariff.importDutyPercent,
+      excise_percent:      tariff.excisePercent,
+      vat_percent:         tariff.vatPercent,
+      active:              tariff.active,
+      position:            tariff.position,
+      updated_at:          new Date().toISOString(),
+    });
+    if (error) { console.error("[onSaveTariff]", error); return; }
+    await loadRates();
+  };
+
+  const onSaveCustoms = async (settings) => {
+    const { error } = await supabase.from("customs_settings").update({
+      idf_percent:          settings.idfPercent,
+      rdl_percent:          settings.rdlPercent,
+      insurance_percent:    settings.insurancePercent,
+      volumetric_kg_per_m3: settings.volumetricKgPerM3,
+      updated_at:           new Date().toISOString(),
+    }).eq("id", true);
+    if (error) { console.error("[onSaveCustoms]", error); return; }
+    await loadRates();
+  };
+
+  const onAddExchangeRate = async ({ currency, kesPerUnit, effectiveFrom }) => {
+    const { error } = await supabase.from("exchange_rates").upsert({
+      currency,
+      kes_per_unit:   kesPerUnit,
+      effective_from: effectiveFrom,
+      created_by:     user.name,
+    }, { onConflict: "currency,effective_from" });
+    if (error) { console.error("[onAddExchangeRate]", error); return error.message; }
+    await loadRates();
+    return null;
+  };
+
+  // Applies one admin action to many orders. Each order is checked and logged on its own,
+  // and the outcome comes back per order so partial failures are visible.
+  // Selected orders can be off the loaded page (selected on another tab), so those are fetched;
+  // any that can't be, deleted or no longer visible, come back as skipped rather than vanishing.
+  const onBulkAction = async (orderIds, { type, value }) => {
+    const skipped = (id, error) => ({ orderId: id, orderCode: orders.find(o => o.id === id)?.orderCode || "Unknown order", error });
+    if (isOffline()) return orderIds.map(id => skipped(id, "You're offline"));
+    const loaded = orders.filter(o => orderIds.includes(o.id));
+    const missing = orderIds.filter(id => !loaded.some(o => o.id === id));
+    const targets = missing.length ? [...loaded, ...await fetchOrders({ ids: missing })] : loaded;
+    const results = orderIds.filter(id => !targets.some(o => o.id === id)).map(id => skipped(id, "Skipped: order not found"));
+    for (const o of targets) {
+      const change =
+        type === "status"   ? { patch: { status: value }, event: "STATUS_UPDATED", notes: `Status changed to: ${value.replace(/_/g, " ")}`,
+                                error: o.status === value ? "Already in this status" : checkTransition(o, value, user.role) }
+        : type === "tracking" ? { patch: { tracking_number: value, carrier: null }, event: "TRACKING_ADDED", notes: `Tracking number: ${value}` }
+        : { patch: { admin_notes: value }, event: "NOTE_ADDED", notes: value };
+      let error = change.error || null;
+      if (!error && (await changeOrder(o.id, change.patch, change)).error) error = "Could not update this order";
+      results.push({ orderId: o.id, orderCode: o.orderCode, error });
+    }
+    return results;
+  };
+
+  // Applies the rows of a checked CSV import (see planImport) one order at a time,
+  // logging each change as if made by hand. Imported tracking numbers are left for
+  // the carrier-sync cron rather than checked with the carrier row by row.
+  const onImportOrders = async (kind, rows) => {
+    if (isOffline()) return rows.map(r => ({ line: r.line, error: "You're offline" }));
+    const results = [];
+    for (const { line, order, change } of rows) {
+      if (kind === "quotes") {
+        const { error } = await writeQuote(order, importedQuoteData(order, change), " (CSV import)");
+        results.push({ line, error });
+      } else {
+        const { error } = await changeOrder(order.id, { tracking_number: change.trackingNumber, carrier: null },
+          { event: "TRACKING_ADDED", notes: `Tracking number: ${change.trackingNumber} (CSV import)` });
+        results.push({ line, error: error ? "Could not update this order" : null });
+      }
+    }
+    return results;
   };
 
-  const onAddNote = async (orderId, note) => {
-    await supabase.from("orders").update({ admin_notes: note }).eq("id", orderId);
-    await addLog(orderId, user.name, "admin", "NOTE_ADDED", note);
-    await loadOrders();
+  // `assignee` is { id, name } from the team list, or null to unassign; orders_assign fills in the name and time.
+  const onAssignOrder = async (orderId, assignee) => {
+    const order = await getOrder(orderId);
+    const notes = !assignee ? `Unassigned from ${order?.assignedName || "nobody"}`
+      : order?.assignedName ? `Reassigned from ${order.assignedName} to ${assignee.name}` : `Assigned to ${assignee.name}`;
+    return changeOrder(orderId, { assigned_to: assignee?.id || null, assigned_name: assignee?.name || null },
+      { event: "ORDER_ASSIGNED", notes }, { op: "assignOrder", args: [orderId, assignee] });
   };
 
+  const onAddNote = async (orderId, note) =>
+    changeOrder(orderId, { admin_notes: note }, { event: "NOTE_ADDED", notes: note }, { op: "addNote", args: [orderId, note] });
+
+  // A new number may belong to a different carrier, so the stored one is cleared for carrier-sync to detect again.
   const onAddTracking = async (orderId, trackingNumber) => {
-    await supabase.from("orders").update({ tracking_number: trackingNumber }).eq("id", orderId);
-    await addLog(orderId, user.name, "admin", "TRACKING_ADDED", `Tracking number: ${trackingNumber}`);
-    await loadOrders();
+    const { error } = await changeOrder(orderId, { tracking_number: trackingNumber, carrier: null },
+      { event: "TRACKING_ADDED", notes: `Tracking number: ${trackingNumber}` }, { op: "addTracking", args: [orderId, trackingNumber] });
+    if (error) return { error };
+    // The number is saved either way; the cron job checks the carrier again later.
+    const syncError = await onSyncTracking(orderId);
+    if (syncError) console.error("[onAddTracking]", syncError);
+    return { error: null };
+  };
+
+  // Asks carrier-sync for the carrier's latest checkpoints; it advances the order itself.
+  // Resolves to an error message when the carrier could not be checked.
+  const onSyncTracking = async (orderId) => {
+    if (isOffline()) return "You're offline — connect to the internet to check the carrier.";
+    const { error } = await supabase.functions.invoke("carrier-sync", { body: { orderId } });
+    if (error) {
+      const body = await error.context?.json?.().catch(() => null);
+      return body?.error || "Could not reach the carrier. Please try again.";
+    }
+    return null;
+  };
+
+  // Saves a shipment and which orders are in it. Orders in a shipment with a tracking
+  // number take it on, so carrier-sync and the "shipped" guard see it on each order.
+  // Resolves to an error message when the shipment could not be saved.
+  const onSaveShipment = async (shipment, orderIds) => {
+    const row = {
+      mode:             shipment.mode,
+      carrier:          shipment.carrier || null,
+      tracking_number:  shipment.trackingNumber.trim() || null,
+      departed_on:      shipment.departedOn || null,
+      arrived_on:       shipment.arrivedOn || null,
+      freight_cost:     shipment.freightCost || null,
+      allocation_basis: shipment.allocationBasis,
+      notes:            shipment.notes || null,
+      updated_at:       new Date().toISOString(),
+    };
+    const { data, error } = shipment.id
+      ? await supabase.from("shipments").update(row).eq("id", shipment.id).select().single()
+      : await supabase.from("shipments").insert({ ...row, created_by: user.name }).select().single();
+    if (error) { console.error("[onSaveShipment]", error); return "Could not save the shipment."; }
+
+    // Each order joining or leaving is its own logged change.
+    const grouped = await fetchOrders({ shipmentId: data.id });
+    const joining = orderIds.filter(id => !grouped.some(o => o.id === id));
+    const moves = [
+      ...grouped.filter(o => !orderIds.includes(o.id))
+        .map(o => ({ o, shipmentId: null, notes: `Removed from shipment ${data.reference}` })),
+      ...(joining.length ? await fetchOrders({ ids: joining }) : [])
+        .map(o => ({ o, shipmentId: data.id, notes: `Added to shipment ${data.reference}` })),
+    ];
+    const unmoved = [];
+    for (const { o, shipmentId, notes } of moves) {
+      const { error: moveError } = await changeOrder(o.id, { shipment_id: shipmentId }, { event: "SHIPMENT_UPDATED", notes });
+      if (moveError) unmoved.push(o.orderCode);
+    }
+    if (unmoved.length) return `Shipment saved, but ${unmoved.join(", ")} could not be moved.`;
+
+    const untracked = [];
+    if (data.tracking_number) {
+      for (const o of (await fetchOrders({ ids: orderIds })).filter(o => o.trackingNumber !== data.tracking_number)) {
+        const { error: trackingError } = await changeOrder(o.id, { tracking_number: data.tracking_number, carrier: data.carrier },
+          { event: "TRACKING_ADDED", notes: `Tracking number: ${data.tracking_number} (shipment ${data.reference})` });
+        if (trackingError) untracked.push(o.orderCode);
+      }
+    }
+    await loadShipments();
+    return untracked.length ? `Shipment saved, but the tracking number could not be set on ${untracked.join(", ")}.` : null;
+  };
+
+  // Moves every order in the shipment along with it, logging each one. Orders already
+  // past that point are left alone; orders the move isn't allowed for yet (e.g. balance
+  // unpaid before delivery) stay put and are listed in the returned message.
+  const onUpdateShipmentStatus = async (shipmentId, status) => {
+    const shipment = shipments.find(s => s.id === shipmentId);
+    if (!shipment) { await loadShipments(); return "This shipment is no longer in the list. Check it and try again."; }
+    const skipped = [];
+    for (const o of (await fetchOrders({ shipmentId })).filter(o => STATUS_CONFIG[o.status].step < STATUS_CONFIG[status].step)) {
+      const transitionError = checkTransition(o, status, user.role);
+      if (transitionError) { skipped.push(`${o.orderCode}: ${transitionError}`); continue; }
+      const { error } = await changeOrder(o.id, { status },
+        { event: "STATUS_UPDATED", notes: `Status changed to: ${status.replace(/_/g, " ")} (shipment ${shipment.reference})` });
+      if (error) skipped.push(`${o.orderCode}: could not be updated`);
+    }
+    const today = new Date().toISOString().slice(0, 10);
+    const { error } = await supabase.from("shipments").update({
+      status,
+      departed_on: status === "shipped" ? shipment.departedOn || today : shipment.departedOn,
+      arrived_on:  status === "customs" ? shipment.arrivedOn || today : shipment.arrivedOn,
+      updated_at:  new Date().toISOString(),
+    }).eq("id", shipmentId);
+    if (error) console.error("[onUpdateShipmentStatus]", error);
+    await loadShipments();
+    const problems = [
+      ...(error ? [`The shipment is still ${shipment.status.replace(/_/g, " ")}: ${error.message}`] : []),
+      ...(skipped.length ? [`Not moved:\n${skipped.join("\n")}`] : []),
+    ];
+    return problems.length ? problems.join("\n\n") : null;
+  };
+
+  // Shares the shipment's freight bill across its orders' shipping costs and re-totals
+  // each order. A paid-in-full order's bill is settled, so nothing changes while one is in it.
+  const onAllocateFreight = async (shipmentId) => {
+    const shipment = shipments.find(s => s.id === shipmentId);
+    const grouped = await fetchOrders({ shipmentId });
+    const settled = grouped.find(o => o.paymentStatus === "paid_in_full");
+    if (settled) return `${settled.orderCode} is already paid in full, so its shipping cost can't change.`;
+    const { shares, error } = allocateFreight(grouped, shipment.freightCost, shipment.allocationBasis);
+    if (error) return error;
+    const basis = ALLOCATION_BASES.find(b => b.value === shipment.allocationBasis).label.toLowerCase();
+    // Every order and its log entry in one transaction: a split is never half applied.
+    const { data, error: allocateError } = await supabase.rpc("allocate_freight", {
+      p_shipment_id: shipmentId,
+      p_shares: grouped.map(o => ({
+        order_id:      o.id,
+        shipping_cost: shares[o.id],
+        notes:         `Shipping set to ${fmt(shares[o.id])}: share of ${shipment.reference} freight, ${basis}`,
+      })),
+    });
+    if (allocateError) { console.error("[onAllocateFreight]", allocateError); return allocateError.message; }
+    saved("orders", data.orders);
+    saved("order_logs", data.logs, "INSERT");
+    return null;
+  };
+
+  const onEnablePush = async () => {
+    try {
+      const sub = await subscribePush();
+      const { error } = await supabase.from("push_subscriptions").upsert({
+        user_id:    user.id,
+        endpoint:   sub.endpoint,
+        p256dh:     sub.keys.p256dh,
+        auth:       sub.keys.auth,
+        user_agent: navigator.userAgent,
+      }, { onConflict: "endpoint" });
+      if (error) throw error;
+      return null;
+    } catch (err) {
+      console.error("[onEnablePush]", err);
+      return err.message || "Could not turn on notifications.";
+    }
+  };
+
+  const onDisablePush = async () => {
+    try {
+      const endpoint = await unsubscribePush();
+      if (endpoint) await supabase.from("push_subscriptions").delete().eq("endpoint", endpoint);
+      return null;
+    } catch (err) {
+      console.error("[onDisablePush]", err);
+      return err.message || "Could not turn off notifications.";
+    }
+  };
+
+  const onSetPreference = async (channel, event, enabled) => {
+    setNotificationPrefs(p => ({ ...p, [channel]: { ...p[channel], [event]: enabled } }));
+    const { error } = await supabase.from("notification_preferences").upsert({
+      user_id:    user.id,
+      channel,
+      event,
+      enabled,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) { console.error("[onSetPreference]", error); await loadNotificationPrefs(); }
+  };
+
+  const onSetMessageChannel = async (channel) => {
+    setMessageChannel(channel);
+    const { error } = await supabase.from("message_settings").upsert({
+      user_id:    user.id,
+      channel,
+      updated_at: new Date().toISOString(),
+    });
+    if (error) { console.error("[onSetMessageChannel]", error); await loadNotificationPrefs(); }
   };
 
-  const handleSignOut = async () => { await supabase.auth.signOut(); setUser(null); };
+  // Owners only (profiles_guard_role). Resolves to an error message when the role was not changed.
+  const onSetRole = async (profileId, role) => {
+    const { error } = await supabase.from("profiles").update({ role }).eq("id", profileId);
+    if (error) { console.error("[onSetRole]", error); return error.message; }
+    return null;
+  };
+
+  const handleSignOut = async () => {
+    clearSnapshots(user.id);
+    await supabase.auth.signOut(); setUser(null);
+    navigate("/", { replace: true });
+  };
+
+  // Handlers the outbox can replay, by name. Payments are left out: STK Push needs the customer's phone right now.
+  useEffect(() => {
+    handlersRef.current = {
+      createOrder: onCreateOrder, sendQuote: onSendQuote, approveQuote: onApproveQuote, respondToQuote: onRespondToQuote,
+      requestCancellation: onRequestCancellation, decideCancellation: onDecideCancellation,
+      createRefund: onCreateRefund, updateRefund: onUpdateRefund, uploadAttachments: onUploadAttachments,
+      updateStatus: onUpdateStatus, addNote: onAddNote, addTracking: onAddTracking, assignOrder: onAssignOrder,
+    };
+  });
+
+  // Writes made offline are queued in the outbox instead of failing; the first argument is always the order id.
+  const queued = (op) => async (...args) => {
+    if (!isOffline()) return handlersRef.current[op](...args);
+    await enqueue({ op, args, userId: user.id, orderId: op === "createOrder" ? null : args[0] });
+    return { queued: true, error: null };
+  };
 
   if (appLoading) return <LoadingScreen />;
 
+  if (pathname === "/track") return <TrackPage initialCode={query.code || ""} onBack={() => navigate(user ? "/orders" : "/")} />;
+
   if (!user) {
-    if (authView === "signup") return <><SignupScreen onBack={() => setAuthView("login")} /><InstallBanner /></>;
-    if (authView === "login")  return <><LoginScreen onGoSignup={() => setAuthView("signup")} onBack={() => setAuthView("home")} /><InstallBanner /></>;
-    return <><HomePage onSignup={() => setAuthView("signup")} onLogin={() => setAuthView("login")} /><InstallBanner /></>;
+    const next = { next: query.next };
+    if (pathname === "/signup") return <><SignupScreen onBack={() => navigate(withQuery("/login", next))} /><InstallBanner /></>;
+    if (pathname === "/login")  return <><LoginScreen onGoSignup={() => navigate(withQuery("/signup", next))} onBack={() => navigate("/")} /><InstallBanner /></>;
+    return <><HomePage onSignup={() => navigate("/signup")} onLogin={() => navigate("/login")} onTrack={() => navigate("/track")} /><InstallBanner /></>;
   }
 
-  const myOrders = user.role === "admin" ? orders : orders.filter(o => o.customerId === user.id);
+  // The list's copy shows at once when a card is tapped; the open order's own fetch replaces it.
+  const selectedOrder = !selectedCode ? null
+    : openOrder?.orderCode === selectedCode ? openOrder : orders.find(o => o.orderCode === selectedCode);
+  const listProps = { orders, orderTotal: list.total, summary, selectedOrder, onLoadMore };
+  const listQuery = { tab: query.tab, q: query.q, mine: query.mine };
+  // Sheets opened from the list pop back to it, so the back button and ✕ behave the same.
+  const closeSheet = () => window.history.state?.sheet
+    ? window.history.back()
+    : navigate(withQuery("/orders", listQuery), { replace: true });
+  const onSelectOrder = (code) => code
+    ? navigate(withQuery(`/orders/${code}`, listQuery), { state: { sheet: true } })
+    : closeSheet();
+  const onNewOrder = (open) => open ? navigate("/orders/new", { state: { sheet: true } }) : closeSheet();
+  const onQuery = (patch) => navigate(withQuery(pathname, { ...listQuery, ...patch }), { replace: true });
+  const myQueue = outbox.filter(o => o.userId === user.id);
+  const failedSync = myQueue.find(o => o.error);
+  const retrySync = () => replay(user.id, () => handlersRef.current);
+  const pendingSync = new Set(myQueue.map(o => o.orderId));
 
   return (
     <div style={{ fontFamily: "'DM Sans', system-ui, sans-serif", minHeight: "100dvh", background: "#F9FAFB" }}>
@@ -1084,16 +3571,36 @@ export default function App() {
           <span style={{ fontSize: 16, fontWeight: 900, color: "#fff", letterSpacing: "-0.5px" }}>Baruk</span>
         </div>
         <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+          <button onClick={() => setShowNotifications(true)} title="Notifications" style={{ fontSize: 15, background: "none", border: "none", cursor: "pointer", padding: 0 }}>🔔</button>
           <div style={{ fontSize: 13, color: "#9CA3AF" }}>{user.name}</div>
-          <span style={{ fontSize: 10, fontWeight: 700, color: "#DC2626", background: "rgba(220,38,38,0.15)", padding: "2px 8px", borderRadius: 20, textTransform: "uppercase" }}>{user.role}</span>
+          <span style={{ fontSize: 10, fontWeight: 700, color: "#DC2626", background: "rgba(220,38,38,0.15)", padding: "2px 8px", borderRadius: 20, textTransform: "uppercase" }}>{ROLES[user.role]?.label || user.role}</span>
           <button onClick={handleSignOut} style={{ fontSize: 12, color: "#6B7280", background: "none", border: "1px solid #374151", borderRadius: 8, padding: "4px 12px", cursor: "pointer", fontFamily: "inherit" }}>Sign Out</button>
         </div>
       </div>
 
-      {user.role === "admin"
-        ? <AdminDashboard orders={orders} onSendQuote={onSendQuote} onUpdateStatus={onUpdateStatus} onAddNote={onAddNote} onAddTracking={onAddTracking} customers={customers} logs={logs} currentUser={user} />
-        : <CustomerApp orders={myOrders} onCreateOrder={onCreateOrder} onApproveQuote={onApproveQuote} onUpdatePayment={onUpdatePayment} logs={logs} currentUser={user} />
+      {(!online || myQueue.length > 0) && (
+        <div style={{ background: online ? "#FFFBEB" : "#374151", color: online ? "#92400E" : "#F9FAFB", fontSize: 12, fontWeight: 600, padding: "8px 20px", textAlign: "center" }}>
+          {online && failedSync ? <>
+              A saved change could not be synced: {failedSync.error}
+              <button onClick={retrySync} style={{ marginLeft: 10, fontSize: 12, fontWeight: 700, color: "#92400E", background: "none", border: "1px solid #FCD34D", borderRadius: 8, padding: "2px 10px", cursor: "pointer", fontFamily: "inherit" }}>Retry</button>
+              <button onClick={() => discard(failedSync.id).then(retrySync)} style={{ marginLeft: 6, fontSize: 12, fontWeight: 700, color: "#92400E", background: "none", border: "1px solid #FCD34D", borderRadius: 8, padding: "2px 10px", cursor: "pointer", fontFamily: "inherit" }}>Discard</button>
+            </>
+            : online
+            ? `Syncing ${myQueue.length} saved change${myQueue.length > 1 ? "s" : ""}…`
+            : `You're offline — showing your last loaded orders.${myQueue.length ? ` ${myQueue.length} change${myQueue.length > 1 ? "s" : ""} will sync when you reconnect.` : ""}`}
+        </div>
+      )}
+
+      {isStaff(user.role)
+        ? <AdminDashboard {...listProps} onSelect={onSelectOrder} query={query} onQuery={onQuery} pendingSync={pendingSync} countries={countries} tariffs={tariffs} customs={customs} exchangeRates={exchangeRates} onSaveCountry={onSaveCountry} onSaveTariff={onSaveTariff} onSaveCustoms={onSaveCustoms} onAddExchangeRate={onAddExchangeRate} onSendQuote={queued("sendQuote")} onUpdateStatus={queued("updateStatus")} onAddNote={queued("addNote")} onAddTracking={queued("addTracking")} onSyncTracking={onSyncTracking} onBulkAction={onBulkAction} onImportOrders={onImportOrders} onFetchOrders={fetchOrders} onFetchLogs={fetchLogs} shipments={shipments} onSaveShipment={onSaveShipment} onUpdateShipmentStatus={onUpdateShipmentStatus} onAllocateFreight={onAllocateFreight} onDecideCancellation={queued("decideCancellation")} onCreateRefund={queued("createRefund")} onUpdateRefund={queued("updateRefund")} onConfirmPayment={onConfirmPayment} onUploadAttachments={queued("uploadAttachments")} onFetchProfiles={fetchProfiles} onSetRole={onSetRole} onAssignOrder={queued("assignOrder")} customers={customers} logs={logs} currentUser={user} />
+        : <CustomerApp {...listProps} onSelect={onSelectOrder} query={query} onQuery={onQuery} showNewOrder={showNewOrder} onNewOrder={onNewOrder} countries={countries} pendingSync={pendingSync} queuedRequests={myQueue.filter(o => o.op === "createOrder")} onCreateOrder={queued("createOrder")} onApproveQuote={queued("approveQuote")} onRespondToQuote={queued("respondToQuote")} onRequestPayment={onRequestPayment} onRequestCancellation={queued("requestCancellation")} onUploadAttachments={queued("uploadAttachments")} logs={logs} currentUser={user} />
       }
+      {showNotifications && (
+        <NotificationSettings role={isStaff(user.role) ? "admin" : "customer"} prefs={notificationPrefs} messageChannel={messageChannel}
+          onSetPreference={onSetPreference} onSetMessageChannel={onSetMessageChannel}
+          onEnablePush={onEnablePush} onDisablePush={onDisablePush} onClose={() => setShowNotifications(false)} />
+      )}
+      <Toasts toasts={toasts} onDismiss={dismissToast} />
       <InstallBanner />
     </div>
   );
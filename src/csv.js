@@ -0,0 +1,56 @@
+// ============================================================
+// CSV
+// ============================================================
+// Values are quoted when they need to be, and a leading =, +, - or @ is
+// escaped so spreadsheet apps show it as text instead of running a formula.
+// parseCsv reads back what Excel, Google Sheets and LibreOffice save as CSV.
+
+const cell = (v) => {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  if (/^[=+\-@]/.test(s) && typeof v !== "number") s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/** `columns` is a list of { label, value: (row) => any }. */
+export const toCsv = (rows, columns) =>
+  [columns.map(c => cell(c.label)), ...rows.map(r => columns.map(c => cell(c.value(r))))]
+    .map(line => line.join(","))
+    .join("\r\n");
+
+/**
+ * Splits CSV text into rows of cells; quoted cells may hold commas, quotes and newlines.
+ * Blank rows are kept, so row numbers match what a spreadsheet shows.
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [], cur = "", quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") { row.push(cur); cur = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cur); rows.push(row); row = []; cur = "";
+    } else cur += ch;
+  }
+  if (cur || row.length) { row.push(cur); rows.push(row); }
+  return rows;
+};
+
+/** Saves `content` (text, or a ready-made Blob) as a file through a temporary download link. */
+export const downloadFile = (filename, content, type = "text/csv;charset=utf-8") => {
+  // The BOM makes Excel read CSV as UTF-8.
+  const blob = content instanceof Blob ? content : new Blob([type.startsWith("text/csv") ? "\uFEFF" + content : content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement("a"), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { toCsv, parseCsv } from "./csv";
+
+const columns = [{ label: "Name", value: r => r.name }, { label: "Amount", value: r => r.amount }];
+
+describe("toCsv", () => {
+  it("quotes cells holding commas, quotes or newlines", () => {
+    expect(toCsv([{ name: 'Phone, "blue"\nsize M', amount: 1200 }], columns))
+      .toBe('Name,Amount\r\n"Phone, ""blue""\nsize M",1200');
+  });
+
+  it("escapes text that a spreadsheet would run as a formula", () => {
+    const rows = ["=HYPERLINK(\"x\")", "+254700000001", "-5", "@SUM(A1)"].map(name => ({ name, amount: null }));
+    expect(toCsv(rows, columns).split("\r\n").slice(1))
+      .toEqual(["\"'=HYPERLINK(\"\"x\"\")\",", "'+254700000001,", "'-5,", "'@SUM(A1),"]);
+  });
+
+  it("leaves negative numbers as numbers", () => {
+    expect(toCsv([{ name: "Refund", amount: -500 }], columns)).toBe("Name,Amount\r\nRefund,-500");
+  });
+});
+
+describe("parseCsv", () => {
+  it("reads quoted commas, quotes and newlines", () => {
+    expect(parseCsv('Name,Notes\r\n"Phone, blue","Say ""hi""\nthen leave"\r\n'))
+      .toEqual([["Name", "Notes"], ["Phone, blue", 'Say "hi"\nthen leave']]);
+  });
+
+  it("drops the byte-order mark Excel writes", () => {
+    expect(parseCsv("\uFEFFOrder Code\nBRK-7KX4M2N")).toEqual([["Order Code"], ["BRK-7KX4M2N"]]);
+  });
+
+  it("keeps blank rows and empty cells", () => {
+    expect(parseCsv("a,b\n\n,2\n")).toEqual([["a", "b"], [""], ["", "2"]]);
+  });
+
+  it("reads back what toCsv writes", () => {
+    const rows = [{ name: 'x, "y"\r\nz', amount: 3 }];
+    expect(parseCsv(toCsv(rows, columns))).toEqual([["Name", "Amount"], ['x, "y"\r\nz', "3"]]);
+  });
+});
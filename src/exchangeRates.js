@@ -0,0 +1,21 @@
+// ============================================================
+// EXCHANGE RATES
+// ============================================================
+// Every amount on an order is stored and totalled in KES. Supplier prices in
+// other currencies are converted at quote time with the rate in force that day,
+// and the original amount and rate are kept on the quote for reference.
+
+export const BASE_CURRENCY = "KES";
+export const CURRENCIES = ["USD", "CNY", "AED", "GBP", "EUR", "TRY"];
+
+/** The latest rate for a currency whose effective date is on or before `on`, or null. */
+export const rateFor = (rates, currency, on = new Date()) => {
+  if (currency === BASE_CURRENCY) return { currency, kesPerUnit: 1, effectiveFrom: null };
+  const day = new Date(on).toISOString().slice(0, 10);
+  return rates
+    .filter(r => r.currency === currency && r.effectiveFrom <= day)
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+};
+
+export const fmtForeign = (amount, currency) =>
+  `${currency} ${Number(amount).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
@@ -0,0 +1,29 @@
+import { describe, it, expect } from "vitest";
+import { rateFor } from "./exchangeRates";
+
+const rates = [
+  { currency: "USD", kesPerUnit: 129.5, effectiveFrom: "2026-10-01" },
+  { currency: "USD", kesPerUnit: 130.2, effectiveFrom: "2026-10-15" },
+  { currency: "CNY", kesPerUnit: 18.1,  effectiveFrom: "2026-10-10" },
+];
+
+describe("rateFor", () => {
+  it("uses the latest rate in force on the day", () => {
+    expect(rateFor(rates, "USD", "2026-10-12T09:00:00Z").kesPerUnit).toBe(129.5);
+    expect(rateFor(rates, "USD", "2026-10-19T09:00:00Z").kesPerUnit).toBe(130.2);
+  });
+
+  it("counts a rate from its effective day", () => {
+    expect(rateFor(rates, "USD", "2026-10-15T00:00:00Z").kesPerUnit).toBe(130.2);
+    expect(rateFor(rates, "CNY", "2026-10-10T23:59:00Z").kesPerUnit).toBe(18.1);
+  });
+
+  it("has no rate before a currency's first one", () => {
+    expect(rateFor(rates, "USD", "2026-09-30T12:00:00Z")).toBeNull();
+    expect(rateFor(rates, "GBP", "2026-10-19T12:00:00Z")).toBeNull();
+  });
+
+  it("always converts KES at 1, with or without rates", () => {
+    expect(rateFor([], "KES")).toEqual({ currency: "KES", kesPerUnit: 1, effectiveFrom: null });
+  });
+});
@@ -0,0 +1,38 @@
+// ============================================================
+// CLIENT-SIDE IMAGE COMPRESSION
+// ============================================================
+// Phone photos are often 3–8 MB; most of our users upload over mobile data,
+// so images are scaled down and re-encoded as JPEG before they leave the device.
+
+const COMPRESSIBLE = ["image/jpeg", "image/png", "image/webp", "image/heic", "image/heif"];
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+  img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+  img.onerror = () => { URL.revokeObjectURL(url); reject(new Error(`Cannot read image ${file.name}`)); };
+  img.src = url;
+});
+
+/**
+ * Resolves to a smaller JPEG Blob for photos, or the original file when it is
+ * not an image, cannot be decoded here, or would not get any smaller.
+ */
+export const compressImage = async (file, { maxDimension = 1600, quality = 0.8 } = {}) => {
+  if (!COMPRESSIBLE.includes(file.type)) return file;
+  let img;
+  try { img = await loadImage(file); } catch { return file; }
+
+  const scale = Math.min(1, maxDimension / Math.max(img.naturalWidth, img.naturalHeight));
+  const canvas = document.createElement("canvas");
+  canvas.width  = Math.round(img.naturalWidth * scale);
+  canvas.height = Math.round(img.naturalHeight * scale);
+  const ctx = canvas.getContext("2d");
+  // JPEG has no alpha: paint transparent PNG areas white instead of black.
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const blob = await new Promise(resolve => canvas.toBlob(resolve, "image/jpeg", quality));
+  return blob && blob.size < file.size ? blob : file;
+};
@@ -0,0 +1,91 @@
+// ============================================================
+// LANDED COST / KENYAN CUSTOMS CALCULATOR
+// ============================================================
+// Pure functions only: the quote form passes in the rates it loaded from
+// source_countries, tariff_categories and customs_settings.
+//
+// Kenyan import charges are all based on the CIF value (cost + insurance + freight):
+//   import duty = CIF × duty rate
+//   excise      = (CIF + import duty) × excise rate
+//   VAT         = (CIF + import duty + excise) × VAT rate
+//   IDF         = CIF × IDF rate       (Import Declaration Fee)
+//   RDL         = CIF × RDL rate       (Railway Development Levy)
+
+const round = (n) => Math.round(n || 0);
+const pct = (n) => (parseFloat(n) || 0) / 100;
+
+/** Air freight is charged on whichever is larger: actual weight or volumetric weight. */
+export const chargeableWeight = (weightKg, volumeM3, kgPerM3) =>
+  Math.max(parseFloat(weightKg) || 0, (parseFloat(volumeM3) || 0) * (parseFloat(kgPerM3) || 0));
+
+/**
+ * @param {object} input
+ * @param {{ quantity: number, unitPrice: number|string }[]} input.items  supplier prices in the foreign currency
+ * @param {number} input.exchangeRate      KES per unit of the foreign currency
+ * @param {number} input.weightKg
+ * @param {number} input.volumeM3
+ * @param {number} input.shippingRatePerKg KES, from the source country
+ * @param {number} input.marginPercent     service fee as a share of the goods value
+ * @param {{ importDutyPercent: number, excisePercent: number, vatPercent: number }} input.tariff
+ * @param {{ idfPercent: number, rdlPercent: number, insurancePercent: number, volumetricKgPerM3: number }} input.settings
+ * @returns the full breakdown in whole KES, plus the rates used so it can be explained later.
+ */
+export const computeLandedCost = ({ items, exchangeRate, weightKg, volumeM3, shippingRatePerKg, marginPercent, tariff, settings }) => {
+  const rate = parseFloat(exchangeRate) || 0;
+  const goodsForeign = items.reduce((s, i) => s + (parseFloat(i.unitPrice) || 0) * (i.quantity || 0), 0);
+  const goods = goodsForeign * rate;
+  const kg = chargeableWeight(weightKg, volumeM3, settings.volumetricKgPerM3);
+  const freight = kg * (parseFloat(shippingRatePerKg) || 0);
+  const insurance = goods * pct(settings.insurancePercent);
+  const cif = goods + insurance + freight;
+
+  const importDuty = cif * pct(tariff.importDutyPercent);
+  const excise = (cif + importDuty) * pct(tariff.excisePercent);
+  const vat = (cif + importDuty + excise) * pct(tariff.vatPercent);
+  const idf = cif * pct(settings.idfPercent);
+  const rdl = cif * pct(settings.rdlPercent);
+  const customsDuty = importDuty + excise + vat + idf + rdl;
+  const serviceFee = goods * pct(marginPercent);
+
+  return {
+    goodsForeign: Math.round(goodsForeign * 100) / 100,
+    exchangeRate: rate,
+    goods:        round(goods),
+    chargeableKg: Math.round(kg * 100) / 100,
+    freight:      round(freight),
+    insurance:    round(insurance),
+    cif:          round(cif),
+    importDuty:   round(importDuty),
+    excise:       round(excise),
+    vat:          round(vat),
+    idf:          round(idf),
+    rdl:          round(rdl),
+    customsDuty:  round(customsDuty),
+    shippingCost: round(freight + insurance),
+    serviceFee:   round(serviceFee),
+    rates: {
+      shippingRatePerKg: parseFloat(shippingRatePerKg) || 0,
+      marginPercent:     parseFloat(marginPercent) || 0,
+      importDutyPercent: parseFloat(tariff.importDutyPercent) || 0,
+      excisePercent:     parseFloat(tariff.excisePercent) || 0,
+      vatPercent:        parseFloat(tariff.vatPercent) || 0,
+      idfPercent:        parseFloat(settings.idfPercent) || 0,
+      rdlPercent:        parseFloat(settings.rdlPercent) || 0,
+      insurancePercent:  parseFloat(settings.insurancePercent) || 0,
+    },
+  };
+};
+
+/** Lines shown to explain a saved breakdown, in calculation order. */
+export const BREAKDOWN_LINES = [
+  ["goods",      "Goods value"],
+  ["freight",    "Freight"],
+  ["insurance",  "Insurance"],
+  ["cif",        "CIF value"],
+  ["importDuty", "Import duty"],
+  ["excise",     "Excise duty"],
+  ["vat",        "VAT"],
+  ["idf",        "IDF"],
+  ["rdl",        "RDL"],
+  ["serviceFee", "Service fee"],
+];
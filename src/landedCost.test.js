@@ -0,0 +1,90 @@
+import { describe, it, expect } from "vitest";
+import { chargeableWeight, computeLandedCost } from "./landedCost";
+
+const NO_TAX = { importDutyPercent: 0, excisePercent: 0, vatPercent: 0 };
+const NO_FEES = { idfPercent: 0, rdlPercent: 0, insurancePercent: 0, volumetricKgPerM3: 167 };
+
+describe("chargeableWeight", () => {
+  it("charges actual weight when it is the larger", () => {
+    expect(chargeableWeight(5, 0.01, 167)).toBe(5);
+  });
+
+  it("charges volumetric weight when it is the larger", () => {
+    expect(chargeableWeight(2, 0.02, 167)).toBeCloseTo(3.34);
+  });
+
+  it("reads form strings and treats blanks as zero", () => {
+    expect(chargeableWeight("1.5", "", "167")).toBe(1.5);
+    expect(chargeableWeight("", "0.1", 200)).toBe(20);
+    expect(chargeableWeight(undefined, undefined, undefined)).toBe(0);
+  });
+});
+
+describe("computeLandedCost", () => {
+  const input = {
+    items:             [{ quantity: 2, unitPrice: "10.5" }, { quantity: 1, unitPrice: 4 }],
+    exchangeRate:      "130",
+    weightKg:          "2",
+    volumeM3:          "0.02",
+    shippingRatePerKg: 800,
+    marginPercent:     10,
+    tariff:            { importDutyPercent: 25, excisePercent: 10, vatPercent: 16 },
+    settings:          { idfPercent: 3.5, rdlPercent: 2, insurancePercent: 1, volumetricKgPerM3: 167 },
+  };
+
+  it("builds every charge on CIF, in the Kenyan order", () => {
+    // goods 25 × 130 = 3250; freight 3.34 kg × 800 = 2672; insurance 32.5; CIF 5954.5
+    // duty 1488.625; excise 744.3125; VAT 1309.99; IDF 208.4075; RDL 119.09
+    expect(computeLandedCost(input)).toMatchObject({
+      goodsForeign: 25,
+      exchangeRate: 130,
+      goods:        3250,
+      chargeableKg: 3.34,
+      freight:      2672,
+      insurance:    33,
+      cif:          5955,
+      importDuty:   1489,
+      excise:       744,
+      vat:          1310,
+      idf:          208,
+      rdl:          119,
+      customsDuty:  3870,
+      shippingCost: 2705,
+      serviceFee:   325,
+    });
+  });
+
+  it("records the rates used, as numbers", () => {
+    expect(computeLandedCost(input).rates).toEqual({
+      shippingRatePerKg: 800, marginPercent: 10, importDutyPercent: 25, excisePercent: 10,
+      vatPercent: 16, idfPercent: 3.5, rdlPercent: 2, insurancePercent: 1,
+    });
+  });
+
+  it("rounds the customs total from the exact charges, not the rounded lines", () => {
+    const result = computeLandedCost({
+      items: [{ quantity: 1, unitPrice: 1 }], exchangeRate: 100, shippingRatePerKg: 0, marginPercent: 0,
+      tariff: { ...NO_TAX, importDutyPercent: 0.4 }, settings: { ...NO_FEES, idfPercent: 0.4, rdlPercent: 0.4 },
+    });
+    expect([result.importDuty, result.idf, result.rdl]).toEqual([0, 0, 0]);
+    expect(result.customsDuty).toBe(1);
+  });
+
+  it("rounds KES to the shilling and the foreign total to the cent", () => {
+    const result = computeLandedCost({
+      items: [{ quantity: 3, unitPrice: "0.333" }], exchangeRate: "129.5", shippingRatePerKg: 0, marginPercent: 12.5,
+      tariff: NO_TAX, settings: NO_FEES,
+    });
+    expect(result.goodsForeign).toBe(1);
+    expect(result.goods).toBe(129); // 0.999 × 129.5 = 129.37
+    expect(result.serviceFee).toBe(16); // 12.5% of 129.37 = 16.17
+  });
+
+  it("treats blank prices, quantities and rates as zero", () => {
+    const result = computeLandedCost({
+      items: [{ quantity: 2, unitPrice: "" }, { unitPrice: 5 }], exchangeRate: "", shippingRatePerKg: "", marginPercent: "",
+      tariff: {}, settings: {},
+    });
+    expect(result).toMatchObject({ goodsForeign: 0, goods: 0, freight: 0, cif: 0, customsDuty: 0, serviceFee: 0 });
+  });
+});
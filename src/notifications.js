@@ -0,0 +1,78 @@
+// ============================================================
+// NOTIFICATIONS
+// ============================================================
+// Browser side of push and SMS/WhatsApp notifications: subscribing this device
+// and the events a user can opt out of. The server decides who receives what in
+// supabase/functions/_shared/orderEvents.ts and messageTemplates.ts; keep the
+// keys below in step with those.
+
+const VAPID_PUBLIC_KEY = import.meta.env.VITE_VAPID_PUBLIC_KEY;
+
+export const PUSH_EVENTS = {
+  customer: [
+    ["QUOTE_SENT",       "Quote ready"],
+    ["QUOTE_REVISED",    "Quote updated"],
+    ["STATUS_UPDATED",   "Order status changes"],
+    ["TRACKING_ADDED",   "Tracking number added"],
+    ["DEPOSIT_PAID",     "Deposit received"],
+    ["BALANCE_PAID",     "Balance received"],
+    ["PAYMENT_FAILED",   "Payment problems"],
+    ["CANCEL_APPROVED",  "Cancellation approved"],
+    ["CANCEL_REFUSED",   "Cancellation declined"],
+    ["REFUND_CREATED",   "Refund started"],
+    ["REFUND_CLOSED",    "Refund completed"],
+    ["ATTACHMENT_ADDED", "New photos from Baruk"],
+  ],
+  admin: [
+    ["REQUEST_SUBMITTED", "New sourcing requests"],
+    ["DEPOSIT_PAID",      "Deposits paid"],
+  ],
+};
+
+// Events with an SMS/WhatsApp template; only customers receive these.
+export const MESSAGE_EVENTS = [
+  ["QUOTE_SENT",     "Quote ready"],
+  ["QUOTE_REVISED",  "Quote updated"],
+  ["DEPOSIT_PAID",   "Deposit received"],
+  ["BALANCE_PAID",   "Balance received"],
+  ["STATUS_UPDATED", "Order status changes"],
+  ["TRACKING_ADDED", "Tracking number added"],
+];
+
+export const MESSAGE_CHANNELS = [
+  { value: "sms",      label: "SMS" },
+  { value: "whatsapp", label: "WhatsApp" },
+  { value: "none",     label: "Off" },
+];
+
+export const pushSupported = () =>
+  Boolean(VAPID_PUBLIC_KEY) && "serviceWorker" in navigator && "PushManager" in window && "Notification" in window;
+
+// The VAPID key is URL-safe base64; PushManager wants raw bytes.
+const keyBytes = (base64) => {
+  const padded = (base64 + "=".repeat((4 - base64.length % 4) % 4)).replace(/-/g, "+").replace(/_/g, "/");
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+};
+
+export const currentSubscription = async () => {
+  if (!pushSupported()) return null;
+  const reg = await navigator.serviceWorker.ready;
+  return reg.pushManager.getSubscription();
+};
+
+/** Asks for permission and subscribes this device. Resolves to the subscription as JSON, or throws. */
+export const subscribePush = async () => {
+  const permission = await Notification.requestPermission();
+  if (permission !== "granted") throw new Error("Notifications are blocked for this site. Allow them in your browser settings.");
+  const reg = await navigator.serviceWorker.ready;
+  const sub = await reg.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(VAPID_PUBLIC_KEY) });
+  return sub.toJSON();
+};
+
+/** Unsubscribes this device; resolves to the endpoint that was removed, or null. */
+export const unsubscribePush = async () => {
+  const sub = await currentSubscription();
+  if (!sub) return null;
+  await sub.unsubscribe();
+  return sub.endpoint;
+};
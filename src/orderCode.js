@@ -0,0 +1,60 @@
+// ============================================================
+// ORDER CODES
+// ============================================================
+// New codes look like BRK-7KX4M2Q: six characters drawn from the database
+// sequence (see the order_codes migration, which builds them) and a check
+// character. The alphabet leaves out 0/O, 1/I/L and U/V look-alikes so codes
+// read out over the phone survive, and the check character catches any single
+// mistyped character and any swapped neighbouring pair before we look an order up.
+//
+// Codes from before this change are BRK- plus six base-36 characters with no
+// check character; they stay valid as they are. One made only of alphabet
+// characters looks just like a new code with its check character dropped, so
+// only a lookup can tell which it is (see isAmbiguousOrderCode).
+
+export const ORDER_CODE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTWXYZ";
+export const ORDER_CODE_PREFIX   = "BRK-";
+
+const LEGACY_CODE = /^BRK-[0-9A-Z]{6}$/;
+const SHORT_CODE  = new RegExp(`^BRK-[${ORDER_CODE_ALPHABET}]{6}$`);
+const CODE        = new RegExp(`^BRK-[${ORDER_CODE_ALPHABET}]{7}$`);
+
+/**
+ * Check character for a code body. Weighting each character by its position
+ * from the right (the check character itself weighs 1) makes the whole code sum
+ * to 0 mod 29; as 29 is prime, one wrong character or one swapped neighbouring
+ * pair always breaks that. Mirrored by public.order_code_check().
+ */
+export const checkCharacter = (body) => {
+  const n = ORDER_CODE_ALPHABET.length;
+  const sum = [...body].reverse().reduce((s, ch, i) => s + (i + 2) * ORDER_CODE_ALPHABET.indexOf(ch), 0);
+  return ORDER_CODE_ALPHABET[(n - (sum % n)) % n];
+};
+
+/** Upper-cases, drops spaces and adds the BRK- prefix if it was left off. */
+export const normalizeOrderCode = (input) => {
+  const code = String(input || "").toUpperCase().replace(/\s+/g, "");
+  if (!code) return "";
+  return code.startsWith(ORDER_CODE_PREFIX) ? code : ORDER_CODE_PREFIX + code.replace(/^BRK-?/, "");
+};
+
+/**
+ * True for a well-formed new code with a matching check character, or a legacy
+ * code using a character new codes never do. Ambiguous codes are not valid here.
+ */
+export const isValidOrderCode = (input) => {
+  const code = normalizeOrderCode(input);
+  if (LEGACY_CODE.test(code)) return !SHORT_CODE.test(code);
+  if (!CODE.test(code)) return false;
+  const body = code.slice(ORDER_CODE_PREFIX.length, -1);
+  return checkCharacter(body) === code.slice(-1);
+};
+
+/**
+ * True for a six-character code drawn from the new alphabet: either a legacy
+ * code or a new one missing its check character. Look it up before accepting it.
+ */
+export const isAmbiguousOrderCode = (input) => SHORT_CODE.test(normalizeOrderCode(input));
+
+/** Whether a search term is meant as an order code (so a typo can be flagged). */
+export const looksLikeOrderCode = (input) => /^BRK-?[0-9A-Z]{6,}$/i.test(String(input || "").trim());
@@ -0,0 +1,41 @@
+import { describe, it, expect } from "vitest";
+import { checkCharacter, normalizeOrderCode, isValidOrderCode, isAmbiguousOrderCode } from "./orderCode";
+
+describe("isValidOrderCode", () => {
+  it("accepts a new code with its check character", () => {
+    expect(checkCharacter("7KX4M2")).toBe("N");
+    expect(isValidOrderCode("BRK-7KX4M2N")).toBe(true);
+    expect(isValidOrderCode("7kx4 m2n")).toBe(true);
+  });
+
+  it("rejects a mistyped character or a swapped pair", () => {
+    expect(isValidOrderCode("BRK-7KX4M3N")).toBe(false);
+    expect(isValidOrderCode("BRK-K7X4M2N")).toBe(false);
+  });
+
+  it("accepts a legacy code using a character new codes never do", () => {
+    expect(isValidOrderCode("BRK-K9Z0QA")).toBe(true);
+    expect(isValidOrderCode("BRK-LV3UIO")).toBe(true);
+  });
+
+  it("does not accept a new code with its check character dropped", () => {
+    expect(isValidOrderCode("BRK-7KX4M2")).toBe(false);
+    expect(isAmbiguousOrderCode("BRK-7KX4M2")).toBe(true);
+  });
+});
+
+describe("isAmbiguousOrderCode", () => {
+  it("is only true for six alphabet characters", () => {
+    expect(isAmbiguousOrderCode("7kx4m2")).toBe(true);
+    expect(isAmbiguousOrderCode("BRK-K9Z0QA")).toBe(false);
+    expect(isAmbiguousOrderCode("BRK-7KX4M2N")).toBe(false);
+  });
+});
+
+describe("normalizeOrderCode", () => {
+  it("upper-cases, drops spaces and adds the prefix", () => {
+    expect(normalizeOrderCode(" brk 7kx4m2n ")).toBe("BRK-7KX4M2N");
+    expect(normalizeOrderCode("BRK7KX4M2N")).toBe("BRK-7KX4M2N");
+    expect(normalizeOrderCode("")).toBe("");
+  });
+});
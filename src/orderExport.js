@@ -0,0 +1,104 @@
+// ============================================================
+// ORDER EXPORT
+// ============================================================
+// One row per order with every field the app loads, status labels instead of
+// codes, and the landed-cost breakdown of the current quote. The XLSX file also
+// carries an Items sheet and the activity log of the exported orders.
+import { STATUS_CONFIG } from "./orderStatus";
+import { BREAKDOWN_LINES } from "./landedCost";
+import { toCsv } from "./csv";
+import { buildXlsx } from "./xlsx";
+
+const n = (v) => v === null || v === undefined || v === "" ? null : Number(v);
+const day = (v) => v ? v.slice(0, 10) : null;
+const currentQuote = (o) => o.quotes.find(q => q.version === o.quoteVersion);
+const sum = (list, k) => list.reduce((s, x) => s + (Number(x[k]) || 0), 0);
+
+export const ORDER_EXPORT_COLUMNS = [
+  { label: "Order Code",          value: o => o.orderCode },
+  { label: "Status",              value: o => STATUS_CONFIG[o.status]?.label || o.status },
+  { label: "Created",             value: o => day(o.createdAt) },
+  { label: "Updated",             value: o => day(o.updatedAt) },
+  { label: "Customer",            value: o => o.customerName },
+  { label: "Phone",               value: o => o.customerPhone },
+  { label: "Email",               value: o => o.customerEmail },
+  { label: "Items",               value: o => o.productName },
+  { label: "Item Count",          value: o => o.items.length },
+  { label: "Quantity",            value: o => n(o.quantity) },
+  { label: "Description",         value: o => o.description },
+  { label: "Reference Links",     value: o => o.referenceLinks },
+  { label: "Budget Min (KES)",    value: o => n(o.budgetMin) },
+  { label: "Budget Max (KES)",    value: o => n(o.budgetMax) },
+  { label: "Source Country",      value: o => o.sourceCountry },
+  { label: "Weight (kg)",         value: o => n(o.weightKg) },
+  { label: "Tariff Category",     value: o => o.tariffCategory },
+  { label: "Delivery Address",    value: o => o.deliveryAddress },
+  { label: "Quote Version",       value: o => n(o.quoteVersion) },
+  { label: "Quote Currency",      value: o => o.quoteCurrency },
+  { label: "Exchange Rate",       value: o => n(o.quoteExchangeRate) },
+  { label: "Product Cost (Foreign)", value: o => n(o.productCostForeign) },
+  { label: "Product Cost (KES)",  value: o => n(o.productCost) },
+  { label: "Shipping (KES)",      value: o => n(o.shippingCost) },
+  { label: "Customs Duty (KES)",  value: o => n(o.customsDuty) },
+  { label: "Service Fee (KES)",   value: o => n(o.serviceFee) },
+  { label: "Total (KES)",         value: o => n(o.totalCost) },
+  ...BREAKDOWN_LINES.map(([key, label]) => ({ label: `Breakdown: ${label} (KES)`, value: o => n(currentQuote(o)?.breakdown?.[key]) })),
+  { label: "Quote Response",      value: o => o.quoteResponse },
+  { label: "Quote Response Notes", value: o => o.quoteResponseNotes },
+  { label: "Counter Offer (KES)", value: o => n(o.counterAmount) },
+  { label: "Estimated Days",      value: o => n(o.estimatedDays) },
+  { label: "Payment Status",      value: o => o.paymentStatus?.replace(/_/g, " ") },
+  { label: "Deposit %",           value: o => n(o.depositPercent) },
+  { label: "Deposit Paid (KES)",  value: o => n(o.depositPaid) },
+  { label: "Amount Paid (KES)",   value: o => n(o.amountPaid) },
+  { label: "Balance Due (KES)",   value: o => n(o.balanceDue) },
+  { label: "M-Pesa Code",         value: o => o.mpesaCode },
+  { label: "Payments",            value: o => o.payments.filter(p => p.status === "confirmed").map(p => `${p.kind} ${p.amount} ${p.mpesaReceipt || ""}`.trim()).join("; ") },
+  { label: "Refunded (KES)",      value: o => o.refunds.length ? sum(o.refunds, "amount") : null },
+  { label: "Cancellation",        value: o => o.cancelStatus },
+  { label: "Cancel Reason",       value: o => o.cancelReason },
+  { label: "Cancel Response",     value: o => o.cancelResponse },
+  { label: "Tracking #",          value: o => o.trackingNumber },
+  { label: "Carrier",             value: o => o.carrier },
+  { label: "Last Checkpoint",     value: o => o.checkpoints[0] ? `${o.checkpoints[0].description} (${day(o.checkpoints[0].occurredAt)})` : null },
+  { label: "Carrier Checked",     value: o => day(o.carrierSyncedAt) },
+  { label: "Shipment ID",         value: o => o.shipmentId },
+  { label: "Attachments",         value: o => o.attachments.length },
+  { label: "Messages Sent",       value: o => o.deliveries.filter(d => d.status === "sent").length },
+  { label: "Admin Notes",         value: o => o.adminNotes },
+  { label: "Customer ID",         value: o => o.customerId },
+  { label: "Order ID",            value: o => o.id },
+];
+
+// Items and activity rows are [order, item or log] pairs.
+const ITEM_COLUMNS = [
+  { label: "Order Code",       value: ([o]) => o.orderCode },
+  { label: "Item",             value: ([, i]) => i.name },
+  { label: "Description",      value: ([, i]) => i.description },
+  { label: "Quantity",         value: ([, i]) => n(i.quantity) },
+  { label: "Unit Cost (KES)",  value: ([, i]) => n(i.unitCost) },
+  { label: "Budget Min (KES)", value: ([, i]) => n(i.budgetMin) },
+  { label: "Budget Max (KES)", value: ([, i]) => n(i.budgetMax) },
+  { label: "Reference Links",  value: ([, i]) => i.referenceLinks },
+];
+
+const LOG_COLUMNS = [
+  { label: "Order Code", value: ([o]) => o.orderCode },
+  { label: "Time",       value: ([, l]) => l.createdAt },
+  { label: "Event",      value: ([, l]) => l.event.replace(/_/g, " ") },
+  { label: "By",         value: ([, l]) => `${l.actorName} (${l.actorRole})` },
+  { label: "Notes",      value: ([, l]) => l.notes },
+];
+
+const sheet = (name, rows, columns) => ({ name, rows: [columns.map(c => c.label), ...rows.map(r => columns.map(c => c.value(r)))] });
+
+export const ordersToCsv = (orders) => toCsv(orders, ORDER_EXPORT_COLUMNS);
+
+export const ordersToXlsx = (orders, logs) => {
+  const byId = Object.fromEntries(orders.map(o => [o.id, o]));
+  return buildXlsx([
+    sheet("Orders", orders, ORDER_EXPORT_COLUMNS),
+    sheet("Items", orders.flatMap(o => o.items.map(i => [o, i])), ITEM_COLUMNS),
+    sheet("Activity", logs.filter(l => byId[l.orderId]).map(l => [byId[l.orderId], l]), LOG_COLUMNS),
+  ]);
+};
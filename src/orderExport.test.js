@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import { ORDER_EXPORT_COLUMNS, ordersToCsv } from "./orderExport";
+import { parseCsv } from "./csv";
+
+const order = (extra = {}) => ({
+  id: "o1", orderCode: "BRK-7KX4M2N", status: "shipped", createdAt: "2026-10-01T08:00:00Z",
+  items: [], quotes: [], payments: [], refunds: [], checkpoints: [], attachments: [], deliveries: [],
+  ...extra,
+});
+const exported = (o) => {
+  const [header, row] = parseCsv(ordersToCsv([o]));
+  return Object.fromEntries(header.map((label, i) => [label, row[i]]));
+};
+
+describe("ordersToCsv", () => {
+  it("writes one column per export field, with labels instead of codes", () => {
+    const row = exported(order({ status: "out_for_delivery", paymentStatus: "partially_paid" }));
+    expect(Object.keys(row)).toEqual(ORDER_EXPORT_COLUMNS.map(c => c.label));
+    expect(row).toMatchObject({ "Order Code": "BRK-7KX4M2N", Created: "2026-10-01", Status: "Out for Delivery", "Payment Status": "partially paid" });
+  });
+
+  it("lists only confirmed payments and sums the refunds", () => {
+    const row = exported(order({
+      payments: [
+        { kind: "deposit", amount: 500, status: "confirmed", mpesaReceipt: "QJT1" },
+        { kind: "balance", amount: 500, status: "failed", mpesaReceipt: null },
+        { kind: "balance", amount: 500, status: "confirmed", mpesaReceipt: null },
+      ],
+      refunds: [{ amount: 200 }, { amount: "50" }],
+    }));
+    expect(row.Payments).toBe("deposit 500 QJT1; balance 500");
+    expect(row["Refunded (KES)"]).toBe("250");
+  });
+
+  it("breaks down the current quote, not an older one", () => {
+    const row = exported(order({
+      quoteVersion: 2,
+      quotes: [{ version: 1, breakdown: { vat: 100 } }, { version: 2, breakdown: { vat: 160, goods: 1000 } }],
+    }));
+    expect(row["Breakdown: VAT (KES)"]).toBe("160");
+    expect(row["Breakdown: Goods value (KES)"]).toBe("1000");
+    expect(row["Breakdown: Freight (KES)"]).toBe("");
+  });
+
+  it("leaves fields the order doesn't have empty", () => {
+    const row = exported(order());
+    expect(row["Refunded (KES)"]).toBe("");
+    expect(row["Last Checkpoint"]).toBe("");
+    expect(row["Amount Paid (KES)"]).toBe("");
+  });
+});
@@ -0,0 +1,164 @@
+// ============================================================
+// ORDER IMPORT
+// ============================================================
+// Bulk-loads quotes or tracking numbers from a CSV keyed by order code. Every
+// row is checked against the current orders first (the dry run); only rows
+// that pass are applied, each through the same handler, and so the same
+// order_logs entry, as a change made by hand in OrderDetail.
+import { STATUS_CONFIG, checkTransition } from "./orderStatus";
+import { normalizeOrderCode, isValidOrderCode, isAmbiguousOrderCode } from "./orderCode";
+import { BASE_CURRENCY } from "./exchangeRates";
+import { parseCsv, toCsv } from "./csv";
+
+export const IMPORT_KINDS = {
+  quotes: {
+    label:    "Quotes",
+    permission: "sendQuotes",
+    columns:  ["Order Code", "Product Cost", "Shipping Cost", "Customs Duty", "Service Fee", "Estimated Days", "Deposit %"],
+    required: ["Order Code", "Product Cost"],
+    // The template lists the orders waiting for a quote.
+    templateStatuses: ["pending"],
+    templateOrders:   (orders) => orders,
+  },
+  tracking: {
+    label:    "Tracking numbers",
+    permission: "ship",
+    columns:  ["Order Code", "Tracking Number"],
+    required: ["Order Code", "Tracking Number"],
+    // From sourcing, when the goods leave, until they are out for delivery.
+    statuses: ["sourcing", "shipped", "customs", "out_for_delivery"],
+    templateStatuses: ["sourcing"],
+    templateOrders:   (orders) => orders.filter(o => !o.trackingNumber),
+  },
+};
+
+/** A CSV with the import's columns, one row per order (of those in templateStatuses) that probably needs it. */
+export const importTemplate = (kind, orders) =>
+  toCsv(IMPORT_KINDS[kind].templateOrders(orders),
+    IMPORT_KINDS[kind].columns.map((label, i) => ({ label, value: o => i === 0 ? o.orderCode : "" })));
+
+// "KES 12,500" and "12 500" both read as 12500; blank is null, junk is NaN.
+const amount = (v) => {
+  const s = (v || "").replace(/KES|,|\s/gi, "");
+  return s === "" ? null : Number(s);
+};
+
+const planQuote = (order, cell, role) => {
+  const costs = {};
+  for (const [key, col] of [["productCost", "Product Cost"], ["shippingCost", "Shipping Cost"], ["customsDuty", "Customs Duty"], ["serviceFee", "Service Fee"]]) {
+    const v = amount(cell(col));
+    if (Number.isNaN(v) || v < 0) return { error: `${col} must be a number of shillings` };
+    costs[key] = v || 0;
+  }
+  if (!costs.productCost) return { error: "Product Cost is required" };
+  const totalCost = costs.productCost + costs.shippingCost + costs.customsDuty + costs.serviceFee;
+
+  const days = amount(cell("Estimated Days"));
+  if (Number.isNaN(days) || (days !== null && (days < 1 || !Number.isInteger(days)))) return { error: "Estimated Days must be a whole number of days" };
+  const deposit = amount((cell("Deposit %") || "").replace("%", ""));
+  if (Number.isNaN(deposit) || (deposit !== null && (deposit < 1 || deposit > 100))) return { error: "Deposit % must be between 1 and 100" };
+
+  const isRevision = order.status === "quoted";
+  if (!isRevision) {
+    const transitionError = checkTransition({ ...order, totalCost }, "quoted", role);
+    if (transitionError) return { error: transitionError };
+  }
+  const change = {
+    ...costs,
+    totalCost,
+    estimatedDays:  days ?? order.estimatedDays ?? null,
+    depositPercent: deposit ?? order.depositPercent ?? 100,
+  };
+  const unchanged = isRevision && Object.keys(costs).every(k => Number(order[k] || 0) === change[k])
+    && change.estimatedDays === order.estimatedDays && Number(change.depositPercent) === Number(order.depositPercent);
+  return {
+    change,
+    unchanged,
+    summary: `${isRevision ? "Revised quote" : "Quote"}: total KES ${totalCost.toLocaleString()}${change.estimatedDays ? `, ${change.estimatedDays} days` : ""}`,
+  };
+};
+
+const planTracking = (order, cell) => {
+  const trackingNumber = (cell("Tracking Number") || "").trim();
+  if (!trackingNumber) return { error: "Tracking Number is required" };
+  if (!IMPORT_KINDS.tracking.statuses.includes(order.status)) {
+    return { error: `A ${STATUS_CONFIG[order.status]?.label || order.status} order can't take a tracking number` };
+  }
+  return {
+    change:    { trackingNumber },
+    unchanged: trackingNumber === order.trackingNumber,
+    summary:   order.trackingNumber ? `Tracking ${trackingNumber} (replaces ${order.trackingNumber})` : `Tracking ${trackingNumber}`,
+  };
+};
+
+// The file's non-blank data rows as { line, cell(column) }, or { error } when its header won't do.
+const readRows = (kind, text) => {
+  const { columns, required } = IMPORT_KINDS[kind];
+  const [header, ...body] = parseCsv(text);
+  if (!header?.some(c => c.trim())) return { error: "The first row should hold the column names" };
+  const index = Object.fromEntries(header.map((h, i) => [h.trim().toLowerCase(), i]));
+  const missing = required.filter(c => !(c.toLowerCase() in index));
+  if (missing.length) return { error: `Missing column${missing.length > 1 ? "s" : ""}: ${missing.join(", ")}. Expected: ${columns.join(", ")}` };
+  const rows = body.map((cells, i) => ({ line: i + 2, cells })).filter(({ cells }) => cells.some(c => c.trim()))
+    .map(({ line, cells }) => ({ line, cell: (col) => cells[index[col.toLowerCase()]]?.trim() ?? "" }));
+  return rows.length ? { rows } : { error: "The file has no rows below the header" };
+};
+
+/**
+ * The well-formed order codes in the file, so only those orders need loading for
+ * planImport. Ambiguous ones are loaded too: whether an order has one decides.
+ */
+export const importOrderCodes = (kind, text) =>
+  [...new Set((readRows(kind, text).rows || []).map(r => normalizeOrderCode(r.cell("Order Code")))
+    .filter(code => isValidOrderCode(code) || isAmbiguousOrderCode(code)))];
+
+/**
+ * The dry run: reads the CSV and checks every row against `orders`, with status
+ * moves checked for the importing user's `role`.
+ * Returns { error } when the file itself is unusable, otherwise { rows } where
+ * each row is { line, orderCode, order, change, summary, unchanged, error }.
+ */
+export const planImport = (kind, text, orders, role) => {
+  const { rows, error } = readRows(kind, text);
+  if (error) return { error };
+
+  const seen = {};
+  return {
+    rows: rows.map(({ line, cell }) => {
+      const orderCode = normalizeOrderCode(cell("Order Code"));
+      const row = { line, orderCode };
+      if (!orderCode) return { ...row, error: "No order code" };
+      const ambiguous = isAmbiguousOrderCode(orderCode);
+      if (!ambiguous && !isValidOrderCode(orderCode)) return { ...row, error: "Not a valid order code (check for a typo)" };
+      if (seen[orderCode]) return { ...row, error: `Same order as row ${seen[orderCode]}` };
+      seen[orderCode] = line;
+      const order = orders.find(o => o.orderCode === orderCode);
+      if (!order) return { ...row, error: ambiguous ? "No order with this code (is its last character missing?)" : "No order with this code" };
+      return { ...row, order, ...(kind === "quotes" ? planQuote(order, cell, role) : planTracking(order, cell)) };
+    }),
+  };
+};
+
+/**
+ * The onSendQuote payload for an imported quote row. The file only holds the
+ * product total, so the items' unit costs are scaled to add up to it: in
+ * proportion to their current costs, or evenly per unit when none is costed yet.
+ */
+export const importedQuoteData = (order, change) => {
+  const units = order.items.reduce((s, i) => s + (i.quantity || 1), 0);
+  const costed = order.items.reduce((s, i) => s + (Number(i.unitCost) || 0) * (i.quantity || 1), 0);
+  const unitCost = (i) => costed > 0 ? (Number(i.unitCost) || 0) * change.productCost / costed : change.productCost / units;
+  return {
+    ...change,
+    itemCosts:          order.items.map(i => ({ itemId: i.id, unitCost: unitCost(i), unitPriceForeign: null })),
+    balanceDue:         change.totalCost,
+    sourceCountry:      order.sourceCountry,
+    weightKg:           order.weightKg,
+    tariffCategory:     order.tariffCategory,
+    breakdown:          null,
+    currency:           BASE_CURRENCY,
+    exchangeRate:       1,
+    productCostForeign: change.productCost,
+    adminNotes:         order.adminNotes,
+  };
+};
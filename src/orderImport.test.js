@@ -0,0 +1,122 @@
+import { describe, it, expect } from "vitest";
+import { planImport, importOrderCodes, importedQuoteData } from "./orderImport";
+
+const order = (orderCode, status, extra = {}) => ({ id: orderCode, orderCode, status, items: [], ...extra });
+const orders = [
+  order("BRK-7KX4M2N", "pending"),
+  order("BRK-K9Z0QA", "sourcing"),
+  order("BRK-LV3UIO", "pending"),
+  order("BRK-QAX7Z2", "cancelled"),
+];
+const plan = (kind, csv, role = "owner") => planImport(kind, csv, orders, role);
+
+describe("planImport files", () => {
+  it("names the missing columns", () => {
+    expect(plan("tracking", "Order Code,Carrier\nBRK-7KX4M2N,DHL\n").error)
+      .toBe("Missing column: Tracking Number. Expected: Order Code, Tracking Number");
+  });
+
+  it("wants a header and at least one row", () => {
+    expect(plan("tracking", "").error).toBe("The first row should hold the column names");
+    expect(plan("tracking", "Order Code,Tracking Number\n,\n").error).toBe("The file has no rows below the header");
+  });
+
+  it("reads columns in any order and case, and numbers rows as a spreadsheet does", () => {
+    const { rows } = plan("tracking", "tracking number,ORDER CODE\n\nYT123,brk-k9z0qa\n");
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ line: 3, orderCode: "BRK-K9Z0QA", change: { trackingNumber: "YT123" } });
+  });
+});
+
+describe("planImport rows", () => {
+  it("flags typos, unknown orders and repeats", () => {
+    const { rows } = plan("tracking", "Order Code,Tracking Number\nBRK-7KX4M3N,YT1\nBRK-2222222,YT2\nBRK-K9Z0QA,YT3\nBRK-K9Z0QA,YT4\n");
+    expect(rows.map(r => r.error)).toEqual([
+      "Not a valid order code (check for a typo)",
+      "No order with this code",
+      undefined,
+      "Same order as row 4",
+    ]);
+  });
+});
+
+describe("planImport quotes", () => {
+  const CSV = "Order Code,Product Cost,Shipping Cost\nBRK-7KX4M2N,10000,2500\n";
+
+  it("checks the move to quoted for the importing user's role", () => {
+    const [row] = plan("quotes", CSV, "agent").rows;
+    expect(row.error).toBeUndefined();
+    expect(row.summary).toBe("Quote: total KES 12,500");
+  });
+
+  it("rejects rows the role can't quote", () => {
+    const [row] = plan("quotes", CSV, "logistics").rows;
+    expect(row.error).toMatch(/^Only .* can move an order to Quote Sent$/);
+  });
+
+  it("reads shilling amounts written the way people write them", () => {
+    const [row] = plan("quotes", 'Order Code,Product Cost,Service Fee\nBRK-7KX4M2N,"KES 12,000",1 500\n').rows;
+    expect(row.change).toMatchObject({ productCost: 12000, serviceFee: 1500, totalCost: 13500 });
+  });
+
+  it("rejects amounts, days and deposits that don't make sense", () => {
+    const { rows } = plan("quotes", [
+      "Order Code,Product Cost,Estimated Days,Deposit %",
+      "BRK-7KX4M2N,lots,,",
+      "BRK-LV3UIO,1000,2.5,",
+      "BRK-K9Z0QA,1000,,120%",
+    ].join("\n"));
+    expect(rows.map(r => r.error)).toEqual([
+      "Product Cost must be a number of shillings",
+      "Estimated Days must be a whole number of days",
+      "Deposit % must be between 1 and 100",
+    ]);
+  });
+});
+
+describe("planImport tracking", () => {
+  it("takes tracking numbers for orders on their way", () => {
+    const [row] = plan("tracking", "Order Code,Tracking Number\nBRK-K9Z0QA,YT123\n").rows;
+    expect(row).toMatchObject({ change: { trackingNumber: "YT123" }, unchanged: false, summary: "Tracking YT123" });
+  });
+
+  it("rejects orders that can't be shipped yet, or any more", () => {
+    const { rows } = plan("tracking", "Order Code,Tracking Number\nBRK-7KX4M2N,YT1\nBRK-QAX7Z2,YT2\n");
+    expect(rows.map(r => r.error)).toEqual([
+      "A Pending order can't take a tracking number",
+      "A Cancelled order can't take a tracking number",
+    ]);
+  });
+});
+
+describe("importOrderCodes", () => {
+  it("lists each well-formed or ambiguous code once", () => {
+    expect(importOrderCodes("tracking", "Order Code,Tracking Number\nbrk-k9z0qa,1\nBRK-K9Z0QA,2\n7KX4M2,3\nnot a code,4\n"))
+      .toEqual(["BRK-K9Z0QA", "BRK-7KX4M2"]);
+  });
+});
+
+describe("importedQuoteData", () => {
+  const change = { productCost: 12000, shippingCost: 0, customsDuty: 0, serviceFee: 0, totalCost: 12000 };
+  const itemCost = (o) => importedQuoteData(o, change).itemCosts;
+  const total = (o, costs) => costs.reduce((s, c) => s + c.unitCost * o.items.find(i => i.id === c.itemId).quantity, 0);
+
+  it("scales the items' unit costs to the new product cost", () => {
+    const o = order("BRK-7KX4M2N", "quoted", { items: [{ id: "a", quantity: 2, unitCost: 1000 }, { id: "b", quantity: 1, unitCost: 4000 }] });
+    expect(itemCost(o)).toEqual([
+      { itemId: "a", unitCost: 2000, unitPriceForeign: null },
+      { itemId: "b", unitCost: 8000, unitPriceForeign: null },
+    ]);
+    expect(total(o, itemCost(o))).toBe(12000);
+  });
+
+  it("shares the cost per unit when no item is costed yet", () => {
+    const o = order("BRK-7KX4M2N", "pending", { items: [{ id: "a", quantity: 3, unitCost: null }, { id: "b", quantity: 1, unitCost: null }] });
+    expect(itemCost(o).map(c => c.unitCost)).toEqual([3000, 3000]);
+  });
+
+  it("puts a single item's cost on it", () => {
+    const o = order("BRK-7KX4M2N", "pending", { items: [{ id: "a", quantity: 4, unitCost: 100 }] });
+    expect(itemCost(o)).toEqual([{ itemId: "a", unitCost: 3000, unitPriceForeign: null }]);
+  });
+});
@@ -0,0 +1,45 @@
+// ============================================================
+// ORDER LISTS
+// ============================================================
+// The tabs each dashboard filters by and the full-text query behind its search
+// box. Both run in Postgres (see the order_search migration), so the browser
+// only holds the page of orders on screen.
+
+export const PAGE_SIZE = 30;
+
+const IN_TRANSIT = ["sourcing", "shipped", "customs", "out_for_delivery"];
+
+export const ORDER_TABS = {
+  staff: [
+    { key: "all",       label: "All",        statuses: null },
+    { key: "pending",   label: "Pending",    statuses: ["pending"] },
+    { key: "quoted",    label: "Quoted",     statuses: ["quoted"] },
+    { key: "approved",  label: "Approved",   statuses: ["approved"] },
+    { key: "active",    label: "In Transit", statuses: IN_TRANSIT },
+    { key: "delivered", label: "Delivered",  statuses: ["delivered"] },
+  ],
+  customer: [
+    { key: "orders", label: "All Orders", statuses: null },
+    { key: "active", label: "In Transit", statuses: IN_TRANSIT },
+    { key: "done",   label: "Done",       statuses: ["delivered", "cancelled"] },
+  ],
+};
+
+/** The tab called `key` in the "staff" or "customer" list; unknown or missing keys are the first, unfiltered tab. */
+export const tabFor = (list, key) => ORDER_TABS[list].find(t => t.key === key) || ORDER_TABS[list][0];
+
+/** How many orders are in any of `statuses` (all of them when null), from order_summary's counts. */
+export const countIn = (counts, statuses) =>
+  Object.entries(counts).reduce((n, [status, c]) => !statuses || statuses.includes(status) ? n + c : n, 0);
+
+// Phone numbers are indexed by their last nine digits, so drop the 0 or 254 in front.
+const phoneTerm = (t) => /^(0|254)\d{3,}$/.test(t) ? t.replace(/^(0|254)/, "") : t;
+
+/**
+ * The search box as a prefix tsquery: each word has to start an indexed word, so
+ * "brk-7k" finds BRK-7KX4Q2 and "0712" finds +254 712 345 678. Null when empty.
+ */
+export const searchQuery = (text) => {
+  const terms = (text || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).map(phoneTerm);
+  return terms.length ? terms.map(t => `${t}:*`).join(" & ") : null;
+};
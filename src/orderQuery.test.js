@@ -0,0 +1,49 @@
+import { describe, it, expect } from "vitest";
+import { searchQuery, tabFor, countIn } from "./orderQuery";
+
+describe("searchQuery", () => {
+  it("is null for an empty search", () => {
+    expect(searchQuery("")).toBeNull();
+    expect(searchQuery(null)).toBeNull();
+    expect(searchQuery("  -- , ")).toBeNull();
+  });
+
+  it("makes each word a prefix that must match", () => {
+    expect(searchQuery("Jane  Wanjiku")).toBe("jane:* & wanjiku:*");
+  });
+
+  it("splits on punctuation, so nothing reaches tsquery syntax", () => {
+    expect(searchQuery("o'brien & (sons)|!")).toBe("o:* & brien:* & sons:*");
+    expect(searchQuery("jane@example.com")).toBe("jane:* & example:* & com:*");
+  });
+
+  it("splits order codes at the dash", () => {
+    expect(searchQuery("BRK-7KX4M2N")).toBe("brk:* & 7kx4m2n:*");
+    expect(searchQuery("brk-7k")).toBe("brk:* & 7k:*");
+  });
+
+  it("drops the 0 or 254 in front of phone numbers", () => {
+    expect(searchQuery("0712 345")).toBe("712:* & 345:*");
+    expect(searchQuery("+254712345678")).toBe("712345678:*");
+  });
+
+  it("keeps letters outside ASCII", () => {
+    expect(searchQuery("Café Ñandú")).toBe("café:* & ñandú:*");
+  });
+});
+
+describe("tabFor", () => {
+  it("falls back to the first tab", () => {
+    expect(tabFor("staff", "active").statuses).toContain("customs");
+    expect(tabFor("customer", "nope").key).toBe("orders");
+    expect(tabFor("staff", undefined).statuses).toBeNull();
+  });
+});
+
+describe("countIn", () => {
+  it("adds up the counts of the tab's statuses, or all of them", () => {
+    const counts = { pending: 3, shipped: 2, customs: 1 };
+    expect(countIn(counts, ["shipped", "customs", "delivered"])).toBe(3);
+    expect(countIn(counts, null)).toBe(6);
+  });
+});
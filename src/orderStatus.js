@@ -0,0 +1,93 @@
+// ============================================================
+// ORDER STATUS STATE MACHINE
+// ============================================================
+import { PERMISSIONS, roleList } from "./roles";
+
+// Labels are repeated in supabase/functions/_shared/messageTemplates.ts for SMS/WhatsApp.
+export const STATUS_CONFIG = {
+  pending:         { label: "Pending",          color: "#F59E0B", bg: "#FFFBEB", step: 0 },
+  quoted:          { label: "Quote Sent",        color: "#3B82F6", bg: "#EFF6FF", step: 1 },
+  approved:        { label: "Approved",          color: "#8B5CF6", bg: "#F5F3FF", step: 2 },
+  sourcing:        { label: "Sourcing",          color: "#EC4899", bg: "#FDF2F8", step: 3 },
+  shipped:         { label: "Shipped",           color: "#06B6D4", bg: "#ECFEFF", step: 4 },
+  customs:         { label: "In Customs",        color: "#F97316", bg: "#FFF7ED", step: 5 },
+  out_for_delivery:{ label: "Out for Delivery",  color: "#10B981", bg: "#ECFDF5", step: 6 },
+  delivered:       { label: "Delivered",         color: "#16A34A", bg: "#F0FDF4", step: 7 },
+  cancelled:       { label: "Cancelled",         color: "#6B7280", bg: "#F9FAFB", step: -1 },
+};
+
+export const STATUS_STEPS = ["pending","quoted","approved","sourcing","shipped","customs","out_for_delivery","delivered"];
+
+// Guards return an error message when the order is not ready for the move, null otherwise.
+const GUARDS = {
+  hasQuote:     (o) => o.totalCost ? null : "A quote must be sent first",
+  depositPaid:  (o) => ["partially_paid","paid_in_full"].includes(o.paymentStatus) ? null : "Deposit has not been paid",
+  paidInFull:   (o) => o.paymentStatus === "paid_in_full" ? null : "Balance has not been paid",
+  hasTracking:  (o) => o.trackingNumber ? null : "Add a tracking number first",
+};
+
+const { sendQuotes, ship, cancelOrders } = PERMISSIONS;
+
+// Allowed moves out of each status: who may make them and what must be true first.
+// Anything not listed here is rejected. The orders_status_guard trigger checks the pairs, roles and guards again.
+export const STATUS_TRANSITIONS = {
+  pending: [
+    { to: "quoted",    roles: sendQuotes,   requires: ["hasQuote"] },
+    { to: "cancelled", roles: cancelOrders, requires: [] },
+  ],
+  quoted: [
+    { to: "approved",  roles: ["customer"], requires: ["hasQuote"] },
+    { to: "cancelled", roles: cancelOrders, requires: [] },
+  ],
+  approved: [
+    { to: "sourcing",  roles: sendQuotes,   requires: ["depositPaid"] },
+    { to: "cancelled", roles: cancelOrders, requires: [] },
+  ],
+  sourcing: [
+    { to: "shipped",   roles: ship,         requires: ["hasTracking"] },
+    { to: "cancelled", roles: cancelOrders, requires: [] },
+  ],
+  shipped: [
+    { to: "customs",   roles: ship,         requires: [] },
+  ],
+  customs: [
+    { to: "out_for_delivery", roles: ship,  requires: ["paidInFull"] },
+  ],
+  out_for_delivery: [
+    { to: "delivered", roles: ship,         requires: [] },
+  ],
+  delivered: [],
+  cancelled: [],
+};
+
+// How long after a request the customer app promises a quote. order_summary counts
+// the pending orders past it.
+export const QUOTE_SLA_HOURS = 24;
+
+/** Hours left to quote a pending order, negative once it is overdue; null for any other status. */
+export const quoteHoursLeft = (order, now = Date.now()) =>
+  order.status === "pending" ? QUOTE_SLA_HOURS - (now - new Date(order.createdAt)) / 3600000 : null;
+
+// Statuses from which a customer may ask to cancel; later on, goods are already bought.
+export const CUSTOMER_CANCELLABLE = ["pending","quoted","approved"];
+
+const statusLabel = (s) => STATUS_CONFIG[s]?.label || s;
+
+/** Returns why `order` cannot move to `to` as `role`, or null if the move is allowed. */
+export const checkTransition = (order, to, role) => {
+  if (!STATUS_CONFIG[to]) return `Unknown status: ${to}`;
+  const rule = (STATUS_TRANSITIONS[order.status] || []).find(t => t.to === to);
+  if (!rule) return `Cannot move from ${statusLabel(order.status)} to ${statusLabel(to)}`;
+  if (!rule.roles.includes(role)) return `Only ${roleList(rule.roles)} can move an order to ${statusLabel(to)}`;
+  for (const g of rule.requires) {
+    const err = GUARDS[g](order);
+    if (err) return err;
+  }
+  return null;
+};
+
+/** Lists the moves `role` could make from the order's current status, with the reason any are blocked. */
+export const getNextStatuses = (order, role) =>
+  (STATUS_TRANSITIONS[order.status] || [])
+    .filter(t => t.roles.includes(role))
+    .map(t => ({ status: t.to, blockedBy: checkTransition(order, t.to, role) }));
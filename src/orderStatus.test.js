@@ -0,0 +1,112 @@
+import { describe, it, expect } from "vitest";
+import { STATUS_CONFIG, STATUS_TRANSITIONS, checkTransition, getNextStatuses, quoteHoursLeft, QUOTE_SLA_HOURS } from "./orderStatus";
+import { ROLES } from "./roles";
+
+const STATUSES = Object.keys(STATUS_CONFIG);
+const ALL_ROLES = Object.keys(ROLES);
+
+// An order every guard lets through, so only the table and the roles decide.
+const ready = (status) => ({ status, totalCost: 1000, paymentStatus: "paid_in_full", trackingNumber: "YT123" });
+
+const ruleFor = (from, to) => STATUS_TRANSITIONS[from].find(t => t.to === to);
+
+describe("STATUS_TRANSITIONS", () => {
+  it("lists every status, and only known statuses as targets", () => {
+    expect(Object.keys(STATUS_TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+    for (const rules of Object.values(STATUS_TRANSITIONS)) {
+      for (const rule of rules) {
+        expect(STATUSES).toContain(rule.to);
+        rule.roles.forEach(r => expect(ALL_ROLES).toContain(r));
+      }
+    }
+  });
+
+  it("has no way out of delivered or cancelled", () => {
+    expect(STATUS_TRANSITIONS.delivered).toEqual([]);
+    expect(STATUS_TRANSITIONS.cancelled).toEqual([]);
+  });
+});
+
+describe("checkTransition", () => {
+  // Every from → to pair, as every role.
+  for (const from of STATUSES) {
+    for (const to of STATUSES) {
+      const rule = ruleFor(from, to);
+      if (!rule) {
+        it(`rejects ${from} → ${to} for every role`, () => {
+          for (const role of ALL_ROLES) expect(checkTransition(ready(from), to, role)).toMatch(/^Cannot move from/);
+        });
+        continue;
+      }
+      it(`allows ${from} → ${to} only for ${rule.roles.join(", ")}`, () => {
+        for (const role of ALL_ROLES) {
+          const err = checkTransition(ready(from), to, role);
+          if (rule.roles.includes(role)) expect(err).toBeNull();
+          else expect(err).toMatch(/^Only .* can move an order to /);
+        }
+      });
+    }
+  }
+
+  it("rejects unknown statuses", () => {
+    expect(checkTransition(ready("pending"), "lost", "owner")).toBe("Unknown status: lost");
+  });
+
+  it("names the roles that may make a move", () => {
+    expect(checkTransition(ready("sourcing"), "shipped", "agent")).toBe("Only owner or logistics can move an order to Shipped");
+    expect(checkTransition(ready("pending"), "cancelled", "logistics")).toBe("Only owner, sourcing agent or finance can move an order to Cancelled");
+  });
+});
+
+describe("guards", () => {
+  it("hasQuote: quoting needs a total", () => {
+    expect(checkTransition({ status: "pending" }, "quoted", "agent")).toBe("A quote must be sent first");
+    expect(checkTransition({ status: "quoted" }, "approved", "customer")).toBe("A quote must be sent first");
+    expect(checkTransition({ status: "pending", totalCost: 500 }, "quoted", "agent")).toBeNull();
+  });
+
+  it("depositPaid: sourcing needs at least the deposit", () => {
+    expect(checkTransition({ status: "approved", paymentStatus: "unpaid" }, "sourcing", "agent")).toBe("Deposit has not been paid");
+    expect(checkTransition({ status: "approved", paymentStatus: "partially_paid" }, "sourcing", "agent")).toBeNull();
+    expect(checkTransition({ status: "approved", paymentStatus: "paid_in_full" }, "sourcing", "agent")).toBeNull();
+  });
+
+  it("hasTracking: shipping needs a tracking number", () => {
+    expect(checkTransition({ status: "sourcing" }, "shipped", "logistics")).toBe("Add a tracking number first");
+    expect(checkTransition({ status: "sourcing", trackingNumber: "YT1" }, "shipped", "logistics")).toBeNull();
+  });
+
+  it("paidInFull: delivery needs the balance", () => {
+    expect(checkTransition({ status: "customs", paymentStatus: "partially_paid" }, "out_for_delivery", "logistics")).toBe("Balance has not been paid");
+    expect(checkTransition({ status: "customs", paymentStatus: "paid_in_full" }, "out_for_delivery", "logistics")).toBeNull();
+  });
+
+  it("checks the role before the guards", () => {
+    expect(checkTransition({ status: "sourcing" }, "shipped", "finance")).toMatch(/^Only /);
+  });
+});
+
+describe("getNextStatuses", () => {
+  it("lists the role's moves with what blocks them", () => {
+    expect(getNextStatuses({ status: "approved", paymentStatus: "unpaid" }, "agent")).toEqual([
+      { status: "sourcing",  blockedBy: "Deposit has not been paid" },
+      { status: "cancelled", blockedBy: null },
+    ]);
+    expect(getNextStatuses({ status: "approved" }, "logistics")).toEqual([]);
+  });
+});
+
+describe("quoteHoursLeft", () => {
+  const createdAt = "2026-10-19T08:00:00Z";
+  const at = (iso) => new Date(iso).getTime();
+
+  it("counts down from QUOTE_SLA_HOURS while pending", () => {
+    expect(quoteHoursLeft({ status: "pending", createdAt }, at(createdAt))).toBe(QUOTE_SLA_HOURS);
+    expect(quoteHoursLeft({ status: "pending", createdAt }, at("2026-10-19T18:00:00Z"))).toBe(14);
+    expect(quoteHoursLeft({ status: "pending", createdAt }, at("2026-10-20T11:00:00Z"))).toBe(-3);
+  });
+
+  it("is null once the order has moved on", () => {
+    expect(quoteHoursLeft({ status: "quoted", createdAt }, at("2026-10-21T00:00:00Z"))).toBeNull();
+  });
+});
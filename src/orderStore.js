@@ -0,0 +1,82 @@
+// ============================================================
+// ORDER STORE
+// ============================================================
+// Applies realtime change payloads, and the rows our own writes return, to the
+// orders in memory, so a change never means reloading the list. Rows are the
+// raw ones selected with ORDER_SELECT (App.jsx); every row is upserted by id, so
+// a write applied locally and its realtime echo arriving later land only once.
+
+// Child tables loaded with each order, keyed by order_id.
+export const ORDER_CHILD_TABLES = ["order_items", "order_quotes", "payments", "refunds", "order_attachments", "notification_deliveries", "tracking_checkpoints"];
+
+/** `list` with `row` added, or merged into the entry with the same id. */
+export const upsertById = (list, row) =>
+  list.some(r => r.id === row.id) ? list.map(r => r.id === row.id ? { ...r, ...row } : r) : [...list, row];
+
+const inView = (row, view) =>
+  (!view.statuses || view.statuses.includes(row.status)) && (!view.assignee || row.assigned_to === view.assignee);
+
+/** Newest first, like the list query: by created_at, then id for orders created in the same instant. */
+export const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at) || b.id.localeCompare(a.id);
+
+// An order older than every loaded one belongs on a page not loaded yet, unless
+// the list is already complete.
+const place = (rows, row, complete) => {
+  const last = rows[rows.length - 1];
+  if (last && !complete && newestFirst(last, row) < 0) return rows;
+  return [...rows, row].sort(newestFirst);
+};
+
+/**
+ * Applies one change ({ table, eventType, new, old }, as realtime sends it) to a
+ * list { rows, total } showing `view` ({ statuses, search, assignee }). Orders that
+ * leave the view's statuses, or are assigned to someone else, drop out. New orders come in when they fit, except while searching,
+ * as only the server can tell if they match.
+ */
+export const applyOrderChange = (list, { table, eventType, new: row, old }, view = {}) => {
+  const { rows, total } = list;
+  if (table === "orders") {
+    const id = eventType === "DELETE" ? old.id : row.id;
+    const existing = rows.find(r => r.id === id);
+    if (eventType === "DELETE") return existing ? { rows: rows.filter(r => r.id !== id), total: total - 1 } : list;
+    if (existing) {
+      return inView(row, view)
+        ? { rows: rows.map(r => r.id === id ? { ...r, ...row } : r), total }
+        : { rows: rows.filter(r => r.id !== id), total: total - 1 };
+    }
+    if (eventType !== "INSERT" || view.search || !inView(row, view)) return list;
+    return { rows: place(rows, row, rows.length >= total), total: total + 1 };
+  }
+  if (!ORDER_CHILD_TABLES.includes(table)) return list;
+  // Realtime DELETE payloads carry only the primary key, so look for the child in every order.
+  if (eventType === "DELETE") {
+    return { rows: rows.map(r => r[table]?.some(c => c.id === old.id) ? { ...r, [table]: r[table].filter(c => c.id !== old.id) } : r), total };
+  }
+  return { rows: rows.map(r => r.id === row.order_id ? { ...r, [table]: upsertById(r[table] || [], row) } : r), total };
+};
+
+/**
+ * Whether an updated order has just moved into the view without being loaded, e.g. a
+ * quote moving it onto the Quoted tab or a reassignment into someone's queue. The payload has no child rows, so the caller
+ * loads the whole order and applies it as an INSERT.
+ */
+export const enteredView = (list, { table, eventType, new: row }, view = {}) =>
+  table === "orders" && eventType === "UPDATE" && !view.search && inView(row, view) && !list.rows.some(r => r.id === row.id);
+
+/** The open order (a raw row, or null) after `change`; other orders' changes leave it as it is. */
+export const applyOpenOrderChange = (open, change) =>
+  // As a search view, the list of one never takes in other orders.
+  open && (applyOrderChange({ rows: [open], total: 1 }, change, { search: true }).rows[0] || null);
+
+/**
+ * The change that shows `patch` on the order `row` before the server has it. Child rows
+ * are left out, so any that arrived since `row` was read are not overwritten.
+ */
+export const patchedOrder = (row, patch) => {
+  const order = { ...row, ...patch };
+  ORDER_CHILD_TABLES.forEach(t => delete order[t]);
+  return { table: "orders", eventType: "UPDATE", new: order };
+};
+
+/** The values of `row` that `patch` replaces, to put back if writing it fails. */
+export const undoPatch = (row, patch) => Object.fromEntries(Object.keys(patch).map(k => [k, row[k] ?? null]));
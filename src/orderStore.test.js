@@ -0,0 +1,174 @@
+import { describe, it, expect } from "vitest";
+import { newestFirst, applyOrderChange, enteredView, applyOpenOrderChange, patchedOrder, undoPatch } from "./orderStore";
+
+const AT = "2026-10-19T08:00:00+00:00";
+const row = (id, created_at = AT) => ({ id, created_at, status: "pending" });
+const insert = (r) => ({ table: "orders", eventType: "INSERT", new: r });
+
+describe("newestFirst", () => {
+  it("orders by created_at, then id, both descending", () => {
+    const rows = [row("a"), row("c"), row("b", "2026-10-19T09:00:00+00:00")];
+    expect(rows.sort(newestFirst).map(r => r.id)).toEqual(["b", "c", "a"]);
+  });
+});
+
+describe("applyOrderChange", () => {
+  it("places a new order among others created in the same instant by id", () => {
+    const list = { rows: [row("c"), row("a")], total: 2 };
+    expect(applyOrderChange(list, insert(row("b"))).rows.map(r => r.id)).toEqual(["c", "b", "a"]);
+  });
+
+  it("leaves an order after the last loaded one for the next page, but counts it", () => {
+    const list = { rows: [row("c"), row("b")], total: 5 };
+    expect(applyOrderChange(list, insert(row("a")))).toEqual({ rows: list.rows, total: 6 });
+  });
+});
+
+describe("applyOrderChange on orders", () => {
+  const update = (r) => ({ table: "orders", eventType: "UPDATE", new: r });
+
+  it("lands a write and its realtime echo once", () => {
+    const list = { rows: [row("b"), row("a")], total: 2 };
+    const saved = applyOrderChange(list, insert(row("c")));
+    const echoed = applyOrderChange(saved, insert(row("c")));
+    expect(echoed.rows.map(r => r.id)).toEqual(["c", "b", "a"]);
+    expect(echoed.total).toBe(3);
+
+    const quoted = { ...row("a"), status: "quoted" };
+    expect(applyOrderChange(applyOrderChange(echoed, update(quoted)), update(quoted))).toEqual(applyOrderChange(echoed, update(quoted)));
+  });
+
+  it("merges an update into the loaded order, keeping its child rows", () => {
+    const list = { rows: [{ ...row("a"), order_items: [{ id: "i1", order_id: "a" }] }], total: 1 };
+    const [a] = applyOrderChange(list, update({ ...row("a"), status: "quoted" })).rows;
+    expect(a).toMatchObject({ status: "quoted", order_items: [{ id: "i1" }] });
+  });
+
+  it("drops an order that leaves the view's statuses or assignee", () => {
+    const list = { rows: [row("b"), row("a")], total: 7 };
+    const view = { statuses: ["pending"] };
+    expect(applyOrderChange(list, update({ ...row("a"), status: "quoted" }), view)).toEqual({ rows: [row("b")], total: 6 });
+    const mine = { assignee: "u1" };
+    const assigned = { rows: [{ ...row("a"), assigned_to: "u1" }], total: 1 };
+    expect(applyOrderChange(assigned, update({ ...row("a"), assigned_to: "u2" }), mine)).toEqual({ rows: [], total: 0 });
+  });
+
+  it("removes a deleted order, ignoring one not loaded", () => {
+    const list = { rows: [row("b"), row("a")], total: 4 };
+    const del = (id) => ({ table: "orders", eventType: "DELETE", old: { id } });
+    expect(applyOrderChange(list, del("a"))).toEqual({ rows: [row("b")], total: 3 });
+    expect(applyOrderChange(list, del("z"))).toBe(list);
+  });
+
+  it("takes in new orders only when they fit the view and nothing is searched", () => {
+    const list = { rows: [row("a")], total: 1 };
+    expect(applyOrderChange(list, insert({ ...row("b"), status: "quoted" }), { statuses: ["pending"] })).toBe(list);
+    expect(applyOrderChange(list, insert(row("b")), { search: "jane:*" })).toBe(list);
+    expect(applyOrderChange(list, update(row("b")))).toBe(list);
+  });
+});
+
+describe("applyOrderChange on child rows", () => {
+  const list = () => ({
+    rows: [
+      { ...row("b"), payments: [{ id: "p2", order_id: "b", status: "pending" }] },
+      { ...row("a"), payments: [{ id: "p1", order_id: "a", status: "pending" }] },
+    ],
+    total: 2,
+  });
+  const change = (eventType, r, old) => ({ table: "payments", eventType, new: r, old });
+
+  it("adds an inserted child to its order, once", () => {
+    const p3 = { id: "p3", order_id: "a", status: "pending" };
+    const once = applyOrderChange(list(), change("INSERT", p3));
+    expect(applyOrderChange(once, change("INSERT", p3)).rows[1].payments.map(p => p.id)).toEqual(["p1", "p3"]);
+    expect(once.rows[0].payments.map(p => p.id)).toEqual(["p2"]);
+  });
+
+  it("starts the list for an order that had none", () => {
+    const { rows } = applyOrderChange({ rows: [row("a")], total: 1 }, { table: "refunds", eventType: "INSERT", new: { id: "r1", order_id: "a" } });
+    expect(rows[0].refunds).toEqual([{ id: "r1", order_id: "a" }]);
+  });
+
+  it("merges an updated child", () => {
+    const { rows } = applyOrderChange(list(), change("UPDATE", { id: "p1", order_id: "a", status: "confirmed" }));
+    expect(rows[1].payments).toEqual([{ id: "p1", order_id: "a", status: "confirmed" }]);
+  });
+
+  it("finds a deleted child by its id alone, in whichever order holds it", () => {
+    const before = list();
+    const { rows } = applyOrderChange(before, change("DELETE", {}, { id: "p1" }));
+    expect(rows[1].payments).toEqual([]);
+    expect(rows[0]).toBe(before.rows[0]);
+  });
+
+  it("ignores tables that aren't loaded with orders", () => {
+    const before = list();
+    expect(applyOrderChange(before, { table: "order_logs", eventType: "INSERT", new: { id: "l1", order_id: "a" } })).toBe(before);
+  });
+});
+
+describe("enteredView", () => {
+  const list = { rows: [row("a")], total: 1 };
+  const update = (r) => ({ table: "orders", eventType: "UPDATE", new: r });
+  const view = { statuses: ["quoted"] };
+
+  it("is true for an update that moves an unloaded order into the view", () => {
+    expect(enteredView(list, update({ ...row("b"), status: "quoted" }), view)).toBe(true);
+  });
+
+  it("is false for loaded orders, other views, inserts and searches", () => {
+    expect(enteredView(list, update({ ...row("a"), status: "quoted" }), view)).toBe(false);
+    expect(enteredView(list, update(row("b")), view)).toBe(false);
+    expect(enteredView(list, insert({ ...row("b"), status: "quoted" }), view)).toBe(false);
+    expect(enteredView(list, update({ ...row("b"), status: "quoted" }), { ...view, search: "jane:*" })).toBe(false);
+  });
+
+  it("follows reassignments into someone's queue", () => {
+    expect(enteredView(list, update({ ...row("b"), assigned_to: "u1" }), { assignee: "u1" })).toBe(true);
+    expect(enteredView(list, update({ ...row("b"), assigned_to: "u2" }), { assignee: "u1" })).toBe(false);
+  });
+});
+
+describe("applyOpenOrderChange", () => {
+  const open = { ...row("a"), payments: [] };
+
+  it("applies changes to the open order and its child rows", () => {
+    const quoted = applyOpenOrderChange(open, { table: "orders", eventType: "UPDATE", new: { id: "a", status: "quoted" } });
+    expect(quoted).toMatchObject({ id: "a", status: "quoted", payments: [] });
+    const paid = applyOpenOrderChange(quoted, { table: "payments", eventType: "INSERT", new: { id: "p1", order_id: "a" } });
+    expect(paid.payments).toEqual([{ id: "p1", order_id: "a" }]);
+  });
+
+  it("leaves it alone for other orders, even new ones", () => {
+    expect(applyOpenOrderChange(open, insert(row("b")))).toBe(open);
+    expect(applyOpenOrderChange(open, { table: "orders", eventType: "UPDATE", new: row("b") })).toBe(open);
+  });
+
+  it("is null once the order is deleted, or when none is open", () => {
+    expect(applyOpenOrderChange(open, { table: "orders", eventType: "DELETE", old: { id: "a" } })).toBeNull();
+    expect(applyOpenOrderChange(null, insert(row("a")))).toBeNull();
+  });
+});
+
+describe("patchedOrder and undoPatch", () => {
+  const saved = { ...row("a"), admin_notes: null, order_items: [{ id: "i1", order_id: "a" }] };
+  const patch = { status: "quoted", admin_notes: "Call first" };
+
+  it("shows the patch at once without touching child rows", () => {
+    const change = patchedOrder(saved, patch);
+    expect(change.new).not.toHaveProperty("order_items");
+    const list = { rows: [{ ...saved, order_items: [...saved.order_items, { id: "i2", order_id: "a" }] }], total: 1 };
+    const [a] = applyOrderChange(list, change).rows;
+    expect(a).toMatchObject(patch);
+    expect(a.order_items.map(i => i.id)).toEqual(["i1", "i2"]);
+  });
+
+  it("rolls a failed write back to the values it replaced", () => {
+    const list = applyOrderChange({ rows: [saved], total: 1 }, patchedOrder(saved, patch));
+    const undo = undoPatch(saved, patch);
+    expect(undo).toEqual({ status: "pending", admin_notes: null });
+    const [a] = applyOrderChange(list, patchedOrder(list.rows[0], undo)).rows;
+    expect(a).toEqual(saved);
+  });
+});
@@ -0,0 +1,101 @@
+// ============================================================
+// OFFLINE OUTBOX
+// ============================================================
+// Writes made without a connection are queued in IndexedDB (so photo uploads
+// survive a reload too) and replayed oldest first when the connection returns.
+// Each entry names an App handler and the arguments it was called with. Handlers
+// resolve to { error }: a truthy error means the write did not happen, and it
+// may come with the `args` to try again with (e.g. only the files that failed).
+
+const DB_NAME = "baruk-outbox";
+const STORE   = "ops";
+
+let dbPromise = null;
+const openDb = () => {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const listeners = new Set();
+const notify = async () => {
+  const ops = await listOps();
+  listeners.forEach(fn => fn(ops));
+};
+
+export const listOps = () => withStore("readonly", s => s.getAll());
+
+/** Calls `fn` with the queued ops now and after every change; returns the unsubscribe function. */
+export const subscribe = (fn) => {
+  listeners.add(fn);
+  notify();
+  return () => listeners.delete(fn);
+};
+
+/** @param {{ op: string, args: any[], userId: string, orderId: string|null }} entry */
+export const enqueue = async (entry) => {
+  await withStore("readwrite", s => s.add({ ...entry, queuedAt: new Date().toISOString() }));
+  await notify();
+};
+
+/** Drops a queued op for good, e.g. one the server keeps refusing. */
+export const discard = async (id) => {
+  await withStore("readwrite", s => s.delete(id));
+  await notify();
+};
+
+// Keeps a failed op in its place, with why it failed for the app to show.
+const markFailed = async (entry, error, args) => {
+  await withStore("readwrite", s => s.put({ ...entry, args: args || entry.args, error }));
+  await notify();
+};
+
+export const isOffline = () => !navigator.onLine;
+
+let replaying = false;
+export const isReplaying = () => replaying;
+
+/**
+ * Replays this user's queued ops in order. `getHandlers` is read before every op
+ * so each one sees the orders reloaded by the op before it. Stops at the first
+ * failure, which stays queued with its error, or if the connection drops again,
+ * so later ops never overtake it.
+ */
+export const replay = async (userId, getHandlers) => {
+  if (replaying) return;
+  replaying = true;
+  try {
+    // Re-read each time: a replayed op can queue a follow-up (e.g. the files of a new order).
+    for (;;) {
+      const [entry] = (await listOps()).filter(o => o.userId === userId);
+      if (!entry || isOffline()) break;
+      let result;
+      try { result = await getHandlers()[entry.op](...entry.args); }
+      catch (err) { result = { error: err }; }
+      if (result?.error) {
+        console.error("[outbox]", entry.op, result.error);
+        await markFailed(entry, result.error.message || String(result.error), result.args);
+        break;
+      }
+      await discard(entry.id);
+      // Let React commit the reloaded orders before the next handler reads them.
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  } finally {
+    replaying = false;
+  }
+};
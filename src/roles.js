@@ -0,0 +1,38 @@
+// ============================================================
+// ROLES
+// ============================================================
+// Who may do what. profiles.role holds one of these keys and only an owner can
+// change it. The database enforces the same permissions (has_permission in the
+// staff_roles migration); here they decide which screens and actions to show.
+
+export const ROLES = {
+  owner:     { label: "Owner" },
+  agent:     { label: "Sourcing agent" },
+  logistics: { label: "Logistics" },
+  finance:   { label: "Finance" },
+  customer:  { label: "Customer" },
+};
+
+export const STAFF_ROLES = ["owner", "agent", "logistics", "finance"];
+
+// Keep in step with has_permission() in supabase/migrations/20261019002000_staff_roles.sql.
+export const PERMISSIONS = {
+  sendQuotes:     ["owner", "agent"],             // quotes, and starting sourcing once paid
+  assignOrders:   ["owner", "agent"],             // choosing who handles an order
+  ship:           ["owner", "logistics"],         // tracking, shipments, freight and the shipping statuses
+  cancelOrders:   ["owner", "agent", "finance"],  // cancelling, and answering cancellation requests
+  managePayments: ["owner", "finance"],           // confirming flagged M-Pesa payments, refunds
+  manageRates:    ["owner", "finance"],           // countries, tariffs, customs and exchange rates
+  manageTeam:     ["owner"],
+};
+
+export const isStaff = (role) => STAFF_ROLES.includes(role);
+
+/** Whether `role` has `permission`, one of the PERMISSIONS keys. */
+export const can = (role, permission) => PERMISSIONS[permission].includes(role);
+
+/** "owner or logistics", for messages about who may do something. */
+export const roleList = (roles) => {
+  const labels = roles.map(r => ROLES[r].label.toLowerCase());
+  return labels.length > 1 ? `${labels.slice(0, -1).join(", ")} or ${labels[labels.length - 1]}` : labels[0];
+};
@@ -0,0 +1,53 @@
+// ============================================================
+// ROUTER
+// ============================================================
+// A small History API router: the URL is the source of truth for which screen,
+// list filter and order sheet is showing, so back/forward and shared links work.
+//
+//   /                   home (signed out)
+//   /login, /signup     auth screens; ?next= is where to go after signing in
+//   /orders             order list; ?tab= and ?q= hold the filters
+//   /orders/new         new sourcing request (customers)
+//   /orders/:code       one order, by order code
+//   /track              public tracking by code + phone; ?code= prefills it
+import { useSyncExternalStore } from "react";
+
+const listeners = new Set();
+const emit = () => listeners.forEach(fn => fn());
+
+window.addEventListener("popstate", emit);
+
+const subscribe = (fn) => {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+};
+
+const snapshot = () => window.location.pathname + window.location.search;
+
+/** Pushes (or replaces) a history entry. `state` is kept on the entry, e.g. to know a sheet was opened in-app. */
+export const navigate = (to, { replace = false, state = null } = {}) => {
+  if (to === snapshot() && !replace) return;
+  window.history[replace ? "replaceState" : "pushState"](state, "", to);
+  emit();
+};
+
+/** Current path and query, re-rendering on every navigation. */
+export const useLocation = () => {
+  const href = useSyncExternalStore(subscribe, snapshot);
+  const url = new URL(href, window.location.origin);
+  return { pathname: url.pathname, query: Object.fromEntries(url.searchParams), href };
+};
+
+/** Matches "/orders/:code" style patterns; resolves to the params, or null. */
+export const matchPath = (pattern, pathname) => {
+  const keys = [];
+  const re = new RegExp("^" + pattern.replace(/:(\w+)/g, (_, k) => { keys.push(k); return "([^/]+)"; }) + "/?$");
+  const m = pathname.match(re);
+  return m ? Object.fromEntries(keys.map((k, i) => [k, decodeURIComponent(m[i + 1])])) : null;
+};
+
+/** Builds "path?a=1" from a query object, dropping empty values. */
+export const withQuery = (pathname, query) => {
+  const qs = new URLSearchParams(Object.entries(query).filter(([, v]) => v)).toString();
+  return qs ? `${pathname}?${qs}` : pathname;
+};
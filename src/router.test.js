@@ -0,0 +1,42 @@
+import { describe, it, expect, vi } from "vitest";
+
+// router.js listens for popstate when it loads; the tests run without a browser.
+vi.stubGlobal("window", { addEventListener: () => {} });
+const { matchPath, withQuery } = await import("./router");
+
+describe("matchPath", () => {
+  it("resolves a pattern's parameters", () => {
+    expect(matchPath("/orders/:code", "/orders/BRK-7KX4M2N")).toEqual({ code: "BRK-7KX4M2N" });
+    expect(matchPath("/orders", "/orders")).toEqual({});
+  });
+
+  it("accepts a trailing slash", () => {
+    expect(matchPath("/orders/:code", "/orders/BRK-7KX4M2N/")).toEqual({ code: "BRK-7KX4M2N" });
+    expect(matchPath("/login", "/login/")).toEqual({});
+  });
+
+  it("decodes parameters", () => {
+    expect(matchPath("/orders/:code", "/orders/BRK%207KX4M2N")).toEqual({ code: "BRK 7KX4M2N" });
+  });
+
+  it("doesn't match other paths, longer or shorter", () => {
+    expect(matchPath("/orders/:code", "/orders")).toBeNull();
+    expect(matchPath("/orders/:code", "/orders/BRK-7KX4M2N/items")).toBeNull();
+    expect(matchPath("/orders", "/orders-old")).toBeNull();
+  });
+});
+
+describe("withQuery", () => {
+  it("adds the query, dropping empty values", () => {
+    expect(withQuery("/orders", { tab: "active", q: "", assignee: null })).toBe("/orders?tab=active");
+  });
+
+  it("leaves the path alone when nothing is left", () => {
+    expect(withQuery("/orders", { q: "" })).toBe("/orders");
+  });
+
+  it("encodes values", () => {
+    expect(withQuery("/login", { next: "/orders/BRK-7KX4M2N?tab=all" })).toBe("/login?next=%2Forders%2FBRK-7KX4M2N%3Ftab%3Dall");
+    expect(withQuery("/orders", { q: "iphone 15 & case" })).toBe("/orders?q=iphone+15+%26+case");
+  });
+});
@@ -0,0 +1,46 @@
+// ============================================================
+// SHIPMENTS
+// ============================================================
+// Several orders travel together in one air batch or sea container. The
+// shipment carries the tracking number and status for all of them, and its
+// freight bill is shared out across the orders' shipping costs.
+
+export const SHIPMENT_MODES = [
+  { value: "air", label: "✈️ Air batch" },
+  { value: "sea", label: "🚢 Sea container" },
+];
+
+// "preparing" until it leaves; after that the statuses match the orders' own.
+export const SHIPMENT_STATUSES = ["preparing", "shipped", "customs", "out_for_delivery", "delivered"];
+
+// Order statuses that can still be added to a shipment.
+export const SHIPPABLE_STATUSES = ["sourcing", "shipped", "customs"];
+
+export const ALLOCATION_BASES = [
+  { value: "weight", label: "By weight", of: (o) => Number(o.weightKg) || 0,    missing: "a weight" },
+  { value: "value",  label: "By value",  of: (o) => Number(o.productCost) || 0, missing: "a product cost" },
+];
+
+/**
+ * Splits `freightCost` across `orders` in proportion to their weight or goods
+ * value, in whole shillings that add up exactly (largest remainder). Returns
+ * { shares: { [orderId]: amount } } or { error } when an order has nothing to weigh by.
+ */
+export const allocateFreight = (orders, freightCost, basis) => {
+  const { of, missing } = ALLOCATION_BASES.find(b => b.value === basis) || ALLOCATION_BASES[0];
+  if (!orders.length) return { error: "Add orders to the shipment first" };
+  const blank = orders.find(o => of(o) <= 0);
+  if (blank) return { error: `${blank.orderCode} needs ${missing} first` };
+
+  const total = Math.round(Number(freightCost) || 0);
+  const weightSum = orders.reduce((s, o) => s + of(o), 0);
+  const exact = orders.map(o => ({ id: o.id, raw: total * of(o) / weightSum }));
+  const shares = Object.fromEntries(exact.map(e => [e.id, Math.floor(e.raw)]));
+  let left = total - Object.values(shares).reduce((s, v) => s + v, 0);
+  for (const e of [...exact].sort((a, b) => (b.raw % 1) - (a.raw % 1))) {
+    if (left <= 0) break;
+    shares[e.id] += 1;
+    left -= 1;
+  }
+  return { shares };
+};
@@ -0,0 +1,40 @@
+import { describe, it, expect } from "vitest";
+import { allocateFreight } from "./shipments";
+
+const order = (id, weightKg, productCost = 1000) => ({ id, orderCode: `BRK-${id}`, weightKg, productCost });
+const sum = (shares) => Object.values(shares).reduce((s, v) => s + v, 0);
+
+describe("allocateFreight", () => {
+  it("splits in proportion to weight", () => {
+    expect(allocateFreight([order("a", 30), order("b", 10)], 8000, "weight")).toEqual({ shares: { a: 6000, b: 2000 } });
+  });
+
+  it("splits by goods value", () => {
+    const orders = [order("a", 1, 3000), order("b", 1, 1000)];
+    expect(allocateFreight(orders, 1000, "value")).toEqual({ shares: { a: 750, b: 250 } });
+  });
+
+  it("rounds to whole shillings that add up to the bill, the largest remainders getting the extra", () => {
+    const { shares } = allocateFreight([order("a", 1), order("b", 1), order("c", 1)], 100, "weight");
+    expect(sum(shares)).toBe(100);
+    expect(Object.values(shares).sort()).toEqual([33, 33, 34]);
+
+    const uneven = allocateFreight([order("a", 2), order("b", 3), order("c", 5)], 999, "weight").shares;
+    expect(uneven).toEqual({ a: 200, b: 300, c: 499 });
+    expect(allocateFreight([order("a", 1.7), order("b", 2.2), order("c", 0.4)], 12345.6, "weight").shares)
+      .toSatisfy(shares => sum(shares) === 12346);
+  });
+
+  it("gives a single order the whole bill", () => {
+    expect(allocateFreight([order("a", 4)], 5000, "weight")).toEqual({ shares: { a: 5000 } });
+  });
+
+  it("refuses when an order has no weight or value to go by", () => {
+    expect(allocateFreight([order("a", 4), order("b", 0)], 5000, "weight")).toEqual({ error: "BRK-b needs a weight first" });
+    expect(allocateFreight([order("a", 4, 0)], 5000, "value")).toEqual({ error: "BRK-a needs a product cost first" });
+  });
+
+  it("refuses an empty shipment", () => {
+    expect(allocateFreight([], 5000, "weight")).toEqual({ error: "Add orders to the shipment first" });
+  });
+});
@@ -0,0 +1,84 @@
+// Runs under vitest (npm test) against the recorded responses in ./carrier-fixtures.
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { CARRIERS, STAGE_STATUS, adapterFor, trackShipment } from "./carriers.ts";
+import seaFixture from "./carrier-fixtures/sea-freight.json" with { type: "json" };
+
+const adapter = (name: string) => CARRIERS.find(c => c.name === name)!;
+const stages = (name: string) => {
+  const a = adapter(name);
+  return a.parse(Object.values(a.fixtures)[0]).map(c => c.stage);
+};
+
+describe("adapterFor", () => {
+  it("recognises each carrier from the number format", () => {
+    expect(adapterFor("1234567890")?.name).toBe("dhl");
+    expect(adapterFor("JJD0001234567890")?.name).toBe("dhl");
+    expect(adapterFor("SF1234567890123")?.name).toBe("sf-express");
+    expect(adapterFor("sf1234567890123cn")?.name).toBe("sf-express");
+    expect(adapterFor("12345678901")?.name).toBe("aramex");
+    expect(adapterFor(" mscu 1234567 ")?.name).toBe("sea-freight");
+  });
+
+  it("prefers the carrier already stored on the order", () => {
+    expect(adapterFor("1234567890", "aramex")?.name).toBe("aramex");
+  });
+
+  it("returns null for numbers no carrier uses", () => {
+    expect(adapterFor("not-a-number")).toBeNull();
+  });
+});
+
+describe("status mapping", () => {
+  it("DHL", () => {
+    expect(stages("dhl")).toEqual(["picked_up", "in_transit", "in_transit", "customs", "out_for_delivery", "delivered"]);
+  });
+
+  it("SF Express, where export clearance is still in transit", () => {
+    expect(stages("sf-express")).toEqual(["picked_up", "in_transit", "in_transit", "customs", "out_for_delivery"]);
+  });
+
+  it("Aramex, where a label and a customs hold don't move the order", () => {
+    expect(stages("aramex")).toEqual(["info_received", "picked_up", "in_transit", "customs", "exception"]);
+    expect(STAGE_STATUS.info_received).toBeNull();
+    expect(STAGE_STATUS.exception).toBeNull();
+  });
+
+  it("sea freight event codes", () => {
+    expect(stages("sea-freight")).toEqual(["picked_up", "in_transit", "in_transit", "in_transit", "customs"]);
+  });
+
+  it("reads times with the carrier's offset", () => {
+    const [sf] = adapter("sf-express").parse(adapter("sf-express").fixtures.SF1234567890123);
+    expect(sf.occurredAt).toBe("2026-10-01T08:12:45.000Z");
+    const [aramex] = adapter("aramex").parse(adapter("aramex").fixtures["12345678901"]);
+    expect(aramex).toMatchObject({ id: "SH014-2026-10-01T07:00:00.000Z", location: "Dubai, United Arab Emirates" });
+  });
+
+  it("derives stable ids for carriers that don't send one", () => {
+    const dhl = adapter("dhl");
+    const first = dhl.parse(dhl.fixtures["1234567890"]);
+    expect(first.map(c => c.id)).toEqual(dhl.parse(dhl.fixtures["1234567890"]).map(c => c.id));
+    expect(new Set(first.map(c => c.id)).size).toBe(first.length);
+  });
+
+  it("takes sea freight webhook pushes", () => {
+    const [pushed] = adapter("sea-freight").parseWebhook!({ containers: [seaFixture] });
+    expect(pushed.trackingNumber).toBe("MSCU1234567");
+    expect(adapter("sea-freight").parse(pushed.raw)).toHaveLength(5);
+  });
+});
+
+describe("trackShipment with CARRIER_FIXTURES=1", () => {
+  beforeEach(() => vi.stubGlobal("Deno", { env: { get: (k: string) => (k === "CARRIER_FIXTURES" ? "1" : undefined) } }));
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("uses the response recorded for that number, oldest first", async () => {
+    const checkpoints = await trackShipment(adapter("dhl"), "1234567890");
+    expect(checkpoints).toHaveLength(6);
+    expect(checkpoints.map(c => c.occurredAt)).toEqual([...checkpoints.map(c => c.occurredAt)].sort());
+  });
+
+  it("fails for numbers without a recording instead of reusing another order's", async () => {
+    await expect(trackShipment(adapter("dhl"), "9999999999")).rejects.toThrow("No DHL Express fixture recorded for 9999999999");
+  });
+});
@@ -0,0 +1,88 @@
+// ============================================================
+// DARAJA (M-Pesa) CLIENT
+// ============================================================
+// DARAJA_BASE_URL points at Safaricom (https://sandbox.safaricom.co.ke or
+// https://api.safaricom.co.ke) or at scripts/mock-daraja.js for offline runs.
+
+const env = (k: string) => {
+  const v = Deno.env.get(k);
+  if (!v) throw new Error(`Missing env ${k}`);
+  return v;
+};
+
+// Result codes Daraja sends in the STK callback that we treat specially.
+export const RESULT_CODES = {
+  SUCCESS:   0,
+  CANCELLED: 1032,
+  TIMEOUT:   1037,
+};
+
+// 0712 345 678, +254712345678 and 712345678 all become 254712345678.
+export const normalizePhone = (phone: string) => {
+  const digits = (phone || "").replace(/\D/g, "");
+  if (digits.startsWith("254")) return digits;
+  if (digits.startsWith("0")) return "254" + digits.slice(1);
+  return "254" + digits;
+};
+
+// Daraja wants the timestamp in Nairobi time (UTC+3), as YYYYMMDDHHmmss.
+const darajaTimestamp = () =>
+  new Date(Date.now() + 3 * 3600 * 1000).toISOString().replace(/[-:TZ]/g, "").slice(0, 14);
+
+const getAccessToken = async () => {
+  const auth = btoa(`${env("DARAJA_CONSUMER_KEY")}:${env("DARAJA_CONSUMER_SECRET")}`);
+  const res = await fetch(`${env("DARAJA_BASE_URL")}/oauth/v1/generate?grant_type=client_credentials`, {
+    headers: { Authorization: `Basic ${auth}` },
+  });
+  if (!res.ok) throw new Error(`Daraja auth failed (${res.status})`);
+  return (await res.json()).access_token as string;
+};
+
+export type StkPushResult = {
+  MerchantRequestID: string;
+  CheckoutRequestID: string;
+  ResponseCode: string;
+  ResponseDescription: string;
+  CustomerMessage: string;
+};
+
+export const stkPush = async ({ phone, amount, accountReference, description }: {
+  phone: string; amount: number; accountReference: string; description: string;
+}): Promise<StkPushResult> => {
+  const shortcode = env("DARAJA_SHORTCODE");
+  const timestamp = darajaTimestamp();
+  const res = await fetch(`${env("DARAJA_BASE_URL")}/mpesa/stkpush/v1/processrequest`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${await getAccessToken()}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      BusinessShortCode: shortcode,
+      Password:          btoa(shortcode + env("DARAJA_PASSKEY") + timestamp),
+      Timestamp:         timestamp,
+      TransactionType:   "CustomerPayBillOnline",
+      Amount:            amount,
+      PartyA:            phone,
+      PartyB:            shortcode,
+      PhoneNumber:       phone,
+      CallBackURL:       `${env("MPESA_CALLBACK_URL")}?token=${env("MPESA_CALLBACK_TOKEN")}`,
+      AccountReference:  accountReference,
+      TransactionDesc:   description,
+    }),
+  });
+  const body = await res.json();
+  if (!res.ok || body.ResponseCode !== "0") {
+    throw new Error(body.errorMessage || body.ResponseDescription || `STK push failed (${res.status})`);
+  }
+  return body;
+};
+
+export type StkCallback = {
+  MerchantRequestID: string;
+  CheckoutRequestID: string;
+  ResultCode: number;
+  ResultDesc: string;
+  CallbackMetadata?: { Item: { Name: string; Value?: string | number }[] };
+};
+
+// Flattens CallbackMetadata.Item into { Amount, MpesaReceiptNumber, PhoneNumber, ... }.
+export const callbackMetadata = (cb: StkCallback) =>
+  Object.fromEntries((cb.CallbackMetadata?.Item || []).map(i => [i.Name, i.Value]));
@@ -0,0 +1,22 @@
+// Runs under vitest (npm test).
+import { describe, it, expect } from "vitest";
+import { renderMessage } from "./messageTemplates.ts";
+import type { OrderLog } from "./orderEvents.ts";
+
+const log = (event: string, status: string | null = null): OrderLog =>
+  ({ id: "1", order_id: "o1", actor_name: "Amina", actor_role: "logistics", event, notes: null, status });
+const order = { order_code: "BRK-7KX4M2Q", status: "delivered", total_cost: 12500, balance_due: 0, tracking_number: "YT123" };
+
+describe("renderMessage", () => {
+  it("names the status recorded on the log, not the order's current one", () => {
+    expect(renderMessage(log("STATUS_UPDATED", "customs"), order)).toBe("Baruk: Order BRK-7KX4M2Q is now In Customs.");
+  });
+
+  it("falls back to the order's status for rows logged before statuses were recorded", () => {
+    expect(renderMessage(log("STATUS_UPDATED"), order)).toBe("Baruk: Order BRK-7KX4M2Q is now Delivered.");
+  });
+
+  it("has no message for events without a template", () => {
+    expect(renderMessage(log("NOTE_ADDED"), order)).toBeNull();
+  });
+});
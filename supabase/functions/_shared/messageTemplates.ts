@@ -0,0 +1,58 @@
+// Text message per order event. Kept short: one SMS is 160 characters.
+import type { OrderLog } from "./orderEvents.ts";
+
+// Mirrors the labels in STATUS_CONFIG (src/orderStatus.js).
+export const STATUS_LABELS: Record<string, string> = {
+  pending:          "Pending",
+  quoted:           "Quote Sent",
+  approved:         "Approved",
+  sourcing:         "Sourcing",
+  shipped:          "Shipped",
+  customs:          "In Customs",
+  out_for_delivery: "Out for Delivery",
+  delivered:        "Delivered",
+  cancelled:        "Cancelled",
+};
+
+export type TemplateContext = {
+  orderCode: string;
+  totalCost: string;
+  balanceDue: string;
+  statusLabel: string;
+  trackingNumber: string;
+};
+
+export const MESSAGE_TEMPLATES: Record<string, (c: TemplateContext) => string> = {
+  QUOTE_SENT:     (c) => `Baruk: Your quote for ${c.orderCode} is ready — ${c.totalCost}. Open the Baruk app to approve it.`,
+  QUOTE_REVISED:  (c) => `Baruk: We've updated the quote for ${c.orderCode} — now ${c.totalCost}. Open the Baruk app to review it.`,
+  DEPOSIT_PAID:   (c) => `Baruk: Deposit received for ${c.orderCode}, thank you. We're sourcing your order now. Balance: ${c.balanceDue}.`,
+  BALANCE_PAID:   (c) => `Baruk: Payment complete for ${c.orderCode}, thank you. Total paid: ${c.totalCost}.`,
+  STATUS_UPDATED: (c) => `Baruk: Order ${c.orderCode} is now ${c.statusLabel}.`,
+  TRACKING_ADDED: (c) => `Baruk: Order ${c.orderCode} has shipped. Tracking number: ${c.trackingNumber}.`,
+};
+
+// The order columns the templates read. numeric columns can arrive as strings.
+export type MessageOrder = {
+  order_code: string;
+  status: string;
+  total_cost: number | string | null;
+  balance_due: number | string | null;
+  tracking_number: string | null;
+};
+
+const kes = (n: number | string | null) => `KES ${Number(n || 0).toLocaleString("en-KE")}`;
+
+// The status comes from the log row, not the order: by the time the message goes
+// out the order may have moved on, and each update should name its own status.
+export const renderMessage = (log: OrderLog, order: MessageOrder): string | null => {
+  const template = MESSAGE_TEMPLATES[log.event];
+  if (!template) return null;
+  const status = log.status ?? order.status;
+  return template({
+    orderCode:      order.order_code,
+    totalCost:      kes(order.total_cost),
+    balanceDue:     kes(order.balance_due),
+    statusLabel:    STATUS_LABELS[status] ?? status,
+    trackingNumber: order.tracking_number ?? "",
+  });
+};
@@ -0,0 +1,78 @@
+// ============================================================
+// SMS / WHATSAPP PROVIDERS
+// ============================================================
+// Each channel picks its adapter from env: SMS_PROVIDER=africastalking|fake,
+// WHATSAPP_PROVIDER=meta|fake. Neither has a default, so a deployment missing one
+// records its deliveries as failed rather than as sent. The fake provider, for
+// local runs only, sends nothing and logs the message; numbers ending in 0000 fail
+// on purpose to exercise the error path.
+
+export type Channel = "sms" | "whatsapp";
+
+export type MessageProvider = {
+  name: string;
+  send: (to: string, message: string) => Promise<{ id: string }>;
+};
+
+const env = (k: string) => {
+  const v = Deno.env.get(k);
+  if (!v) throw new Error(`Missing env ${k}`);
+  return v;
+};
+
+const fake: MessageProvider = {
+  name: "fake",
+  send: (to, message) => {
+    if (to.endsWith("0000")) return Promise.reject(new Error("Fake provider: number unreachable"));
+    console.log(`[fake-message] to ${to}: ${message}`);
+    return Promise.resolve({ id: `fake-${crypto.randomUUID()}` });
+  },
+};
+
+// https://developers.africastalking.com/docs/sms/sending/bulk
+const africasTalking: MessageProvider = {
+  name: "africastalking",
+  send: async (to, message) => {
+    const body = new URLSearchParams({ username: env("AT_USERNAME"), to: `+${to}`, message });
+    const senderId = Deno.env.get("AT_SENDER_ID");
+    if (senderId) body.set("from", senderId);
+    const res = await fetch(Deno.env.get("AT_BASE_URL") ?? "https://api.africastalking.com/version1/messaging", {
+      method: "POST",
+      headers: { apiKey: env("AT_API_KEY"), Accept: "application/json", "Content-Type": "application/x-www-form-urlencoded" },
+      body,
+    });
+    if (!res.ok) throw new Error(`Africa's Talking error (${res.status}): ${await res.text()}`);
+    const recipient = (await res.json())?.SMSMessageData?.Recipients?.[0];
+    if (!recipient || recipient.status !== "Success") throw new Error(recipient?.status || "Message not accepted");
+    return { id: recipient.messageId };
+  },
+};
+
+// WhatsApp Cloud API. Free-form text only reaches users who messaged us in the
+// last 24 hours; outside that window Meta requires an approved template.
+const metaWhatsApp: MessageProvider = {
+  name: "meta",
+  send: async (to, message) => {
+    const res = await fetch(`https://graph.facebook.com/v19.0/${env("WHATSAPP_PHONE_NUMBER_ID")}/messages`, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${env("WHATSAPP_TOKEN")}`, "Content-Type": "application/json" },
+      body: JSON.stringify({ messaging_product: "whatsapp", to, type: "text", text: { body: message } }),
+    });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body?.error?.message || `WhatsApp error (${res.status})`);
+    return { id: body.messages?.[0]?.id ?? "" };
+  },
+};
+
+const PROVIDERS: Record<Channel, Record<string, MessageProvider>> = {
+  sms:      { africastalking: africasTalking, fake },
+  whatsapp: { meta: metaWhatsApp, fake },
+};
+
+export const providerFor = (channel: Channel): MessageProvider => {
+  const key = channel === "sms" ? "SMS_PROVIDER" : "WHATSAPP_PROVIDER";
+  const name = env(key);
+  const provider = PROVIDERS[channel][name];
+  if (!provider) throw new Error(`Unknown ${key} "${name}"`);
+  return provider;
+};
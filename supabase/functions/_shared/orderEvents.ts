@@ -0,0 +1,42 @@
+// Which order_logs events reach whom, and how they read in a notification.
+// The in-app preference list (src/notifications.js) mirrors these keys.
+
+export type OrderLog = {
+  id: string;
+  order_id: string;
+  actor_name: string;
+  actor_role: string;
+  event: string;
+  notes: string | null;
+  // The order's status when the row was written (order_logs_status trigger).
+  status: string | null;
+};
+
+// Sent to the order's customer, unless the customer caused the event themselves.
+export const CUSTOMER_EVENTS: Record<string, string> = {
+  QUOTE_SENT:       "Your quote is ready",
+  QUOTE_REVISED:    "Your quote was updated",
+  STATUS_UPDATED:   "Order update",
+  TRACKING_ADDED:   "Your order has shipped",
+  DEPOSIT_PAID:     "Deposit received",
+  BALANCE_PAID:     "Payment complete",
+  PAYMENT_FAILED:   "Payment did not go through",
+  CANCEL_APPROVED:  "Cancellation approved",
+  CANCEL_REFUSED:   "Cancellation request declined",
+  REFUND_CREATED:   "Refund on its way",
+  REFUND_CLOSED:    "Refund completed",
+  ATTACHMENT_ADDED: "New photos on your order",
+};
+
+// carrier-sync logs every checkpoint that doesn't move the order as TRACKING_ADDED
+// from the "carrier" role. Those are for the timeline; nobody is notified of them.
+export const notifies = (log: OrderLog) => !(log.event === "TRACKING_ADDED" && log.actor_role === "carrier");
+
+// Mirrors STAFF_ROLES (src/roles.js).
+export const STAFF_ROLES = ["owner", "agent", "logistics", "finance"];
+
+// Sent to all staff.
+export const ADMIN_EVENTS: Record<string, string> = {
+  REQUEST_SUBMITTED: "New sourcing request",
+  DEPOSIT_PAID:      "Deposit paid",
+};
@@ -0,0 +1,18 @@
+import { createClient } from "npm:@supabase/supabase-js@2";
+
+// Service-role client: bypasses RLS, so only use it after checking who is calling.
+export const supabaseAdmin = createClient(
+  Deno.env.get("SUPABASE_URL")!,
+  Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!,
+);
+
+// Resolves the signed-in user behind a request's Authorization header, or null.
+export const getRequestUser = async (req: Request) => {
+  const token = req.headers.get("Authorization")?.replace(/^Bearer /, "");
+  if (!token) return null;
+  const { data } = await supabaseAdmin.auth.getUser(token);
+  return data.user ?? null;
+};
+
+export const addLog = (orderId: string, event: string, notes = "", actorName = "Baruk", actorRole = "system") =>
+  supabaseAdmin.from("order_logs").insert({ order_id: orderId, actor_name: actorName, actor_role: actorRole, event, notes });
@@ -0,0 +1,155 @@
+// Pulls carrier checkpoints for shipped orders and moves each order forward as
+// they arrive. Called three ways; deploy with --no-verify-jwt:
+//   - by the carrier-sync cron job, with the ORDER_EVENTS_SECRET header: every
+//     order with a tracking number that isn't delivered yet;
+//   - by owners and logistics staff from the app, with { orderId }: that order only;
+//   - by carriers that push updates, at ?carrier=<name>&token=CARRIER_WEBHOOK_TOKEN.
+import { corsHeaders, json } from "../_shared/cors.ts";
+import { supabaseAdmin, getRequestUser, addLog } from "../_shared/supabaseAdmin.ts";
+import { CARRIERS, STAGE_STATUS, adapterFor, trackShipment, type CarrierAdapter, type Checkpoint } from "../_shared/carriers.ts";
+import { STATUS_LABELS } from "../_shared/messageTemplates.ts";
+
+// Mirrors STATUS_STEPS (src/orderStatus.js) from the point a shipment can exist.
+const SHIPPING_STEPS = ["sourcing", "shipped", "customs", "out_for_delivery", "delivered"];
+
+// The order columns a sync reads.
+type TrackedOrder = {
+  id: string;
+  order_code: string;
+  status: string;
+  payment_status: string;
+  tracking_number: string;
+  carrier: string | null;
+};
+
+const fmtCheckpointTime = (iso: string) =>
+  new Date(iso).toLocaleString("en-KE", { timeZone: "Africa/Nairobi", day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
+
+// The furthest status the checkpoints justify, stopping where STATUS_TRANSITIONS
+// would: nothing goes out for delivery before the balance is paid.
+const targetStep = (order: TrackedOrder, stage: Checkpoint["stage"]) => {
+  const status = STAGE_STATUS[stage];
+  if (!status) return -1;
+  const step = SHIPPING_STEPS.indexOf(status);
+  const cap = order.payment_status === "paid_in_full" ? SHIPPING_STEPS.length - 1 : SHIPPING_STEPS.indexOf("customs");
+  return Math.min(step, cap);
+};
+
+// Stores the checkpoints not seen before and advances the order through them.
+// Each new checkpoint gets a log with the carrier's location and time: STATUS_UPDATED
+// where it moved the order, TRACKING_ADDED (timeline only, see orderEvents.ts) otherwise.
+const applyCheckpoints = async (order: TrackedOrder, adapter: CarrierAdapter, checkpoints: Checkpoint[]) => {
+  const { data: inserted, error } = await supabaseAdmin.from("tracking_checkpoints").upsert(
+    checkpoints.map(c => ({
+      order_id:    order.id,
+      carrier:     adapter.name,
+      external_id: c.id,
+      stage:       c.stage,
+      description: c.description,
+      location:    c.location || null,
+      occurred_at: c.occurredAt,
+    })),
+    { onConflict: "order_id,carrier,external_id", ignoreDuplicates: true },
+  ).select("external_id");
+  if (error) throw error;
+
+  const fresh = new Set((inserted ?? []).map((r: { external_id: string }) => r.external_id));
+  let step = SHIPPING_STEPS.indexOf(order.status);
+  const startStep = step;
+  const moves = checkpoints.filter(c => fresh.has(c.id)).map(c => {
+    const target = targetStep(order, c.stage);
+    if (step < 0 || target <= step) return { checkpoint: c, status: null };
+    step = target;
+    return { checkpoint: c, status: SHIPPING_STEPS[step] };
+  });
+
+  // The order moves before anything is logged, so the dispatchers the logs trigger read the new status.
+  const { error: updateError } = await supabaseAdmin.from("orders").update({
+    carrier:           adapter.name,
+    carrier_synced_at: new Date().toISOString(),
+    ...(step > startStep ? { status: SHIPPING_STEPS[step] } : {}),
+  }).eq("id", order.id);
+  if (updateError) throw updateError;
+
+  for (const { checkpoint: c, status } of moves) {
+    const where = `${c.description}${c.location ? `, ${c.location}` : ""} (${fmtCheckpointTime(c.occurredAt)})`;
+    if (status) await addLog(order.id, "STATUS_UPDATED", `Status changed to: ${status.replace(/_/g, " ")} — ${where}`, adapter.label);
+    else await addLog(order.id, "TRACKING_ADDED", where, adapter.label, "carrier");
+  }
+  return { orderCode: order.order_code, carrier: adapter.name, newCheckpoints: fresh.size, status: STATUS_LABELS[SHIPPING_STEPS[step]] ?? order.status };
+};
+
+// Runs one order's sync, reporting a failure in its result so the other orders
+// in a batch still go through.
+const settle = async (order: TrackedOrder, sync: () => ReturnType<typeof applyCheckpoints>) => {
+  try {
+    return await sync();
+  } catch (err) {
+    console.error("[carrier-sync]", order.order_code, (err as Error).message);
+    return { orderCode: order.order_code, error: (err as Error).message };
+  }
+};
+
+const syncOrder = (order: TrackedOrder) => {
+  const adapter = adapterFor(order.tracking_number, order.carrier);
+  if (!adapter) return Promise.resolve({ orderCode: order.order_code, error: "Carrier not recognised from the tracking number" });
+  return settle(order, async () => applyCheckpoints(order, adapter, await trackShipment(adapter, order.tracking_number)));
+};
+
+const handleWebhook = async (req: Request, carrierName: string) => {
+  if (new URL(req.url).searchParams.get("token") !== Deno.env.get("CARRIER_WEBHOOK_TOKEN")) {
+    return new Response("Forbidden", { status: 403 });
+  }
+  const adapter = CARRIERS.find(c => c.name === carrierName);
+  if (!adapter?.parseWebhook) return new Response("Unknown carrier", { status: 404 });
+
+  let pushed;
+  try {
+    pushed = adapter.parseWebhook(await req.json());
+  } catch (err) {
+    return Response.json({ error: `Malformed ${adapter.label} webhook: ${(err as Error).message}` }, { status: 400 });
+  }
+
+  const results = [];
+  for (const { trackingNumber, raw } of pushed) {
+    const { data: orders } = await supabaseAdmin.from("orders").select("*").eq("tracking_number", trackingNumber);
+    for (const order of orders ?? []) {
+      results.push(await settle(order, () =>
+        applyCheckpoints(order, adapter, adapter.parse(raw).sort((a, b) => a.occurredAt.localeCompare(b.occurredAt)))));
+    }
+  }
+  return Response.json({ results });
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+
+  const carrier = new URL(req.url).searchParams.get("carrier");
+  if (carrier) return handleWebhook(req, carrier);
+
+  if (req.headers.get("x-order-events-secret") === Deno.env.get("ORDER_EVENTS_SECRET")) {
+    const { data: orders } = await supabaseAdmin.from("orders").select("*")
+      .not("tracking_number", "is", null).in("status", SHIPPING_STEPS.slice(0, -1));
+    const results = [];
+    for (const order of orders ?? []) results.push(await syncOrder(order));
+    return Response.json({ results });
+  }
+
+  const user = await getRequestUser(req);
+  if (!user) return json({ error: "Not signed in" }, 401);
+  const { data: profile } = await supabaseAdmin.from("profiles").select("role").eq("id", user.id).single();
+  // Mirrors PERMISSIONS.ship (src/roles.js).
+  if (!["owner", "logistics"].includes(profile?.role)) return json({ error: "Only logistics staff can sync tracking" }, 403);
+
+  let orderId: string | undefined;
+  try {
+    ({ orderId } = await req.json());
+  } catch {
+    return json({ error: "Malformed request body" }, 400);
+  }
+  if (!orderId) return json({ error: "No order given" }, 400);
+  const { data: order } = await supabaseAdmin.from("orders").select("*").eq("id", orderId).single();
+  if (!order?.tracking_number) return json({ error: "This order has no tracking number" }, 404);
+  const result = await syncOrder(order);
+  return json(result, "error" in result ? 502 : 200);
+});
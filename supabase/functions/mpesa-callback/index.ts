@@ -0,0 +1,88 @@
+// Daraja STK callback. Deploy with --no-verify-jwt: Safaricom cannot send a
+// Supabase JWT, so the shared MPESA_CALLBACK_TOKEN in the URL authenticates it.
+import { RESULT_CODES, callbackMetadata, type StkCallback } from "../_shared/daraja.ts";
+import { supabaseAdmin, addLog } from "../_shared/supabaseAdmin.ts";
+
+// Daraja retries unless it gets this body back, so every handled case answers with it.
+const accepted = () => Response.json({ ResultCode: 0, ResultDesc: "Accepted" });
+// For a body that isn't a callback at all; retrying it would not help either.
+const rejected = (reason: string) => Response.json({ ResultCode: 1, ResultDesc: `Rejected: ${reason}` }, { status: 400 });
+
+const failureStatus = (code: number) =>
+  code === RESULT_CODES.CANCELLED ? "cancelled"
+  : code === RESULT_CODES.TIMEOUT ? "timeout"
+  : "failed";
+
+const FAILURE_NOTES: Record<string, string> = {
+  cancelled: "Customer cancelled the M-Pesa prompt",
+  timeout:   "M-Pesa prompt timed out before the PIN was entered",
+  failed:    "M-Pesa payment failed",
+};
+
+Deno.serve(async (req) => {
+  const token = new URL(req.url).searchParams.get("token");
+  if (token !== Deno.env.get("MPESA_CALLBACK_TOKEN")) return new Response("Forbidden", { status: 403 });
+
+  let cb: StkCallback | undefined;
+  try {
+    cb = (await req.json())?.Body?.stkCallback;
+  } catch {
+    return rejected("malformed JSON");
+  }
+  if (!cb?.CheckoutRequestID) return rejected("no stkCallback.CheckoutRequestID");
+
+  const { data: payment } = await supabaseAdmin.from("payments").select("*")
+    .eq("checkout_request_id", cb.CheckoutRequestID).single();
+  if (!payment) return accepted();
+  // Daraja can deliver the same callback more than once, even at the same time, so
+  // every outcome claims the payment with a pending → final update and only the
+  // delivery that wins the claim logs or credits anything.
+  if (payment.status !== "pending") return accepted();
+
+  const now = new Date().toISOString();
+  const base = { result_code: cb.ResultCode, result_desc: cb.ResultDesc, updated_at: now };
+  const claim = async (patch: Record<string, unknown>) => {
+    const { data } = await supabaseAdmin.from("payments").update({ ...base, ...patch })
+      .eq("id", payment.id).eq("status", "pending").select("id");
+    return (data?.length ?? 0) > 0;
+  };
+
+  if (cb.ResultCode !== RESULT_CODES.SUCCESS) {
+    const status = failureStatus(cb.ResultCode);
+    if (await claim({ status })) await addLog(payment.order_id, "PAYMENT_FAILED", `${FAILURE_NOTES[status]} (${cb.ResultDesc})`);
+    return accepted();
+  }
+
+  const meta = callbackMetadata(cb);
+  const received = Number(meta.Amount);
+  const receipt = String(meta.MpesaReceiptNumber || "");
+
+  if (received !== Number(payment.amount)) {
+    if (await claim({ status: "amount_mismatch", amount_received: received, mpesa_receipt: receipt })) {
+      await addLog(payment.order_id, "PAYMENT_FAILED",
+        `Amount mismatch: expected KES ${Number(payment.amount).toLocaleString()}, received KES ${received.toLocaleString()} (${receipt}). Needs admin review.`);
+    }
+    return accepted();
+  }
+
+  // Each confirmed payment is its own ledger row; the order keeps the running totals.
+  // credit_payment claims the payment and increments the order in one transaction.
+  const { data: order, error } = await supabaseAdmin.rpc("credit_payment", {
+    p_checkout_request_id: cb.CheckoutRequestID, p_received: received, p_receipt: receipt,
+    p_result_code: cb.ResultCode, p_result_desc: cb.ResultDesc,
+  });
+  // Not acknowledged, so Daraja delivers it again.
+  if (error) { console.error("[mpesa-callback]", error); return new Response("Could not credit payment", { status: 500 }); }
+  if (!order) return accepted();
+  // Paid after the order was cancelled: payments_refund_due has opened a refund for it.
+  if (order.status === "cancelled") {
+    await addLog(payment.order_id, "REFUND_CREATED",
+      `KES ${received.toLocaleString()} — paid after the order was cancelled (M-Pesa code: ${receipt})`, "M-Pesa");
+    return accepted();
+  }
+  const balanceDue = Number(order.balance_due);
+  await addLog(payment.order_id, payment.kind === "deposit" ? "DEPOSIT_PAID" : "BALANCE_PAID",
+    `M-Pesa code: ${receipt} — KES ${received.toLocaleString()}${balanceDue > 0 ? ` · KES ${balanceDue.toLocaleString()} outstanding` : " · paid in full"}`, "M-Pesa");
+
+  return accepted();
+});
@@ -0,0 +1,83 @@
+// Starts an M-Pesa STK Push for the next amount due on an order: the deposit
+// once the quote is approved, the balance while the order is on its way. The
+// order is only marked paid later, by mpesa-callback, once Daraja confirms it.
+import { corsHeaders, json } from "../_shared/cors.ts";
+import { stkPush, normalizePhone } from "../_shared/daraja.ts";
+import { supabaseAdmin, getRequestUser, addLog } from "../_shared/supabaseAdmin.ts";
+
+// A prompt left unanswered this long no longer blocks a new attempt.
+const PENDING_WINDOW_MS = 2 * 60 * 1000;
+
+const BALANCE_STATUSES = ["sourcing", "shipped", "customs"];
+
+// The order columns nextPayment reads. numeric columns can arrive as strings.
+type PayableOrder = {
+  status: string;
+  payment_status: string;
+  total_cost: number | string | null;
+  deposit_percent: number | string;
+  amount_paid: number | string;
+};
+
+// Which payment is due next and how much, or an error explaining why none is.
+const nextPayment = (order: PayableOrder): { kind?: "deposit" | "balance"; amount?: number; error?: string } => {
+  const total = Number(order.total_cost);
+  if (order.payment_status === "paid_in_full") return { error: "This order is already paid" };
+  if (order.payment_status === "unpaid") {
+    if (order.status !== "approved") return { error: "Approve the quote before paying" };
+    return { kind: "deposit", amount: Math.ceil(total * Number(order.deposit_percent) / 100) };
+  }
+  if (!BALANCE_STATUSES.includes(order.status)) return { error: "The balance can't be paid at this stage" };
+  return { kind: "balance", amount: Math.ceil(total - Number(order.amount_paid)) };
+};
+
+Deno.serve(async (req) => {
+  if (req.method === "OPTIONS") return new Response("ok", { headers: corsHeaders });
+
+  const user = await getRequestUser(req);
+  if (!user) return json({ error: "Not signed in" }, 401);
+
+  let orderId: string | undefined;
+  try {
+    ({ orderId } = await req.json());
+  } catch {
+    return json({ error: "Malformed request body" }, 400);
+  }
+  if (!orderId) return json({ error: "No order given" }, 400);
+  const { data: order } = await supabaseAdmin.from("orders").select("*").eq("id", orderId).single();
+  if (!order || order.customer_id !== user.id) return json({ error: "Order not found" }, 404);
+  const due = nextPayment(order);
+  if (due.error) return json({ error: due.error }, 409);
+
+  const { data: pending } = await supabaseAdmin.from("payments").select("id, created_at")
+    .eq("order_id", orderId).eq("status", "pending")
+    .gt("created_at", new Date(Date.now() - PENDING_WINDOW_MS).toISOString());
+  if (pending?.length) return json({ error: "A payment request is already waiting on your phone" }, 409);
+
+  const { kind, amount } = due as { kind: "deposit" | "balance"; amount: number };
+  const phone = normalizePhone(order.customer_phone);
+
+  let result;
+  try {
+    result = await stkPush({
+      phone, amount,
+      accountReference: order.order_code, // Daraja allows 12 characters
+      description:      `Baruk ${kind} ${order.order_code}`,
+    });
+  } catch (err) {
+    await addLog(orderId, "PAYMENT_FAILED", `Could not start M-Pesa request: ${(err as Error).message}`);
+    return json({ error: "M-Pesa is not responding. Please try again." }, 502);
+  }
+
+  const { data: payment, error } = await supabaseAdmin.from("payments").insert({
+    order_id:            orderId,
+    phone, amount, kind,
+    merchant_request_id: result.MerchantRequestID,
+    checkout_request_id: result.CheckoutRequestID,
+    requested_by:        user.id,
+  }).select().single();
+  if (error) return json({ error: error.message }, 500);
+
+  await addLog(orderId, "PAYMENT_REQUESTED", `${kind === "deposit" ? "Deposit" : "Balance"} of KES ${amount.toLocaleString()} requested from ${phone}`);
+  return json({ paymentId: payment.id, message: result.CustomerMessage });
+});
@@ -0,0 +1,80 @@
+// Sends the SMS or WhatsApp message for a new order_logs row to the order's
+// customer, and records every attempt in notification_deliveries. Called by the
+// order_logs_dispatch trigger; deploy with --no-verify-jwt, the shared
+// ORDER_EVENTS_SECRET header authenticates it.
+import { supabaseAdmin } from "../_shared/supabaseAdmin.ts";
+import { normalizePhone } from "../_shared/daraja.ts";
+import { providerFor, type Channel, type MessageProvider } from "../_shared/messaging.ts";
+import { renderMessage } from "../_shared/messageTemplates.ts";
+import { notifies, type OrderLog } from "../_shared/orderEvents.ts";
+
+const skipped = (reason: string) => Response.json({ sent: false, reason });
+
+Deno.serve(async (req) => {
+  if (req.headers.get("x-order-events-secret") !== Deno.env.get("ORDER_EVENTS_SECRET")) {
+    return new Response("Forbidden", { status: 403 });
+  }
+  const log: OrderLog = (await req.json())?.record;
+  if (!log?.order_id) return new Response("Bad request", { status: 400 });
+  if (log.actor_role === "customer") return skipped("customer action");
+  if (!notifies(log)) return skipped("carrier checkpoint");
+
+  const { data: order } = await supabaseAdmin.from("orders").select("*").eq("id", log.order_id).single();
+  if (!order) return skipped("order not found");
+
+  const message = renderMessage(log, order);
+  if (!message) return skipped("no template");
+
+  const [{ data: settings }, { data: optOut }, { data: profile }] = await Promise.all([
+    supabaseAdmin.from("message_settings").select("channel").eq("user_id", order.customer_id).maybeSingle(),
+    supabaseAdmin.from("notification_preferences").select("enabled")
+      .eq("user_id", order.customer_id).eq("channel", "message").eq("event", log.event).maybeSingle(),
+    supabaseAdmin.from("profiles").select("phone").eq("id", order.customer_id).maybeSingle(),
+  ]);
+  const channel = (settings?.channel ?? "sms") as Channel | "none";
+  if (channel === "none") return skipped("messages turned off");
+  if (optOut?.enabled === false) return skipped("event turned off");
+
+  const phone = profile?.phone || order.customer_phone;
+  if (!phone) return skipped("no phone number");
+  const recipient = normalizePhone(phone);
+
+  // A misconfigured provider fails this delivery, on record like any other failure.
+  let provider: MessageProvider | null = null;
+  let setupError: string | null = null;
+  try {
+    provider = providerFor(channel);
+  } catch (err) {
+    setupError = (err as Error).message;
+    console.error("[notify-dispatch]", setupError);
+  }
+  const { data: delivery, error } = await supabaseAdmin.from("notification_deliveries").insert({
+    order_id:  order.id,
+    log_id:    String(log.id),
+    user_id:   order.customer_id,
+    event:     log.event,
+    channel,
+    provider:  provider?.name ?? "unknown",
+    recipient,
+    message,
+    ...(setupError ? { status: "failed", error: setupError } : {}),
+  }).select().single();
+  if (error) {
+    console.error("[notify-dispatch]", error);
+    return new Response("Could not record delivery", { status: 500 });
+  }
+  if (!provider) return Response.json({ sent: false, reason: setupError });
+
+  try {
+    const { id } = await provider.send(recipient, message);
+    await supabaseAdmin.from("notification_deliveries").update({
+      status: "sent", provider_message_id: id, updated_at: new Date().toISOString(),
+    }).eq("id", delivery.id);
+    return Response.json({ sent: true, id });
+  } catch (err) {
+    await supabaseAdmin.from("notification_deliveries").update({
+      status: "failed", error: (err as Error).message, updated_at: new Date().toISOString(),
+    }).eq("id", delivery.id);
+    return Response.json({ sent: false, reason: (err as Error).message });
+  }
+});
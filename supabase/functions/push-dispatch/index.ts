@@ -0,0 +1,77 @@
+// Sends Web Push notifications for a new order_logs row. Called by the
+// order_logs_dispatch trigger (see the push_notifications migration), so deploy
+// with --no-verify-jwt; the shared ORDER_EVENTS_SECRET header authenticates it.
+import webpush from "npm:web-push@3";
+import { supabaseAdmin } from "../_shared/supabaseAdmin.ts";
+import { ADMIN_EVENTS, CUSTOMER_EVENTS, STAFF_ROLES, notifies, type OrderLog } from "../_shared/orderEvents.ts";
+
+webpush.setVapidDetails(
+  Deno.env.get("VAPID_SUBJECT") ?? "mailto:support@baruk.co.ke",
+  Deno.env.get("VAPID_PUBLIC_KEY")!,
+  Deno.env.get("VAPID_PRIVATE_KEY")!,
+);
+
+const APP_URL = Deno.env.get("APP_URL") ?? "";
+
+type Recipient = { userId: string; title: string };
+
+// Users who switched this event off for push.
+const optedOut = async (userIds: string[], event: string) => {
+  const { data } = await supabaseAdmin.from("notification_preferences").select("user_id")
+    .in("user_id", userIds).eq("channel", "push").eq("event", event).eq("enabled", false);
+  return new Set((data ?? []).map((p: { user_id: string }) => p.user_id));
+};
+
+const recipientsFor = async (log: OrderLog, customerId: string): Promise<Recipient[]> => {
+  const recipients: Recipient[] = [];
+  if (CUSTOMER_EVENTS[log.event] && log.actor_role !== "customer") {
+    recipients.push({ userId: customerId, title: CUSTOMER_EVENTS[log.event] });
+  }
+  if (ADMIN_EVENTS[log.event]) {
+    const { data: staff } = await supabaseAdmin.from("profiles").select("id").in("role", STAFF_ROLES);
+    for (const s of staff ?? []) recipients.push({ userId: s.id, title: ADMIN_EVENTS[log.event] });
+  }
+  return recipients;
+};
+
+Deno.serve(async (req) => {
+  if (req.headers.get("x-order-events-secret") !== Deno.env.get("ORDER_EVENTS_SECRET")) {
+    return new Response("Forbidden", { status: 403 });
+  }
+  const log: OrderLog = (await req.json())?.record;
+  if (!log?.order_id) return new Response("Bad request", { status: 400 });
+  if (!notifies(log)) return Response.json({ sent: 0 });
+
+  const { data: order } = await supabaseAdmin.from("orders").select("id, order_code, product_name, customer_id")
+    .eq("id", log.order_id).single();
+  if (!order) return Response.json({ sent: 0 });
+
+  const recipients = await recipientsFor(log, order.customer_id);
+  if (!recipients.length) return Response.json({ sent: 0 });
+
+  const muted = await optedOut(recipients.map(r => r.userId), log.event);
+  const wanted = recipients.filter(r => !muted.has(r.userId));
+  const { data: subs } = await supabaseAdmin.from("push_subscriptions").select("*")
+    .in("user_id", wanted.map(r => r.userId));
+
+  let sent = 0;
+  for (const sub of subs ?? []) {
+    const recipient = wanted.find(r => r.userId === sub.user_id)!;
+    const payload = JSON.stringify({
+      title: recipient.title,
+      body:  `${order.order_code} · ${order.product_name}${log.notes ? ` — ${log.notes}` : ""}`,
+      url:   `${APP_URL}/orders/${order.order_code}`,
+      tag:   `order-${order.id}`,
+    });
+    try {
+      await webpush.sendNotification({ endpoint: sub.endpoint, keys: { p256dh: sub.p256dh, auth: sub.auth } }, payload);
+      sent++;
+    } catch (err) {
+      // 404/410: the browser dropped the subscription, so forget it.
+      const status = (err as { statusCode?: number }).statusCode;
+      if (status === 404 || status === 410) await supabaseAdmin.from("push_subscriptions").delete().eq("id", sub.id);
+      else console.error("[push-dispatch]", sub.endpoint, (err as Error).message);
+    }
+  }
+  return Response.json({ sent });
+});
@@ -0,0 +1,46 @@
+-- Quote negotiation: versioned quotes and the customer's latest response.
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from profiles where id = auth.uid() and role = 'admin');
+$$;
+
+create table if not exists public.order_quotes (
+  id             uuid primary key default gen_random_uuid(),
+  order_id       uuid not null references public.orders(id) on delete cascade,
+  version        integer not null,
+  product_cost   numeric not null default 0,
+  shipping_cost  numeric not null default 0,
+  customs_duty   numeric not null default 0,
+  service_fee    numeric not null default 0,
+  total_cost     numeric not null,
+  estimated_days integer,
+  notes          text,
+  created_by     text,
+  created_at     timestamptz not null default now(),
+  unique (order_id, version)
+);
+
+create index if not exists order_quotes_order_id_idx on public.order_quotes (order_id);
+
+-- orders keeps the figures of the current version so lists and totals need no join.
+alter table public.orders
+  add column if not exists quote_version        integer,
+  add column if not exists quote_response       text check (quote_response in ('declined', 'countered', 'question')),
+  add column if not exists quote_response_notes text,
+  add column if not exists counter_amount       numeric;
+
+alter table public.order_quotes enable row level security;
+
+create policy "Admins manage quotes" on public.order_quotes
+  for all using (public.is_admin()) with check (public.is_admin());
+
+create policy "Customers read quotes for their orders" on public.order_quotes
+  for select using (
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
@@ -0,0 +1,34 @@
+-- M-Pesa STK Push payments. Rows are written only by the mpesa-* edge functions
+-- (service role); the app reads them to show progress and history.
+
+create table if not exists public.payments (
+  id                  uuid primary key default gen_random_uuid(),
+  order_id            uuid not null references public.orders(id) on delete cascade,
+  phone               text not null,
+  amount              numeric not null,
+  status              text not null default 'pending'
+                      check (status in ('pending', 'confirmed', 'cancelled', 'timeout', 'amount_mismatch', 'failed')),
+  merchant_request_id text,
+  checkout_request_id text unique,
+  mpesa_receipt       text,
+  amount_received     numeric,
+  result_code         integer,
+  result_desc         text,
+  requested_by        uuid references auth.users(id),
+  created_at          timestamptz not null default now(),
+  updated_at          timestamptz not null default now()
+);
+
+create index if not exists payments_order_id_idx on public.payments (order_id);
+
+alter table public.payments enable row level security;
+
+create policy "Admins read payments" on public.payments
+  for select using (public.is_admin());
+
+create policy "Customers read payments for their orders" on public.payments
+  for select using (
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+alter publication supabase_realtime add table public.payments;
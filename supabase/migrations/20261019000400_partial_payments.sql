@@ -0,0 +1,84 @@
+-- Partial payments: a deposit before sourcing, the balance before delivery.
+
+alter table public.orders
+  add column if not exists deposit_percent numeric not null default 100 check (deposit_percent > 0 and deposit_percent <= 100),
+  add column if not exists amount_paid     numeric not null default 0;
+
+alter table public.order_quotes
+  add column if not exists deposit_percent numeric not null default 100;
+
+alter table public.payments
+  add column if not exists kind text not null default 'deposit' check (kind in ('deposit', 'balance'));
+
+-- refund_due: paid after the order was cancelled, so it is owed back to the customer.
+alter table public.payments drop constraint if exists payments_status_check;
+alter table public.payments add constraint payments_status_check
+  check (status in ('pending', 'confirmed', 'cancelled', 'timeout', 'amount_mismatch', 'failed', 'refund_due'));
+
+-- Orders paid under the old flow were always paid in full.
+update public.orders
+   set amount_paid = coalesce(deposit_paid, total_cost, 0),
+       payment_status = 'paid_in_full'
+ where payment_status = 'deposit_paid';
+
+-- Credits a successful STK callback. The payment is claimed (pending → confirmed)
+-- and the order incremented in one transaction, so a callback Daraja delivers
+-- twice, even concurrently, credits the order once. Returns the updated order, or
+-- null when the payment was not pending any more.
+--
+-- The order is locked first, so a cancellation can't land in between. A payment
+-- that completes on a cancelled order is claimed as refund_due instead: it adds to
+-- amount_paid, as the money was received, but leaves the payment status and
+-- balance alone.
+create or replace function public.credit_payment(p_checkout_request_id text, p_received numeric, p_receipt text,
+                                                 p_result_code integer, p_result_desc text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments;
+  v_order   public.orders;
+begin
+  select o.* into v_order
+    from orders o join payments p on p.order_id = o.id
+   where p.checkout_request_id = p_checkout_request_id
+     for update of o;
+
+  update payments set
+    status          = case when v_order.status = 'cancelled' then 'refund_due' else 'confirmed' end,
+    amount_received = p_received,
+    mpesa_receipt   = p_receipt,
+    result_code     = p_result_code,
+    result_desc     = p_result_desc,
+    updated_at      = now()
+  where checkout_request_id = p_checkout_request_id and status = 'pending'
+  returning * into v_payment;
+  if not found then
+    return null;
+  end if;
+
+  if v_payment.status = 'refund_due' then
+    update orders set amount_paid = amount_paid + p_received, mpesa_code = p_receipt
+     where id = v_payment.order_id
+    returning * into v_order;
+    return to_jsonb(v_order);
+  end if;
+
+  -- amount_paid on the right-hand side is the value before this update.
+  update orders set
+    amount_paid    = amount_paid + p_received,
+    balance_due    = greatest(0, coalesce(total_cost, 0) - amount_paid - p_received),
+    payment_status = case when coalesce(total_cost, 0) - amount_paid - p_received > 0 then 'partially_paid' else 'paid_in_full' end,
+    deposit_paid   = case when v_payment.kind = 'deposit' then p_received else deposit_paid end,
+    mpesa_code     = p_receipt
+  where id = v_payment.order_id
+  returning * into v_order;
+
+  return to_jsonb(v_order);
+end;
+$$;
+
+revoke all on function public.credit_payment(text, numeric, text, integer, text) from public, anon, authenticated;
+grant execute on function public.credit_payment(text, numeric, text, integer, text) to service_role;
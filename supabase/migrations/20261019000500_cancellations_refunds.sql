@@ -0,0 +1,55 @@
+-- Customer cancellation requests and admin-tracked refunds.
+
+alter table public.orders
+  add column if not exists cancel_status       text check (cancel_status in ('requested', 'approved', 'refused')),
+  add column if not exists cancel_reason       text,
+  add column if not exists cancel_response     text,
+  add column if not exists cancel_requested_at timestamptz;
+
+create table if not exists public.refunds (
+  id                  uuid primary key default gen_random_uuid(),
+  order_id            uuid not null references public.orders(id) on delete cascade,
+  amount              numeric not null check (amount > 0),
+  reason              text,
+  status              text not null default 'pending' check (status in ('pending', 'processing', 'closed')),
+  mpesa_reversal_ref  text,
+  created_by          text,
+  created_at          timestamptz not null default now(),
+  updated_at          timestamptz not null default now(),
+  closed_at           timestamptz
+);
+
+create index if not exists refunds_order_id_idx on public.refunds (order_id);
+
+alter table public.refunds enable row level security;
+
+create policy "Admins manage refunds" on public.refunds
+  for all using (public.is_admin()) with check (public.is_admin());
+
+create policy "Customers read refunds for their orders" on public.refunds
+  for select using (
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+alter publication supabase_realtime add table public.refunds;
+
+-- A payment that completes after its order was cancelled (credit_payment claims it
+-- as refund_due) is owed straight back, so it gets a refund of its own.
+create or replace function public.payments_refund_due()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into refunds (order_id, amount, reason, created_by)
+  values (new.order_id, new.amount_received, 'Paid after the order was cancelled', 'M-Pesa');
+  return new;
+end;
+$$;
+
+drop trigger if exists payments_refund_due on public.payments;
+create trigger payments_refund_due
+  after update of status on public.payments
+  for each row when (new.status = 'refund_due' and old.status is distinct from 'refund_due')
+  execute function public.payments_refund_due();
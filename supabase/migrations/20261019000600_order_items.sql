@@ -0,0 +1,44 @@
+-- Multi-item orders. orders.product_name and orders.quantity stay as a summary
+-- of the items (for lists and search); shipping, customs and fees stay per order.
+
+create table if not exists public.order_items (
+  id              uuid primary key default gen_random_uuid(),
+  order_id        uuid not null references public.orders(id) on delete cascade,
+  position        integer not null default 0,
+  name            text not null,
+  description     text,
+  quantity        integer not null default 1 check (quantity > 0),
+  budget_min      numeric,
+  budget_max      numeric,
+  reference_links text,
+  unit_cost       numeric,
+  created_at      timestamptz not null default now()
+);
+
+create index if not exists order_items_order_id_idx on public.order_items (order_id);
+
+alter table public.order_quotes
+  add column if not exists item_costs jsonb;
+
+-- Every existing order becomes a one-item order.
+insert into public.order_items (order_id, name, description, quantity, budget_min, budget_max, reference_links, unit_cost)
+select o.id, o.product_name, o.description, coalesce(o.quantity, 1), o.budget_min, o.budget_max, o.reference_links,
+       case when o.product_cost is not null then o.product_cost / coalesce(nullif(o.quantity, 0), 1) end
+  from public.orders o
+ where not exists (select 1 from public.order_items i where i.order_id = o.id);
+
+alter table public.order_items enable row level security;
+
+create policy "Admins manage order items" on public.order_items
+  for all using (public.is_admin()) with check (public.is_admin());
+
+create policy "Customers read items on their orders" on public.order_items
+  for select using (
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+create policy "Customers add items to their pending orders" on public.order_items
+  for insert with check (
+    unit_cost is null and
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid() and o.status = 'pending')
+  );
@@ -0,0 +1,64 @@
+-- Photos and documents on orders, stored in the private order-attachments bucket
+-- under <order_id>/<uuid>-<file name>. Internal files are visible to admins only.
+
+insert into storage.buckets (id, name, public, file_size_limit)
+values ('order-attachments', 'order-attachments', false, 10485760)
+on conflict (id) do nothing;
+
+create table if not exists public.order_attachments (
+  id            uuid primary key default gen_random_uuid(),
+  order_id      uuid not null references public.orders(id) on delete cascade,
+  path          text not null unique,
+  file_name     text not null,
+  mime_type     text,
+  size_bytes    integer,
+  internal      boolean not null default false,
+  uploaded_by   uuid references auth.users(id),
+  uploader_role text,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists order_attachments_order_id_idx on public.order_attachments (order_id);
+
+alter table public.order_attachments enable row level security;
+
+create policy "Admins manage attachments" on public.order_attachments
+  for all using (public.is_admin()) with check (public.is_admin());
+
+create policy "Customers read shared attachments on their orders" on public.order_attachments
+  for select using (
+    not internal and
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+create policy "Customers attach files to their orders" on public.order_attachments
+  for insert with check (
+    not internal and uploaded_by = auth.uid() and
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+-- Storage: the first folder of every object path is the order id.
+create policy "Admins manage attachment files" on storage.objects
+  for all using (bucket_id = 'order-attachments' and public.is_admin())
+  with check (bucket_id = 'order-attachments' and public.is_admin());
+
+create policy "Customers upload files to their orders" on storage.objects
+  for insert with check (
+    bucket_id = 'order-attachments' and
+    exists (
+      select 1 from public.orders o
+       where o.id::text = (storage.foldername(name))[1] and o.customer_id = auth.uid()
+    )
+  );
+
+create policy "Customers read shared files on their orders" on storage.objects
+  for select using (
+    bucket_id = 'order-attachments' and
+    exists (
+      select 1 from public.order_attachments a
+        join public.orders o on o.id = a.order_id
+       where a.path = name and not a.internal and o.customer_id = auth.uid()
+    )
+  );
+
+alter publication supabase_realtime add table public.order_attachments;
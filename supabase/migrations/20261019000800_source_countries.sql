@@ -0,0 +1,32 @@
+-- Source countries with admin-editable shipping and fee presets used to prefill quotes.
+
+create table if not exists public.source_countries (
+  code                 text primary key,
+  name                 text not null unique,
+  shipping_rate_per_kg numeric not null default 0,
+  transit_days         integer,
+  service_fee_percent  numeric not null default 0,
+  active               boolean not null default true,
+  position             integer not null default 0,
+  updated_at           timestamptz not null default now()
+);
+
+insert into public.source_countries (code, name, shipping_rate_per_kg, transit_days, service_fee_percent, position) values
+  ('CN', 'China',          850, 21, 10, 0),
+  ('AE', 'Dubai',          600, 10, 10, 1),
+  ('GB', 'United Kingdom', 1100, 14, 12, 2),
+  ('TR', 'Turkey',         950, 14, 12, 3),
+  ('US', 'United States',  1300, 18, 12, 4)
+on conflict (code) do nothing;
+
+-- Chargeable weight used for the shipping estimate.
+alter table public.orders
+  add column if not exists weight_kg numeric;
+
+alter table public.source_countries enable row level security;
+
+create policy "Anyone signed in reads source countries" on public.source_countries
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins manage source countries" on public.source_countries
+  for all using (public.is_admin()) with check (public.is_admin());
@@ -0,0 +1,57 @@
+-- Rate tables for the landed-cost calculator in the admin quote form, and the
+-- saved calculation on each quote version.
+
+create table if not exists public.tariff_categories (
+  code                text primary key,
+  name                text not null,
+  import_duty_percent numeric not null default 25,
+  excise_percent      numeric not null default 0,
+  vat_percent         numeric not null default 16,
+  active              boolean not null default true,
+  position            integer not null default 0,
+  updated_at          timestamptz not null default now()
+);
+
+insert into public.tariff_categories (code, name, import_duty_percent, excise_percent, vat_percent, position) values
+  ('GEN', 'General goods',             25, 0,  16, 0),
+  ('PHN', 'Phones & tablets',           0, 10, 16, 1),
+  ('CMP', 'Computers & parts',          0, 0,  16, 2),
+  ('ELE', 'Electronics & appliances',  25, 0,  16, 3),
+  ('CLO', 'Clothing & shoes',          35, 0,  16, 4),
+  ('CSM', 'Cosmetics',                 25, 15, 16, 5),
+  ('VEH', 'Vehicle parts',             25, 0,  16, 6),
+  ('RAW', 'Raw materials',              0, 0,  16, 7)
+on conflict (code) do nothing;
+
+-- Single-row table: rates that apply to every import.
+create table if not exists public.customs_settings (
+  id                   boolean primary key default true check (id),
+  idf_percent          numeric not null default 3.5,
+  rdl_percent          numeric not null default 2,
+  insurance_percent    numeric not null default 1,
+  volumetric_kg_per_m3 numeric not null default 167,
+  updated_at           timestamptz not null default now()
+);
+
+insert into public.customs_settings (id) values (true) on conflict (id) do nothing;
+
+alter table public.order_quotes
+  add column if not exists breakdown jsonb;
+
+alter table public.orders
+  add column if not exists tariff_category text references public.tariff_categories(code);
+
+alter table public.tariff_categories enable row level security;
+alter table public.customs_settings enable row level security;
+
+create policy "Anyone signed in reads tariff categories" on public.tariff_categories
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins manage tariff categories" on public.tariff_categories
+  for all using (public.is_admin()) with check (public.is_admin());
+
+create policy "Anyone signed in reads customs settings" on public.customs_settings
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins manage customs settings" on public.customs_settings
+  for all using (public.is_admin()) with check (public.is_admin());
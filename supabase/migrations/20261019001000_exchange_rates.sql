@@ -0,0 +1,30 @@
+-- Admin-maintained exchange rates with effective dates, and the currency each
+-- quote was priced in. All order totals stay in KES.
+
+create table if not exists public.exchange_rates (
+  id             uuid primary key default gen_random_uuid(),
+  currency       text not null check (currency ~ '^[A-Z]{3}$' and currency <> 'KES'),
+  kes_per_unit   numeric not null check (kes_per_unit > 0),
+  effective_from date not null default current_date,
+  created_by     text,
+  created_at     timestamptz not null default now(),
+  unique (currency, effective_from)
+);
+
+alter table public.order_quotes
+  add column if not exists currency             text not null default 'KES',
+  add column if not exists exchange_rate        numeric not null default 1,
+  add column if not exists product_cost_foreign numeric;
+
+alter table public.orders
+  add column if not exists quote_currency       text not null default 'KES',
+  add column if not exists quote_exchange_rate  numeric not null default 1,
+  add column if not exists product_cost_foreign numeric;
+
+alter table public.exchange_rates enable row level security;
+
+create policy "Anyone signed in reads exchange rates" on public.exchange_rates
+  for select using (auth.role() = 'authenticated');
+
+create policy "Admins manage exchange rates" on public.exchange_rates
+  for all using (public.is_admin()) with check (public.is_admin());
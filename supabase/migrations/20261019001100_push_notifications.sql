@@ -0,0 +1,68 @@
+-- Web Push: one subscription per browser/device, per-event opt-outs, and a
+-- trigger that hands every new order_logs row to the push-dispatch function.
+--
+-- The trigger reads two Vault secrets; set them once per project:
+--   select vault.create_secret('https://<project-ref>.supabase.co/functions/v1', 'functions_url');
+--   select vault.create_secret('<random string>', 'order_events_secret');
+-- and give push-dispatch the same ORDER_EVENTS_SECRET.
+
+create extension if not exists pg_net with schema extensions;
+
+create table if not exists public.push_subscriptions (
+  id         uuid primary key default gen_random_uuid(),
+  user_id    uuid not null references auth.users(id) on delete cascade,
+  endpoint   text not null unique,
+  p256dh     text not null,
+  auth       text not null,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists push_subscriptions_user_id_idx on public.push_subscriptions (user_id);
+
+-- Rows only exist for events a user has switched off (or back on); no row means enabled.
+create table if not exists public.notification_preferences (
+  user_id    uuid not null references auth.users(id) on delete cascade,
+  channel    text not null default 'push' check (channel in ('push')),
+  event      text not null,
+  enabled    boolean not null default true,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, channel, event)
+);
+
+alter table public.push_subscriptions enable row level security;
+alter table public.notification_preferences enable row level security;
+
+create policy "Users manage their push subscriptions" on public.push_subscriptions
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create policy "Users manage their notification preferences" on public.notification_preferences
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create or replace function public.dispatch_order_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  base_url text := (select decrypted_secret from vault.decrypted_secrets where name = 'functions_url');
+  secret   text := (select decrypted_secret from vault.decrypted_secrets where name = 'order_events_secret');
+begin
+  -- Not configured (e.g. a fresh local database): skip rather than fail the insert.
+  if base_url is null then
+    return new;
+  end if;
+  perform net.http_post(
+    url     := base_url || '/push-dispatch',
+    headers := jsonb_build_object('Content-Type', 'application/json', 'x-order-events-secret', secret),
+    body    := jsonb_build_object('record', to_jsonb(new))
+  );
+  return new;
+end;
+$$;
+
+drop trigger if exists order_logs_dispatch on public.order_logs;
+create trigger order_logs_dispatch
+  after insert on public.order_logs
+  for each row execute function public.dispatch_order_log();
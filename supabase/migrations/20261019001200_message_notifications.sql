@@ -0,0 +1,93 @@
+-- SMS / WhatsApp notifications for order events, sent by the notify-dispatch
+-- function, with a log of every delivery attempt.
+
+-- How each user wants text messages; no row means SMS.
+create table if not exists public.message_settings (
+  user_id    uuid primary key references auth.users(id) on delete cascade,
+  channel    text not null default 'sms' check (channel in ('sms', 'whatsapp', 'none')),
+  updated_at timestamptz not null default now()
+);
+
+-- Per-event opt-outs now cover text messages too.
+alter table public.notification_preferences
+  drop constraint if exists notification_preferences_channel_check;
+alter table public.notification_preferences
+  add constraint notification_preferences_channel_check check (channel in ('push', 'message'));
+
+create table if not exists public.notification_deliveries (
+  id                  uuid primary key default gen_random_uuid(),
+  order_id            uuid not null references public.orders(id) on delete cascade,
+  log_id              text,
+  user_id             uuid references auth.users(id) on delete set null,
+  event               text not null,
+  channel             text not null check (channel in ('sms', 'whatsapp')),
+  provider            text not null,
+  recipient           text not null,
+  message             text not null,
+  status              text not null default 'sending' check (status in ('sending', 'sent', 'failed')),
+  provider_message_id text,
+  error               text,
+  created_at          timestamptz not null default now(),
+  updated_at          timestamptz not null default now()
+);
+
+create index if not exists notification_deliveries_order_id_idx on public.notification_deliveries (order_id);
+
+alter table public.message_settings enable row level security;
+alter table public.notification_deliveries enable row level security;
+
+create policy "Users manage their message settings" on public.message_settings
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+create policy "Admins read notification deliveries" on public.notification_deliveries
+  for select using (public.is_admin());
+
+-- Every order_logs row now goes to both dispatchers.
+create or replace function public.dispatch_order_log()
+returns trigger
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  base_url text := (select decrypted_secret from vault.decrypted_secrets where name = 'functions_url');
+  secret   text := (select decrypted_secret from vault.decrypted_secrets where name = 'order_events_secret');
+  fn       text;
+begin
+  if base_url is null then
+    return new;
+  end if;
+  foreach fn in array array['push-dispatch', 'notify-dispatch'] loop
+    perform net.http_post(
+      url     := base_url || '/' || fn,
+      headers := jsonb_build_object('Content-Type', 'application/json', 'x-order-events-secret', secret),
+      body    := jsonb_build_object('record', to_jsonb(new))
+    );
+  end loop;
+  return new;
+end;
+$$;
+
+alter publication supabase_realtime add table public.notification_deliveries;
+
+-- The order's status when each log row was written, so a STATUS_UPDATED message
+-- names the status it is about even if the order moves on before it is sent.
+-- Writers update the order before logging (update_order_logged, carrier-sync).
+alter table public.order_logs add column if not exists status text;
+
+create or replace function public.order_logs_status()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  new.status := (select o.status from orders o where o.id = new.order_id);
+  return new;
+end;
+$$;
+
+drop trigger if exists order_logs_status on public.order_logs;
+create trigger order_logs_status
+  before insert on public.order_logs
+  for each row execute function public.order_logs_status();
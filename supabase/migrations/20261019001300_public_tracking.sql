@@ -0,0 +1,77 @@
+-- Public order tracking: anyone with the order code and the last four digits
+-- of the customer's phone number can see progress, but no prices, notes or
+-- addresses. Lookups are rate-limited per caller IP, and failures per IP and
+-- order code: counting failures per code alone would let anyone lock a customer
+-- out of their own order by guessing wrong five times.
+
+create table if not exists public.tracking_attempts (
+  id         bigint generated always as identity primary key,
+  ip         text not null,
+  order_code text not null,
+  succeeded  boolean not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tracking_attempts_ip_idx on public.tracking_attempts (ip, created_at);
+create index if not exists tracking_attempts_code_idx on public.tracking_attempts (order_code, ip, created_at);
+
+-- No policies: only track_order (security definer) reads or writes it.
+alter table public.tracking_attempts enable row level security;
+
+create or replace function public.track_order(p_code text, p_phone_last4 text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  -- The last x-forwarded-for hop is the one Supabase's proxy appends; anything
+  -- before it came from the caller and could be made up.
+  v_ip   text := coalesce(
+    nullif(trim(regexp_replace(current_setting('request.headers', true)::json ->> 'x-forwarded-for', '^.*,', '')), ''),
+    'unknown');
+  v_code text := upper(trim(coalesce(p_code, '')));
+  v_order public.orders;
+begin
+  if (select count(*) from tracking_attempts where ip = v_ip and created_at > now() - interval '15 minutes') >= 20
+     or (select count(*) from tracking_attempts
+          where order_code = v_code and ip = v_ip and not succeeded and created_at > now() - interval '1 hour') >= 5 then
+    raise exception 'Too many tracking attempts. Please try again later.' using hint = 'rate_limited';
+  end if;
+
+  select * into v_order from orders
+   where upper(order_code) = v_code
+     and length(coalesce(p_phone_last4, '')) = 4
+     and right(regexp_replace(coalesce(customer_phone, ''), '\D', '', 'g'), 4) = p_phone_last4;
+
+  insert into tracking_attempts (ip, order_code, succeeded) values (v_ip, v_code, v_order.id is not null);
+  delete from tracking_attempts where created_at < now() - interval '1 day';
+
+  if v_order.id is null then
+    return null;
+  end if;
+
+  return jsonb_build_object(
+    'order_code',      v_order.order_code,
+    'status',          v_order.status,
+    'product_name',    v_order.product_name,
+    'created_at',      v_order.created_at,
+    'estimated_days',  v_order.estimated_days,
+    'tracking_number', v_order.tracking_number,
+    'events', coalesce((
+      select jsonb_agg(jsonb_build_object(
+               'event',      l.event,
+               'notes',      case when l.event in ('STATUS_UPDATED', 'TRACKING_ADDED') then l.notes end,
+               'created_at', l.created_at
+             ) order by l.created_at)
+        from order_logs l
+       where l.order_id = v_order.id
+         and l.event in ('REQUEST_SUBMITTED', 'QUOTE_SENT', 'ORDER_APPROVED', 'DEPOSIT_PAID', 'BALANCE_PAID',
+                         'STATUS_UPDATED', 'TRACKING_ADDED', 'CANCEL_APPROVED')
+    ), '[]'::jsonb)
+  );
+end;
+$$;
+
+revoke all on function public.track_order(text, text) from public;
+grant execute on function public.track_order(text, text) to anon, authenticated;
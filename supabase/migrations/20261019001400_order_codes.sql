@@ -0,0 +1,67 @@
+-- Order codes come from a sequence instead of the browser clock, so two orders
+-- can never share one. Six characters from a 29-letter alphabet with no
+-- look-alikes (0/O, 1/I/L, U/V), then a position-weighted mod 29 check
+-- character; src/orderCode.js validates them with the same rules. Existing
+-- BRK-XXXXXX codes are left alone.
+
+create sequence if not exists public.order_code_seq;
+
+create or replace function public.order_code_check(p_body text)
+returns text
+language plpgsql
+immutable
+as $$
+declare
+  alphabet constant text := '23456789ABCDEFGHJKMNPQRSTWXYZ';
+  n     int := length(alphabet);
+  total int := 0;
+begin
+  for i in 0 .. length(p_body) - 1 loop
+    total := total + (i + 2) * (strpos(alphabet, substr(p_body, length(p_body) - i, 1)) - 1);
+  end loop;
+  return substr(alphabet, (n - total % n) % n + 1, 1);
+end;
+$$;
+
+-- The sequence value is multiplied by a constant coprime to 29^6, which maps
+-- every value below 29^6 to a distinct body, so consecutive orders don't get
+-- consecutive (guessable) codes.
+create or replace function public.next_order_code()
+returns text
+language plpgsql
+volatile
+as $$
+declare
+  alphabet constant text := '23456789ABCDEFGHJKMNPQRSTWXYZ';
+  space    constant bigint := 594823321; -- 29^6
+  v    bigint := (nextval('public.order_code_seq') * 282475249) % space;
+  body text := '';
+begin
+  for i in 1 .. 6 loop
+    body := substr(alphabet, (v % 29)::int + 1, 1) || body;
+    v := v / 29;
+  end loop;
+  return 'BRK-' || body || public.order_code_check(body);
+end;
+$$;
+
+alter table public.orders alter column order_code set default public.next_order_code();
+
+-- Browser-clock codes could collide. The oldest order keeps a shared code; the
+-- others get a new one, noted on their timeline so old messages still make sense.
+with dupes as (
+  select id, order_code as old_code
+    from (select id, order_code, row_number() over (partition by order_code order by created_at, id) as n
+            from public.orders) ranked
+   where n > 1
+), recoded as (
+  update public.orders o set order_code = public.next_order_code()
+    from dupes d
+   where o.id = d.id
+  returning o.id, d.old_code, o.order_code
+)
+insert into public.order_logs (order_id, actor_name, actor_role, event, notes)
+select id, 'Baruk', 'system', 'NOTE_ADDED', 'Order code changed from ' || old_code || ' to ' || order_code || ': another order had the same code.'
+  from recoded;
+
+create unique index if not exists orders_order_code_key on public.orders (order_code);
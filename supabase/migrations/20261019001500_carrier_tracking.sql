@@ -0,0 +1,47 @@
+-- Carrier tracking: checkpoints pulled from (or pushed by) the carrier behind an
+-- order's tracking number. Rows are written only by the carrier-sync edge
+-- function, which also moves the order forward as checkpoints arrive.
+--
+-- carrier-sync is polled every 30 minutes with the same Vault secrets as the
+-- order_logs dispatch trigger (functions_url, order_events_secret).
+
+create extension if not exists pg_cron;
+
+alter table public.orders
+  add column if not exists carrier           text,
+  add column if not exists carrier_synced_at timestamptz;
+
+create table if not exists public.tracking_checkpoints (
+  id          uuid primary key default gen_random_uuid(),
+  order_id    uuid not null references public.orders(id) on delete cascade,
+  carrier     text not null,
+  external_id text not null,
+  stage       text not null check (stage in ('info_received', 'picked_up', 'in_transit', 'customs', 'out_for_delivery', 'delivered', 'exception')),
+  description text not null,
+  location    text,
+  occurred_at timestamptz not null,
+  created_at  timestamptz not null default now(),
+  unique (order_id, carrier, external_id)
+);
+
+create index if not exists tracking_checkpoints_order_id_idx on public.tracking_checkpoints (order_id, occurred_at);
+
+alter table public.tracking_checkpoints enable row level security;
+
+create policy "Admins read tracking checkpoints" on public.tracking_checkpoints
+  for select using (public.is_admin());
+
+create policy "Customers read checkpoints on their orders" on public.tracking_checkpoints
+  for select using (exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid()));
+
+alter publication supabase_realtime add table public.tracking_checkpoints;
+
+select cron.schedule('carrier-sync', '*/30 * * * *', $$
+  select net.http_post(
+    url     := (select decrypted_secret from vault.decrypted_secrets where name = 'functions_url') || '/carrier-sync',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'x-order-events-secret', (select decrypted_secret from vault.decrypted_secrets where name = 'order_events_secret')),
+    body    := '{}'::jsonb
+  );
+$$);
@@ -0,0 +1,95 @@
+-- Shipments: several orders sent together in one air batch or sea container,
+-- with one tracking number, status and freight bill between them.
+
+create sequence if not exists public.shipment_seq;
+
+create table if not exists public.shipments (
+  id               uuid primary key default gen_random_uuid(),
+  reference        text not null unique default 'SHP-' || lpad(nextval('public.shipment_seq')::text, 4, '0'),
+  mode             text not null default 'air' check (mode in ('air', 'sea')),
+  carrier          text,
+  tracking_number  text,
+  status           text not null default 'preparing'
+                   check (status in ('preparing', 'shipped', 'customs', 'out_for_delivery', 'delivered')),
+  departed_on      date,
+  arrived_on       date,
+  freight_cost     numeric check (freight_cost >= 0),
+  allocation_basis text not null default 'weight' check (allocation_basis in ('weight', 'value')),
+  notes            text,
+  created_by       text,
+  created_at       timestamptz not null default now(),
+  updated_at       timestamptz not null default now()
+);
+
+alter table public.orders
+  add column if not exists shipment_id uuid references public.shipments(id) on delete set null;
+
+create index if not exists orders_shipment_id_idx on public.orders (shipment_id);
+
+alter table public.shipments enable row level security;
+
+create policy "Admins manage shipments" on public.shipments
+  for all using (public.is_admin()) with check (public.is_admin());
+
+alter publication supabase_realtime add table public.shipments;
+
+-- Writes a freight split (src/shipments.js allocateFreight) to every order in the
+-- shipment with its FREIGHT_ALLOCATED entry, all or nothing. p_shares is
+-- [{ order_id, shipping_cost, notes }]; it has to cover exactly the orders in the
+-- shipment now, so a split worked out before someone added or removed one fails.
+-- Runs as the caller, so the same RLS as a plain update applies.
+create or replace function public.allocate_freight(p_shipment_id uuid, p_shares jsonb)
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_order  public.orders;
+  v_share  jsonb;
+  v_total  numeric;
+  v_orders jsonb := '[]'::jsonb;
+  v_logs   jsonb := '[]'::jsonb;
+  v_log    public.order_logs;
+begin
+  if (select array_agg(id order by id) from orders where shipment_id = p_shipment_id)
+     is distinct from (select array_agg((s.value ->> 'order_id')::uuid order by (s.value ->> 'order_id')::uuid) from jsonb_array_elements(p_shares) s) then
+    raise exception 'The shipment''s orders have changed. Reload and try again.';
+  end if;
+
+  for v_order in select * from orders where shipment_id = p_shipment_id order by id for update loop
+    if v_order.payment_status = 'paid_in_full' then
+      raise exception '% is already paid in full, so its shipping cost can''t change.', v_order.order_code;
+    end if;
+    select s.value into v_share from jsonb_array_elements(p_shares) s where (s.value ->> 'order_id')::uuid = v_order.id;
+    v_total := coalesce(v_order.product_cost, 0) + (v_share ->> 'shipping_cost')::numeric
+             + coalesce(v_order.customs_duty, 0) + coalesce(v_order.service_fee, 0);
+
+    update orders set
+      shipping_cost = (v_share ->> 'shipping_cost')::numeric,
+      total_cost    = v_total,
+      balance_due   = greatest(0, v_total - coalesce(amount_paid, 0))
+    where id = v_order.id
+    returning * into v_order;
+    if v_order.id is null then
+      raise exception 'Order not found, or you can''t change it';
+    end if;
+
+    insert into order_logs (order_id, actor_name, actor_role, event, notes)
+    select v_order.id, p.name, p.role, 'FREIGHT_ALLOCATED', coalesce(v_share ->> 'notes', '')
+      from profiles p where p.id = auth.uid()
+    returning * into v_log;
+    if v_log.id is null then
+      raise exception 'No profile for the signed-in user';
+    end if;
+
+    v_orders := v_orders || to_jsonb(v_order);
+    v_logs   := v_logs || to_jsonb(v_log);
+  end loop;
+
+  return jsonb_build_object('orders', v_orders, 'logs', v_logs);
+end;
+$$;
+
+revoke all on function public.allocate_freight(uuid, jsonb) from public;
+grant execute on function public.allocate_freight(uuid, jsonb) to authenticated;
@@ -0,0 +1,86 @@
+-- Server-side order lists: a full-text index over each order and its items for
+-- the search box, and per-status counts for the dashboard tabs, so the browser
+-- only ever loads the page of orders it is showing.
+
+alter table public.orders add column if not exists search_vector tsvector;
+
+-- Everything the search box matches on. Phone numbers are also indexed as bare
+-- digits and as their last nine digits, so "0712…" and "+254 712…" both find them.
+create or replace function public.order_search_vector(p_order public.orders)
+returns tsvector
+language sql
+stable
+set search_path = public
+as $$
+  select to_tsvector('simple', concat_ws(' ',
+    p_order.order_code,
+    p_order.product_name,
+    p_order.description,
+    p_order.customer_name,
+    p_order.customer_phone,
+    regexp_replace(coalesce(p_order.customer_phone, ''), '\D', '', 'g'),
+    right(regexp_replace(coalesce(p_order.customer_phone, ''), '\D', '', 'g'), 9),
+    p_order.tracking_number,
+    p_order.mpesa_code,
+    (select string_agg(concat_ws(' ', i.name, i.description), ' ') from order_items i where i.order_id = p_order.id)
+  ));
+$$;
+
+create or replace function public.orders_search_refresh()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.search_vector := public.order_search_vector(new);
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_search_refresh on public.orders;
+create trigger orders_search_refresh
+  before insert or update on public.orders
+  for each row execute function public.orders_search_refresh();
+
+-- Items are written after their order, and customers can't update orders
+-- themselves, so this runs as the owner.
+create or replace function public.order_items_search_refresh()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update orders o set search_vector = order_search_vector(o)
+   where o.id = coalesce(new.order_id, old.order_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists order_items_search_refresh on public.order_items;
+create trigger order_items_search_refresh
+  after insert or delete or update of name, description on public.order_items
+  for each row execute function public.order_items_search_refresh();
+
+update public.orders o set search_vector = public.order_search_vector(o);
+
+create index if not exists orders_search_idx on public.orders using gin (search_vector);
+create index if not exists orders_status_created_idx on public.orders (status, created_at desc, id desc);
+create index if not exists orders_created_idx on public.orders (created_at desc, id desc);
+
+-- Order counts per status and revenue net of refunds, over the orders the caller
+-- can see (security invoker, so RLS applies: customers get their own).
+create or replace function public.order_summary()
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'counts',  coalesce((select jsonb_object_agg(status, n) from (select status, count(*) as n from orders group by status) s), '{}'::jsonb),
+    'revenue', (select coalesce(sum(amount_paid), 0) from orders) - (select coalesce(sum(amount), 0) from refunds)
+  );
+$$;
+
+revoke all on function public.order_summary() from public;
+grant execute on function public.order_summary() to authenticated;
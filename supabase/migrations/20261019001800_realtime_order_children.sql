@@ -0,0 +1,4 @@
+-- The app now applies realtime changes to the orders it holds instead of
+-- reloading them, so every table it loads with an order has to be published.
+
+alter publication supabase_realtime add table public.order_items, public.order_quotes;
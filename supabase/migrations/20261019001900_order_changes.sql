@@ -0,0 +1,129 @@
+-- Order changes and their activity entries are written together: the app sends
+-- the columns to change and the log entry, and either both land or neither does,
+-- so the timeline never shows a change that failed.
+
+-- Runs as the caller, so the same RLS as a plain update applies. The actor comes
+-- from the caller's profile rather than from the request.
+create or replace function public.update_order_logged(p_order_id uuid, p_patch jsonb, p_event text, p_notes text default '')
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_set   text;
+  v_order jsonb;
+  v_log   public.order_logs;
+begin
+  select string_agg(format('%I = r.%I', key, key), ', ') into v_set
+    from jsonb_object_keys(p_patch) key;
+  if v_set is null then
+    raise exception 'Nothing to change';
+  end if;
+
+  execute format('update orders o set %s from jsonb_populate_record(null::orders, $1) r where o.id = $2 returning to_jsonb(o.*)', v_set)
+    into v_order using p_patch, p_order_id;
+  if v_order is null then
+    raise exception 'Order not found, or you can''t change it';
+  end if;
+
+  insert into order_logs (order_id, actor_name, actor_role, event, notes)
+  select p_order_id, p.name, p.role, p_event, coalesce(p_notes, '')
+    from profiles p where p.id = auth.uid()
+  returning * into v_log;
+  if v_log.id is null then
+    raise exception 'No profile for the signed-in user';
+  end if;
+
+  return jsonb_build_object('order', v_order, 'log', to_jsonb(v_log));
+end;
+$$;
+
+revoke all on function public.update_order_logged(uuid, jsonb, text, text) from public;
+grant execute on function public.update_order_logged(uuid, jsonb, text, text) to authenticated;
+
+-- A new order, its items and its REQUEST_SUBMITTED entry, all or nothing, so a
+-- failure part-way never leaves an order without items or without its log.
+-- p_order holds the orders columns to set; p_items the order_items rows.
+create or replace function public.create_order_logged(p_order jsonb, p_items jsonb, p_notes text default '')
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_cols  text;
+  v_vals  text;
+  v_order jsonb;
+  v_items jsonb;
+  v_log   public.order_logs;
+begin
+  select string_agg(format('%I', key), ', '), string_agg(format('r.%I', key), ', ') into v_cols, v_vals
+    from jsonb_object_keys(p_order) key;
+  execute format('insert into orders (%s) select %s from jsonb_populate_record(null::orders, $1) r returning to_jsonb(orders.*)', v_cols, v_vals)
+    into v_order using p_order;
+
+  with added as (
+    insert into order_items (order_id, position, name, description, quantity, budget_min, budget_max, reference_links)
+    select (v_order ->> 'id')::uuid, i.position, i.name, i.description, coalesce(i.quantity, 1), i.budget_min, i.budget_max, i.reference_links
+      from jsonb_populate_recordset(null::order_items, p_items) i
+    returning *
+  )
+  select coalesce(jsonb_agg(to_jsonb(added.*) order by added.position), '[]'::jsonb) into v_items from added;
+
+  insert into order_logs (order_id, actor_name, actor_role, event, notes)
+  select (v_order ->> 'id')::uuid, p.name, p.role, 'REQUEST_SUBMITTED', coalesce(p_notes, '')
+    from profiles p where p.id = auth.uid()
+  returning * into v_log;
+  if v_log.id is null then
+    raise exception 'No profile for the signed-in user';
+  end if;
+
+  return jsonb_build_object('order', v_order || jsonb_build_object('order_items', v_items), 'log', to_jsonb(v_log));
+end;
+$$;
+
+revoke all on function public.create_order_logged(jsonb, jsonb, text) from public;
+grant execute on function public.create_order_logged(jsonb, jsonb, text) to authenticated;
+
+-- A quote version, its per-item unit costs, the order's new figures and the
+-- QUOTE_SENT or QUOTE_REVISED entry, all or nothing (the order change goes
+-- through update_order_logged). p_quote holds the order_quotes columns;
+-- p_item_costs is [{ item_id, unit_cost }].
+create or replace function public.send_quote_logged(p_order_id uuid, p_quote jsonb, p_item_costs jsonb,
+                                                    p_patch jsonb, p_event text, p_notes text default '')
+returns jsonb
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  v_cols    text;
+  v_vals    text;
+  v_quote   jsonb;
+  v_items   jsonb;
+  v_changed jsonb;
+begin
+  select string_agg(format('%I', key), ', '), string_agg(format('r.%I', key), ', ') into v_cols, v_vals
+    from jsonb_object_keys(p_quote || jsonb_build_object('order_id', p_order_id)) key;
+  execute format('insert into order_quotes (%s) select %s from jsonb_populate_record(null::order_quotes, $1) r returning to_jsonb(order_quotes.*)', v_cols, v_vals)
+    into v_quote using p_quote || jsonb_build_object('order_id', p_order_id);
+
+  with costed as (
+    update order_items i set unit_cost = (c.value ->> 'unit_cost')::numeric
+      from jsonb_array_elements(p_item_costs) c
+     where i.id = (c.value ->> 'item_id')::uuid and i.order_id = p_order_id
+    returning i.*
+  )
+  select coalesce(jsonb_agg(to_jsonb(costed.*)), '[]'::jsonb) into v_items from costed;
+  if jsonb_array_length(v_items) <> jsonb_array_length(coalesce(p_item_costs, '[]'::jsonb)) then
+    raise exception 'Could not save the item costs';
+  end if;
+
+  v_changed := public.update_order_logged(p_order_id, p_patch, p_event, p_notes);
+  return v_changed || jsonb_build_object('quote', v_quote, 'items', v_items);
+end;
+$$;
+
+revoke all on function public.send_quote_logged(uuid, jsonb, jsonb, jsonb, text, text) from public;
+grant execute on function public.send_quote_logged(uuid, jsonb, jsonb, jsonb, text, text) to authenticated;
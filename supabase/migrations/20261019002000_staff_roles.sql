@@ -0,0 +1,453 @@
+-- Staff roles. "admin" splits into owner, sourcing agent, logistics and finance,
+-- each allowed only its part of the work; src/roles.js holds the same table for
+-- the UI. Every account signs up as a customer, whatever the signup metadata
+-- says, and only an owner can change someone's role.
+
+alter table public.profiles drop constraint if exists profiles_role_check;
+update public.profiles set role = 'owner' where role = 'admin';
+update public.profiles set role = 'customer' where role is null or role not in ('owner', 'agent', 'logistics', 'finance', 'customer');
+alter table public.profiles
+  alter column role set default 'customer',
+  alter column role set not null,
+  add constraint profiles_role_check check (role in ('owner', 'agent', 'logistics', 'finance', 'customer'));
+
+create or replace function public.user_role()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from profiles where id = auth.uid();
+$$;
+
+create or replace function public.is_staff()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(public.user_role() in ('owner', 'agent', 'logistics', 'finance'), false);
+$$;
+
+-- Keep in step with PERMISSIONS in src/roles.js.
+create or replace function public.has_permission(p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(public.user_role() = any (case p_permission
+    when 'send_quotes'     then array['owner', 'agent']
+    when 'ship'            then array['owner', 'logistics']
+    when 'cancel_orders'   then array['owner', 'agent', 'finance']
+    when 'manage_payments' then array['owner', 'finance']
+    when 'manage_rates'    then array['owner', 'finance']
+    when 'manage_team'     then array['owner']
+  end), false);
+$$;
+
+-- ------------------------------------------------------------
+-- Profiles
+-- ------------------------------------------------------------
+-- New rows are always customers, so nothing sent at signup can make someone staff.
+-- Owners change other people's roles, never their own, so there is always one left;
+-- the SQL editor and service role (no auth.uid()) can still set up the first owner.
+create or replace function public.profiles_guard_role()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.role := 'customer';
+  elsif new.role is distinct from old.role and auth.uid() is not null
+        and (not public.has_permission('manage_team') or new.id = auth.uid()) then
+    raise exception 'Only an owner can change someone else''s role' using errcode = '42501';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_role on public.profiles;
+create trigger profiles_guard_role
+  before insert or update on public.profiles
+  for each row execute function public.profiles_guard_role();
+
+-- profiles, orders and order_logs predate these migrations; replace whatever
+-- policies they were given by hand.
+do $$
+declare
+  p record;
+begin
+  for p in select policyname, tablename from pg_policies
+            where schemaname = 'public' and tablename in ('profiles', 'orders', 'order_logs') loop
+    execute format('drop policy %I on public.%I', p.policyname, p.tablename);
+  end loop;
+end;
+$$;
+
+alter table public.profiles   enable row level security;
+alter table public.orders     enable row level security;
+alter table public.order_logs enable row level security;
+
+create policy "Users read their profile" on public.profiles
+  for select using (id = auth.uid());
+
+create policy "Staff read profiles" on public.profiles
+  for select using (public.is_staff());
+
+create policy "Users create their profile" on public.profiles
+  for insert with check (id = auth.uid());
+
+create policy "Users update their profile" on public.profiles
+  for update using (id = auth.uid()) with check (id = auth.uid());
+
+create policy "Owners update profiles" on public.profiles
+  for update using (public.has_permission('manage_team')) with check (public.has_permission('manage_team'));
+
+-- ------------------------------------------------------------
+-- Orders
+-- ------------------------------------------------------------
+create policy "Staff read orders" on public.orders
+  for select using (public.is_staff());
+
+create policy "Customers read their orders" on public.orders
+  for select using (customer_id = auth.uid());
+
+-- A new order carries only what the customer asked for: no figures, notes,
+-- tracking or shipment of the staff's.
+create policy "Customers place orders" on public.orders
+  for insert with check (
+    customer_id = auth.uid() and status = 'pending' and payment_status = 'unpaid'
+    and coalesce(amount_paid, 0) = 0 and total_cost is null
+    and product_cost is null and shipping_cost is null and customs_duty is null and service_fee is null
+    and admin_notes is null and tracking_number is null and shipment_id is null and quote_version is null
+  );
+
+create policy "Staff update orders" on public.orders
+  for update using (public.is_staff()) with check (public.is_staff());
+
+create policy "Customers update their orders" on public.orders
+  for update using (customer_id = auth.uid()) with check (customer_id = auth.uid());
+
+-- RLS decides whose orders someone may update; this decides which columns.
+-- Owners and service-role writes (edge functions, no auth.uid()) may change any;
+-- status moves are checked for everyone by orders_status_guard below.
+create or replace function public.orders_guard()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_role    text := public.user_role();
+  v_allowed text[];
+  v_denied  text[];
+begin
+  if auth.uid() is null or v_role = 'owner' then
+    return new;
+  end if;
+
+  if v_role = 'customer' then
+    v_allowed := array['quote_response', 'quote_response_notes', 'counter_amount',
+                       'cancel_status', 'cancel_reason', 'cancel_requested_at', 'status'];
+    if new.cancel_status is distinct from old.cancel_status and new.cancel_status <> 'requested' then
+      raise exception 'Only staff can decide on a cancellation' using errcode = '42501';
+    end if;
+    -- CUSTOMER_CANCELLABLE in src/orderStatus.js.
+    if (new.cancel_status, new.cancel_reason, new.cancel_requested_at) is distinct from (old.cancel_status, old.cancel_reason, old.cancel_requested_at)
+       and old.status not in ('pending', 'quoted', 'approved') then
+      raise exception 'This order can no longer be cancelled' using errcode = '42501';
+    end if;
+    if (new.quote_response, new.quote_response_notes, new.counter_amount) is distinct from (old.quote_response, old.quote_response_notes, old.counter_amount)
+       and old.status <> 'quoted' then
+      raise exception 'Only a sent quote can be answered' using errcode = '42501';
+    end if;
+  else
+    v_allowed := array['admin_notes'];
+    if public.has_permission('send_quotes') then
+      v_allowed := v_allowed || array['product_cost', 'shipping_cost', 'customs_duty', 'service_fee', 'total_cost', 'balance_due',
+                                      'deposit_percent', 'estimated_days', 'source_country', 'weight_kg', 'tariff_category',
+                                      'quote_currency', 'quote_exchange_rate', 'product_cost_foreign', 'quote_version',
+                                      'quote_response', 'quote_response_notes', 'counter_amount', 'status'];
+    end if;
+    if public.has_permission('ship') then
+      v_allowed := v_allowed || array['tracking_number', 'carrier', 'shipment_id', 'shipping_cost', 'total_cost', 'balance_due', 'status'];
+    end if;
+    if public.has_permission('cancel_orders') then
+      v_allowed := v_allowed || array['cancel_status', 'cancel_response', 'status'];
+    end if;
+    if public.has_permission('manage_payments') then
+      v_allowed := v_allowed || array['payment_status', 'amount_paid', 'deposit_paid', 'balance_due', 'mpesa_code'];
+    end if;
+  end if;
+
+  select array_agg(n.key) into v_denied
+    from jsonb_each(to_jsonb(new)) n
+    join jsonb_each(to_jsonb(old)) o on o.key = n.key
+   where n.value is distinct from o.value
+     and n.key not in ('search_vector', 'updated_at')
+     and n.key <> all (v_allowed);
+  if v_denied is not null then
+    raise exception 'Your role can''t change %', array_to_string(v_denied, ', ') using errcode = '42501';
+  end if;
+
+  -- A new request replaces the answer to a refused one.
+  if v_role = 'customer' and new.cancel_status = 'requested' and old.cancel_status is distinct from 'requested' then
+    new.cancel_response := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_guard on public.orders;
+create trigger orders_guard
+  before update on public.orders
+  for each row execute function public.orders_guard();
+
+-- STATUS_TRANSITIONS (src/orderStatus.js) as from → to pairs and the permission
+-- each needs; 'customer' marks the customer's own move.
+create or replace function public.status_move_allowed(p_from text, p_to text)
+returns boolean
+language sql
+stable
+set search_path = public
+as $$
+  select exists (
+    select 1
+      from (values
+        ('pending',          'quoted',           'send_quotes'),
+        ('pending',          'cancelled',        'cancel_orders'),
+        ('quoted',           'approved',         'customer'),
+        ('quoted',           'cancelled',        'cancel_orders'),
+        ('approved',         'sourcing',         'send_quotes'),
+        ('approved',         'cancelled',        'cancel_orders'),
+        ('sourcing',         'shipped',          'ship'),
+        ('sourcing',         'cancelled',        'cancel_orders'),
+        ('shipped',          'customs',          'ship'),
+        ('customs',          'out_for_delivery', 'ship'),
+        ('out_for_delivery', 'delivered',        'ship')
+      ) t (from_status, to_status, permission)
+     where t.from_status = p_from and t.to_status = p_to
+       and case t.permission when 'customer' then public.user_role() = 'customer' else public.has_permission(t.permission) end
+  );
+$$;
+
+-- Why an order isn't ready to be `p_to`, or null: the guards in src/orderStatus.js.
+create or replace function public.status_blocked_by(o public.orders, p_to text)
+returns text
+language sql
+immutable
+as $$
+  select case
+    when p_to in ('quoted', 'approved') and coalesce(o.total_cost, 0) = 0 then 'A quote must be sent first'
+    when p_to = 'sourcing' and o.payment_status not in ('partially_paid', 'paid_in_full') then 'Deposit has not been paid'
+    when p_to = 'shipped' and coalesce(o.tracking_number, '') = '' then 'Add a tracking number first'
+    when p_to = 'out_for_delivery' and o.payment_status is distinct from 'paid_in_full' then 'Balance has not been paid'
+  end;
+$$;
+
+-- Every status move, owners' included, has to be a from → to pair the caller's
+-- role may make, onto an order ready for it. Edge functions (the service role)
+-- only move orders forward through the shipping steps, as carrier-sync does,
+-- which may skip steps but not their guards. Sessions with no JWT at all (migrations, the SQL
+-- editor) are not limited.
+create or replace function public.orders_status_guard()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_steps   constant text[] := array['sourcing', 'shipped', 'customs', 'out_for_delivery', 'delivered'];
+  v_step    text;
+  v_blocked text;
+begin
+  if new.status is not distinct from old.status then
+    return new;
+  end if;
+
+  if auth.uid() is null then
+    if auth.role() is distinct from 'service_role' then
+      return new;
+    end if;
+    if not coalesce(array_position(v_steps, old.status) < array_position(v_steps, new.status), false) then
+      raise exception 'Edge functions can''t move orders from % to %', old.status, new.status using errcode = '42501';
+    end if;
+    foreach v_step in array v_steps[array_position(v_steps, old.status) + 1 : array_position(v_steps, new.status)] loop
+      v_blocked := coalesce(v_blocked, public.status_blocked_by(new, v_step));
+    end loop;
+  elsif not public.status_move_allowed(old.status, new.status) then
+    raise exception 'Your role can''t move orders from % to %', old.status, new.status using errcode = '42501';
+  else
+    v_blocked := public.status_blocked_by(new, new.status);
+  end if;
+
+  if v_blocked is not null then
+    raise exception '%', v_blocked using errcode = '23514';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_status_guard on public.orders;
+create trigger orders_status_guard
+  before update on public.orders
+  for each row execute function public.orders_status_guard();
+
+-- ------------------------------------------------------------
+-- Order activity
+-- ------------------------------------------------------------
+create policy "Staff read order logs" on public.order_logs
+  for select using (public.is_staff());
+
+create policy "Customers read logs on their orders" on public.order_logs
+  for select using (
+    exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+create policy "Staff add order logs" on public.order_logs
+  for insert with check (public.is_staff());
+
+-- Only the events a customer's own actions log (App.jsx), so nobody can post a
+-- fake "Deposit paid" or "Shipped" onto their timeline.
+create policy "Customers add logs to their orders" on public.order_logs
+  for insert with check (
+    event in ('REQUEST_SUBMITTED', 'ORDER_APPROVED', 'QUOTE_DECLINED', 'QUOTE_COUNTERED', 'QUOTE_QUESTION',
+              'CANCEL_REQUESTED', 'ATTACHMENT_ADDED')
+    and exists (select 1 from public.orders o where o.id = order_id and o.customer_id = auth.uid())
+  );
+
+-- Entries are signed with the caller's own name and role, not ones the client sends.
+create or replace function public.order_logs_actor()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if auth.uid() is not null then
+    select p.name, p.role into new.actor_name, new.actor_role from profiles p where p.id = auth.uid();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists order_logs_actor on public.order_logs;
+create trigger order_logs_actor
+  before insert on public.order_logs
+  for each row execute function public.order_logs_actor();
+
+-- ------------------------------------------------------------
+-- Everything else that was "Admins manage …"
+-- ------------------------------------------------------------
+drop policy if exists "Admins manage quotes" on public.order_quotes;
+create policy "Staff read quotes" on public.order_quotes
+  for select using (public.is_staff());
+create policy "Agents manage quotes" on public.order_quotes
+  for all using (public.has_permission('send_quotes')) with check (public.has_permission('send_quotes'));
+
+drop policy if exists "Admins manage order items" on public.order_items;
+create policy "Staff read order items" on public.order_items
+  for select using (public.is_staff());
+create policy "Agents manage order items" on public.order_items
+  for all using (public.has_permission('send_quotes')) with check (public.has_permission('send_quotes'));
+
+drop policy if exists "Admins read payments" on public.payments;
+create policy "Staff read payments" on public.payments
+  for select using (public.is_staff());
+
+drop policy if exists "Admins manage refunds" on public.refunds;
+create policy "Staff read refunds" on public.refunds
+  for select using (public.is_staff());
+create policy "Finance manages refunds" on public.refunds
+  for all using (public.has_permission('manage_payments')) with check (public.has_permission('manage_payments'));
+
+drop policy if exists "Admins manage attachments" on public.order_attachments;
+create policy "Staff manage attachments" on public.order_attachments
+  for all using (public.is_staff()) with check (public.is_staff());
+
+drop policy if exists "Admins manage attachment files" on storage.objects;
+create policy "Staff manage attachment files" on storage.objects
+  for all using (bucket_id = 'order-attachments' and public.is_staff())
+  with check (bucket_id = 'order-attachments' and public.is_staff());
+
+drop policy if exists "Admins manage source countries" on public.source_countries;
+create policy "Finance manages source countries" on public.source_countries
+  for all using (public.has_permission('manage_rates')) with check (public.has_permission('manage_rates'));
+
+drop policy if exists "Admins manage tariff categories" on public.tariff_categories;
+create policy "Finance manages tariff categories" on public.tariff_categories
+  for all using (public.has_permission('manage_rates')) with check (public.has_permission('manage_rates'));
+
+drop policy if exists "Admins manage customs settings" on public.customs_settings;
+create policy "Finance manages customs settings" on public.customs_settings
+  for all using (public.has_permission('manage_rates')) with check (public.has_permission('manage_rates'));
+
+drop policy if exists "Admins manage exchange rates" on public.exchange_rates;
+create policy "Finance manages exchange rates" on public.exchange_rates
+  for all using (public.has_permission('manage_rates')) with check (public.has_permission('manage_rates'));
+
+drop policy if exists "Admins read notification deliveries" on public.notification_deliveries;
+create policy "Staff read notification deliveries" on public.notification_deliveries
+  for select using (public.is_staff());
+
+drop policy if exists "Admins read tracking checkpoints" on public.tracking_checkpoints;
+create policy "Staff read tracking checkpoints" on public.tracking_checkpoints
+  for select using (public.is_staff());
+
+drop policy if exists "Admins manage shipments" on public.shipments;
+create policy "Staff read shipments" on public.shipments
+  for select using (public.is_staff());
+create policy "Logistics manages shipments" on public.shipments
+  for all using (public.has_permission('ship')) with check (public.has_permission('ship'));
+
+drop function if exists public.is_admin();
+
+-- ------------------------------------------------------------
+-- Payments
+-- ------------------------------------------------------------
+-- Finance accepts a payment M-Pesa flagged as the wrong amount, crediting what was
+-- actually received the way mpesa-callback credits a matching one.
+create or replace function public.confirm_payment(p_payment_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_payment public.payments;
+  v_order   public.orders;
+  v_balance numeric;
+begin
+  if not public.has_permission('manage_payments') then
+    raise exception 'Only finance can confirm payments' using errcode = '42501';
+  end if;
+  select * into v_payment from payments where id = p_payment_id for update;
+  if v_payment.status is distinct from 'amount_mismatch' then
+    raise exception 'Only payments flagged for review can be confirmed';
+  end if;
+
+  update payments set status = 'confirmed', updated_at = now() where id = p_payment_id;
+  select * into v_order from orders where id = v_payment.order_id for update;
+  v_balance := greatest(0, coalesce(v_order.total_cost, 0) - coalesce(v_order.amount_paid, 0) - v_payment.amount_received);
+  update orders set
+    payment_status = case when v_balance > 0 then 'partially_paid' else 'paid_in_full' end,
+    mpesa_code     = v_payment.mpesa_receipt,
+    amount_paid    = coalesce(amount_paid, 0) + v_payment.amount_received,
+    deposit_paid   = case when v_payment.kind = 'deposit' then v_payment.amount_received else deposit_paid end,
+    balance_due    = v_balance
+  where id = v_order.id;
+
+  insert into order_logs (order_id, event, notes)
+  values (v_order.id, case when v_payment.kind = 'deposit' then 'DEPOSIT_PAID' else 'BALANCE_PAID' end,
+          format('M-Pesa code: %s — KES %s confirmed after review%s', v_payment.mpesa_receipt, v_payment.amount_received,
+                 case when v_balance > 0 then format(' · KES %s outstanding', v_balance) else ' · paid in full' end));
+
+  return (select to_jsonb(o) from orders o where o.id = v_order.id);
+end;
+$$;
+
+revoke all on function public.confirm_payment(uuid) from public;
+grant execute on function public.confirm_payment(uuid) to authenticated;
@@ -0,0 +1,172 @@
+-- Order assignment. Each order can belong to one staff member, who sees it in
+-- their "My queue". New orders go round-robin to the sourcing agents; owners and
+-- agents reassign them by hand, which logs an ORDER_ASSIGNED entry (App.jsx).
+
+alter table public.orders
+  add column if not exists assigned_to   uuid references public.profiles (id) on delete set null,
+  add column if not exists assigned_name text,
+  add column if not exists assigned_at   timestamptz;
+
+create index if not exists orders_assigned_created_idx on public.orders (assigned_to, created_at desc);
+
+-- Keep in step with PERMISSIONS in src/roles.js.
+create or replace function public.has_permission(p_permission text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(public.user_role() = any (case p_permission
+    when 'send_quotes'     then array['owner', 'agent']
+    when 'assign_orders'   then array['owner', 'agent']
+    when 'ship'            then array['owner', 'logistics']
+    when 'cancel_orders'   then array['owner', 'agent', 'finance']
+    when 'manage_payments' then array['owner', 'finance']
+    when 'manage_rates'    then array['owner', 'finance']
+    when 'manage_team'     then array['owner']
+  end), false);
+$$;
+
+-- A new order goes to the agent whose last assignment is oldest (or who has none
+-- yet), unless someone allowed to assign chose who. Whenever the assignee changes,
+-- their name is copied onto the order, like customer_name, so lists and realtime
+-- payloads show it without another query. This is also what keeps a customer from
+-- picking an assignee: "Customers place orders" can't check assigned_to, as the
+-- trigger has filled it in by then. Security definer: customers placing an order
+-- can't read other profiles.
+create or replace function public.orders_assign()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' and (new.assigned_to is null or not public.has_permission('assign_orders')) then
+    -- One at a time, so two orders arriving together don't go to the same agent.
+    perform pg_advisory_xact_lock(hashtext('orders_assign'));
+    select p.id into new.assigned_to
+      from profiles p
+     where p.role = 'agent'
+     order by (select max(o.assigned_at) from orders o where o.assigned_to = p.id) asc nulls first, p.created_at
+     limit 1;
+  end if;
+
+  if tg_op = 'INSERT' or new.assigned_to is distinct from old.assigned_to then
+    if new.assigned_to is not null
+       and not exists (select 1 from profiles p where p.id = new.assigned_to and p.role <> 'customer') then
+      raise exception 'Orders can only be assigned to staff';
+    end if;
+    new.assigned_name := (select p.name from profiles p where p.id = new.assigned_to);
+    new.assigned_at   := case when new.assigned_to is null then null else now() end;
+  else
+    new.assigned_name := old.assigned_name;
+    new.assigned_at   := old.assigned_at;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists orders_assign on public.orders;
+create trigger orders_assign
+  before insert or update on public.orders
+  for each row execute function public.orders_assign();
+
+-- orders_guard's allow-lists, with the assignment columns for those who may assign.
+-- orders_assign runs first (triggers fire by name) and fills in the name and time.
+-- Status moves stay with orders_status_guard (staff_roles migration).
+create or replace function public.orders_guard()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+declare
+  v_role    text := public.user_role();
+  v_allowed text[];
+  v_denied  text[];
+begin
+  if auth.uid() is null or v_role = 'owner' then
+    return new;
+  end if;
+
+  if v_role = 'customer' then
+    v_allowed := array['quote_response', 'quote_response_notes', 'counter_amount',
+                       'cancel_status', 'cancel_reason', 'cancel_requested_at', 'status'];
+    if new.cancel_status is distinct from old.cancel_status and new.cancel_status <> 'requested' then
+      raise exception 'Only staff can decide on a cancellation' using errcode = '42501';
+    end if;
+    -- CUSTOMER_CANCELLABLE in src/orderStatus.js.
+    if (new.cancel_status, new.cancel_reason, new.cancel_requested_at) is distinct from (old.cancel_status, old.cancel_reason, old.cancel_requested_at)
+       and old.status not in ('pending', 'quoted', 'approved') then
+      raise exception 'This order can no longer be cancelled' using errcode = '42501';
+    end if;
+    if (new.quote_response, new.quote_response_notes, new.counter_amount) is distinct from (old.quote_response, old.quote_response_notes, old.counter_amount)
+       and old.status <> 'quoted' then
+      raise exception 'Only a sent quote can be answered' using errcode = '42501';
+    end if;
+  else
+    v_allowed := array['admin_notes'];
+    if public.has_permission('send_quotes') then
+      v_allowed := v_allowed || array['product_cost', 'shipping_cost', 'customs_duty', 'service_fee', 'total_cost', 'balance_due',
+                                      'deposit_percent', 'estimated_days', 'source_country', 'weight_kg', 'tariff_category',
+                                      'quote_currency', 'quote_exchange_rate', 'product_cost_foreign', 'quote_version',
+                                      'quote_response', 'quote_response_notes', 'counter_amount', 'status'];
+    end if;
+    if public.has_permission('assign_orders') then
+      v_allowed := v_allowed || array['assigned_to', 'assigned_name', 'assigned_at'];
+    end if;
+    if public.has_permission('ship') then
+      v_allowed := v_allowed || array['tracking_number', 'carrier', 'shipment_id', 'shipping_cost', 'total_cost', 'balance_due', 'status'];
+    end if;
+    if public.has_permission('cancel_orders') then
+      v_allowed := v_allowed || array['cancel_status', 'cancel_response', 'status'];
+    end if;
+    if public.has_permission('manage_payments') then
+      v_allowed := v_allowed || array['payment_status', 'amount_paid', 'deposit_paid', 'balance_due', 'mpesa_code'];
+    end if;
+  end if;
+
+  select array_agg(n.key) into v_denied
+    from jsonb_each(to_jsonb(new)) n
+    join jsonb_each(to_jsonb(old)) o on o.key = n.key
+   where n.value is distinct from o.value
+     and n.key not in ('search_vector', 'updated_at')
+     and n.key <> all (v_allowed);
+  if v_denied is not null then
+    raise exception 'Your role can''t change %', array_to_string(v_denied, ', ') using errcode = '42501';
+  end if;
+
+  -- A new request replaces the answer to a refused one.
+  if v_role = 'customer' and new.cancel_status = 'requested' and old.cancel_status is distinct from 'requested' then
+    new.cancel_response := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+-- order_summary, optionally over one person's orders for "My queue". Also counts
+-- the pending orders past the 24 hours the customer app promises a quote in
+-- (QUOTE_SLA_HOURS in src/orderStatus.js). The total, for exporting everything,
+-- and revenue are always over every order.
+drop function if exists public.order_summary();
+create or replace function public.order_summary(p_assigned_to uuid default null)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with mine as (
+    select status, created_at from orders where p_assigned_to is null or assigned_to = p_assigned_to
+  )
+  select jsonb_build_object(
+    'counts',  coalesce((select jsonb_object_agg(status, n) from (select status, count(*) as n from mine group by status) s), '{}'::jsonb),
+    'overdue', (select count(*) from mine where status = 'pending' and created_at < now() - interval '24 hours'),
+    'total',   (select count(*) from orders),
+    'revenue', (select coalesce(sum(amount_paid), 0) from orders) - (select coalesce(sum(amount), 0) from refunds)
+  );
+$$;
+
+revoke all on function public.order_summary(uuid) from public;
+grant execute on function public.order_summary(uuid) to authenticated;
@@ -0,0 +1,75 @@
+-- How confirmed M-Pesa payments are credited to their orders.
+-- Runs against a local Supabase with the migrations applied:
+--
+--   supabase start
+--   npm run test:db
+--
+-- Everything happens in one transaction that is rolled back at the end.
+begin;
+create extension if not exists pgtap with schema extensions;
+set local search_path = public, extensions;
+
+select plan(9);
+
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000c1', 'customer@test.baruk');
+
+-- …b1 is waiting on its deposit; …b2 was cancelled while its deposit prompt was open.
+insert into public.orders (id, customer_id, customer_name, product_name, quantity, delivery_address,
+                           status, payment_status, total_cost, deposit_percent) values
+  ('00000000-0000-0000-0000-0000000000b1', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Approved',  1, 'Nairobi', 'approved',  'unpaid', 1000, 50),
+  ('00000000-0000-0000-0000-0000000000b2', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Cancelled', 1, 'Nairobi', 'cancelled', 'unpaid', 1000, 50);
+
+insert into public.payments (order_id, phone, amount, kind, checkout_request_id) values
+  ('00000000-0000-0000-0000-0000000000b1', '254700000001', 500, 'deposit', 'ws_CO_TEST_1'),
+  ('00000000-0000-0000-0000-0000000000b2', '254700000001', 500, 'deposit', 'ws_CO_TEST_2');
+
+-- ------------------------------------------------------------
+-- An order still going ahead
+-- ------------------------------------------------------------
+select isnt(
+  credit_payment('ws_CO_TEST_1', 500, 'QJT1', 0, 'Processed'), null,
+  'a pending payment is credited'
+);
+select results_eq(
+  $$ select amount_paid, balance_due, payment_status, deposit_paid from orders where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  $$ values (500::numeric, 500::numeric, 'partially_paid'::text, 500::numeric) $$,
+  'the deposit is added to the order'
+);
+select is(
+  credit_payment('ws_CO_TEST_1', 500, 'QJT1', 0, 'Processed'), null,
+  'a callback delivered twice is credited once'
+);
+select is(
+  (select amount_paid from orders where id = '00000000-0000-0000-0000-0000000000b1'), 500::numeric,
+  '… and the order is not credited again'
+);
+
+-- ------------------------------------------------------------
+-- An order cancelled before the payment completed
+-- ------------------------------------------------------------
+select is(
+  credit_payment('ws_CO_TEST_2', 500, 'QJT2', 0, 'Processed') ->> 'status', 'cancelled',
+  'a payment on a cancelled order still returns the order'
+);
+select is(
+  (select status from payments where checkout_request_id = 'ws_CO_TEST_2'), 'refund_due',
+  'it is flagged as owed back to the customer, not confirmed'
+);
+select results_eq(
+  $$ select status, amount_paid, payment_status from orders where id = '00000000-0000-0000-0000-0000000000b2' $$,
+  $$ values ('cancelled'::text, 500::numeric, 'unpaid'::text) $$,
+  'the money is recorded on the order, which stays cancelled and unpaid'
+);
+select results_eq(
+  $$ select amount, status from refunds where order_id = '00000000-0000-0000-0000-0000000000b2' $$,
+  $$ values (500::numeric, 'pending'::text) $$,
+  'a refund is opened for it'
+);
+select is(
+  credit_payment('ws_CO_TEST_2', 500, 'QJT2', 0, 'Processed'), null,
+  'a repeated callback for it is ignored'
+);
+
+select * from finish();
+rollback;
@@ -0,0 +1,458 @@
+-- What each role may read and write, and which status moves it may make.
+-- Runs against a local Supabase with the migrations applied:
+--
+--   supabase start
+--   npm run test:db
+--
+-- Everything happens in one transaction that is rolled back at the end.
+begin;
+create extension if not exists pgtap with schema extensions;
+set local search_path = public, extensions;
+
+select plan(63);
+
+-- ------------------------------------------------------------
+-- Fixtures, written with no JWT (like the SQL editor)
+-- ------------------------------------------------------------
+insert into auth.users (id, email) values
+  ('00000000-0000-0000-0000-0000000000a1', 'owner@test.baruk'),
+  ('00000000-0000-0000-0000-0000000000a2', 'agent@test.baruk'),
+  ('00000000-0000-0000-0000-0000000000a3', 'logistics@test.baruk'),
+  ('00000000-0000-0000-0000-0000000000a4', 'finance@test.baruk'),
+  ('00000000-0000-0000-0000-0000000000c1', 'customer@test.baruk'),
+  ('00000000-0000-0000-0000-0000000000c2', 'other@test.baruk');
+
+insert into public.profiles (id, name) values
+  ('00000000-0000-0000-0000-0000000000a1', 'Test Owner'),
+  ('00000000-0000-0000-0000-0000000000a2', 'Test Agent'),
+  ('00000000-0000-0000-0000-0000000000a3', 'Test Logistics'),
+  ('00000000-0000-0000-0000-0000000000a4', 'Test Finance'),
+  ('00000000-0000-0000-0000-0000000000c1', 'Test Customer'),
+  ('00000000-0000-0000-0000-0000000000c2', 'Other Customer')
+on conflict (id) do update set name = excluded.name;
+
+update public.profiles p set role = r.role
+  from (values
+    ('00000000-0000-0000-0000-0000000000a1'::uuid, 'owner'),
+    ('00000000-0000-0000-0000-0000000000a2'::uuid, 'agent'),
+    ('00000000-0000-0000-0000-0000000000a3'::uuid, 'logistics'),
+    ('00000000-0000-0000-0000-0000000000a4'::uuid, 'finance'),
+    ('00000000-0000-0000-0000-0000000000c1'::uuid, 'customer'),
+    ('00000000-0000-0000-0000-0000000000c2'::uuid, 'customer')
+  ) r (id, role)
+ where p.id = r.id;
+
+-- One order per starting point the tests need; …b1–b7 belong to the test
+-- customer, …b9 to the other one.
+insert into public.orders (id, customer_id, customer_name, product_name, quantity, delivery_address,
+                           status, payment_status, total_cost, tracking_number) values
+  ('00000000-0000-0000-0000-0000000000b1', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Pending',  1, 'Nairobi', 'pending',   'unpaid',         null, null),
+  ('00000000-0000-0000-0000-0000000000b2', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Unquoted', 1, 'Nairobi', 'pending',   'unpaid',         null, null),
+  ('00000000-0000-0000-0000-0000000000b3', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Quoted',   1, 'Nairobi', 'quoted',    'unpaid',         1000, null),
+  ('00000000-0000-0000-0000-0000000000b4', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Approved', 1, 'Nairobi', 'approved',  'partially_paid', 1000, null),
+  ('00000000-0000-0000-0000-0000000000b5', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Sourcing', 1, 'Nairobi', 'sourcing',  'partially_paid', 1000, 'YT0001'),
+  ('00000000-0000-0000-0000-0000000000b6', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Shipped',  1, 'Nairobi', 'shipped',   'partially_paid', 1000, 'YT0002'),
+  ('00000000-0000-0000-0000-0000000000b7', '00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'Arrived',  1, 'Nairobi', 'delivered', 'paid_in_full',   1000, 'YT0003'),
+  ('00000000-0000-0000-0000-0000000000b9', '00000000-0000-0000-0000-0000000000c2', 'Other Customer', 'Theirs',  1, 'Mombasa', 'pending',   'unpaid',         null, null);
+
+insert into public.order_logs (order_id, actor_name, actor_role, event) values
+  ('00000000-0000-0000-0000-0000000000b1', 'Test Customer', 'customer', 'REQUEST_SUBMITTED'),
+  ('00000000-0000-0000-0000-0000000000b9', 'Other Customer', 'customer', 'REQUEST_SUBMITTED');
+
+insert into public.payments (order_id, phone, amount, status) values
+  ('00000000-0000-0000-0000-0000000000b4', '254700000001', 500, 'confirmed'),
+  ('00000000-0000-0000-0000-0000000000b9', '254700000002', 500, 'pending');
+
+-- Acts as a signed-in user, or as an edge function when p_user is null.
+-- Call with the role reset: authenticated can't switch to anyone else.
+create function pg_temp.act_as(p_user uuid) returns void
+language sql
+as $$
+  select set_config('request.jwt.claims', case when p_user is null
+           then '{"role": "service_role"}'
+           else json_build_object('sub', p_user, 'role', 'authenticated')::text end, true),
+         set_config('role', case when p_user is null then 'service_role' else 'authenticated' end, true);
+$$;
+
+-- ------------------------------------------------------------
+-- Profiles
+-- ------------------------------------------------------------
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000c1');
+select results_eq(
+  $$ select name from profiles where name like '% Customer' or name like 'Test %' order by name $$,
+  array['Test Customer'],
+  'customers read only their own profile'
+);
+select throws_ok(
+  $$ update profiles set role = 'owner' where id = auth.uid() $$,
+  '42501', null,
+  'customers can''t make themselves staff'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a2');
+select is(
+  (select count(*)::int from profiles where name like 'Test %' or name = 'Other Customer'), 6,
+  'staff read every profile'
+);
+select throws_ok(
+  $$ update profiles set role = 'owner' where id = auth.uid() $$,
+  '42501', null,
+  'agents can''t change their own role'
+);
+select is_empty(
+  $$ update profiles set name = 'Renamed' where id = '00000000-0000-0000-0000-0000000000a3' returning id $$,
+  'agents can''t edit someone else''s profile'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a1');
+select throws_ok(
+  $$ update profiles set role = 'agent' where id = auth.uid() $$,
+  '42501', null,
+  'owners can''t change their own role'
+);
+select lives_ok(
+  $$ update profiles set role = 'finance' where id = '00000000-0000-0000-0000-0000000000c2' $$,
+  'owners change someone else''s role'
+);
+update profiles set role = 'customer' where id = '00000000-0000-0000-0000-0000000000c2';
+
+-- ------------------------------------------------------------
+-- Orders: reading and placing
+-- ------------------------------------------------------------
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000c1');
+select is(
+  (select count(*)::int from orders where customer_id <> auth.uid()), 0,
+  'customers read only their own orders'
+);
+select is(
+  (select count(*)::int from orders), 7,
+  'customers read all of their own orders'
+);
+select lives_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status)
+     values (auth.uid(), 'Test Customer', 'New', 1, 'Nairobi', 'pending', 'unpaid') $$,
+  'customers place a pending order'
+);
+select throws_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status)
+     values ('00000000-0000-0000-0000-0000000000c2', 'Test Customer', 'New', 1, 'Nairobi', 'pending', 'unpaid') $$,
+  '42501', null,
+  'customers can''t place an order for someone else'
+);
+select throws_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status)
+     values (auth.uid(), 'Test Customer', 'New', 1, 'Nairobi', 'quoted', 'unpaid') $$,
+  '42501', null,
+  'customers can''t place an order past pending'
+);
+select throws_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status, product_cost)
+     values (auth.uid(), 'Test Customer', 'New', 1, 'Nairobi', 'pending', 'unpaid', 1) $$,
+  '42501', null,
+  'customers can''t price their own order'
+);
+select throws_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status, admin_notes)
+     values (auth.uid(), 'Test Customer', 'New', 1, 'Nairobi', 'pending', 'unpaid', 'VIP') $$,
+  '42501', null,
+  'customers can''t write staff notes'
+);
+select throws_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status, shipment_id)
+     values (auth.uid(), 'Test Customer', 'New', 1, 'Nairobi', 'pending', 'unpaid', gen_random_uuid()) $$,
+  '42501', null,
+  'customers can''t put their order on a shipment'
+);
+select lives_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status, assigned_to)
+     values (auth.uid(), 'Test Customer', 'Picked', 1, 'Nairobi', 'pending', 'unpaid', '00000000-0000-0000-0000-0000000000a1') $$,
+  'customers choosing an assignee still place the order'
+);
+select isnt(
+  (select assigned_to from orders where product_name = 'Picked'), '00000000-0000-0000-0000-0000000000a1'::uuid,
+  '… but the order goes to an agent, not the person they chose'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a3');
+select is(
+  (select count(*)::int from orders where id = '00000000-0000-0000-0000-0000000000b9'), 1,
+  'staff read every customer''s orders'
+);
+select throws_ok(
+  $$ insert into orders (customer_id, customer_name, product_name, quantity, delivery_address, status, payment_status)
+     values ('00000000-0000-0000-0000-0000000000c1', 'Test Customer', 'New', 1, 'Nairobi', 'pending', 'unpaid') $$,
+  '42501', null,
+  'staff don''t place orders'
+);
+
+-- ------------------------------------------------------------
+-- Orders: columns
+-- ------------------------------------------------------------
+select throws_ok(
+  $$ update orders set product_cost = 1 where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', null,
+  'logistics can''t price an order'
+);
+select lives_ok(
+  $$ update orders set tracking_number = 'YT0009' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  'logistics set tracking numbers'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a4');
+select throws_ok(
+  $$ update orders set tracking_number = 'YT0010' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', null,
+  'finance can''t set tracking numbers'
+);
+select lives_ok(
+  $$ update orders set admin_notes = 'Called' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  'every staff role writes notes'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000c1');
+select throws_ok(
+  $$ update orders set admin_notes = 'VIP' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', null,
+  'customers can''t write staff notes on their order'
+);
+select is_empty(
+  $$ update orders set quote_response_notes = 'Hi' where id = '00000000-0000-0000-0000-0000000000b9' returning id $$,
+  'customers can''t update someone else''s order'
+);
+select throws_ok(
+  $$ update orders set quote_response = 'question', quote_response_notes = 'Colour?' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', 'Only a sent quote can be answered',
+  'customers can''t answer a quote before it is sent'
+);
+select lives_ok(
+  $$ update orders set quote_response = 'question', quote_response_notes = 'Colour?' where id = '00000000-0000-0000-0000-0000000000b3' $$,
+  'customers answer a sent quote'
+);
+select throws_ok(
+  $$ update orders set cancel_status = 'requested', cancel_reason = 'Too slow', cancel_requested_at = now() where id = '00000000-0000-0000-0000-0000000000b5' $$,
+  '42501', 'This order can no longer be cancelled',
+  'customers can''t ask to cancel once sourcing has started'
+);
+select lives_ok(
+  $$ update orders set cancel_status = 'requested', cancel_reason = 'Found it cheaper', cancel_requested_at = now() where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  'customers ask to cancel a pending order'
+);
+select throws_ok(
+  $$ update orders set cancel_response = 'Approved' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', 'Your role can''t change cancel_response',
+  'customers can''t answer their own cancellation request'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a1');
+update orders set cancel_status = 'refused', cancel_response = 'Already bought' where id = '00000000-0000-0000-0000-0000000000b1';
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000c1');
+select lives_ok(
+  $$ update orders set cancel_status = 'requested', cancel_reason = 'Still want out', cancel_requested_at = now() where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  'customers ask again after a refusal'
+);
+select is(
+  (select cancel_response from orders where id = '00000000-0000-0000-0000-0000000000b1'), null,
+  '… which clears the answer to the refused request'
+);
+
+-- ------------------------------------------------------------
+-- Orders: status moves
+-- ------------------------------------------------------------
+select lives_ok(
+  $$ update orders set status = 'approved' where id = '00000000-0000-0000-0000-0000000000b3' $$,
+  'customers approve a quote'
+);
+select throws_ok(
+  $$ update orders set status = 'cancelled' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', null,
+  'customers ask to cancel rather than cancelling'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a3');
+select throws_ok(
+  $$ update orders set status = 'delivered' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', null,
+  'logistics can''t jump a pending order to delivered'
+);
+select lives_ok(
+  $$ update orders set status = 'shipped' where id = '00000000-0000-0000-0000-0000000000b5' $$,
+  'logistics ship a sourced order with a tracking number'
+);
+select throws_ok(
+  $$ update orders set status = 'out_for_delivery' where id = '00000000-0000-0000-0000-0000000000b6' $$,
+  '42501', null,
+  'logistics can''t skip customs'
+);
+select lives_ok(
+  $$ update orders set status = 'customs' where id = '00000000-0000-0000-0000-0000000000b6' $$,
+  'logistics move a shipped order to customs'
+);
+select throws_ok(
+  $$ update orders set status = 'out_for_delivery' where id = '00000000-0000-0000-0000-0000000000b6' $$,
+  '23514', 'Balance has not been paid',
+  'logistics can''t send out an order with a balance due'
+);
+select throws_ok(
+  $$ update orders set status = 'cancelled' where id = '00000000-0000-0000-0000-0000000000b4' $$,
+  '42501', null,
+  'logistics can''t cancel orders'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a2');
+select throws_ok(
+  $$ update orders set status = 'sourcing' where id = '00000000-0000-0000-0000-0000000000b7' $$,
+  '42501', null,
+  'agents can''t move a delivered order back to sourcing'
+);
+select throws_ok(
+  $$ update orders set status = 'quoted' where id = '00000000-0000-0000-0000-0000000000b2' $$,
+  '23514', 'A quote must be sent first',
+  'agents can''t mark an order quoted without a total'
+);
+select lives_ok(
+  $$ update orders set status = 'quoted', total_cost = 1000 where id = '00000000-0000-0000-0000-0000000000b2' $$,
+  'agents send a quote'
+);
+select throws_ok(
+  $$ update orders set status = 'approved' where id = '00000000-0000-0000-0000-0000000000b2' $$,
+  '42501', null,
+  'agents can''t approve a quote for the customer'
+);
+select lives_ok(
+  $$ update orders set status = 'sourcing' where id = '00000000-0000-0000-0000-0000000000b4' $$,
+  'agents start sourcing once the deposit is paid'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a1');
+select throws_ok(
+  $$ update orders set status = 'delivered' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  '42501', null,
+  'owners can''t jump a pending order to delivered either'
+);
+select throws_ok(
+  $$ update orders set status = 'pending' where id = '00000000-0000-0000-0000-0000000000b7' $$,
+  '42501', null,
+  'owners can''t reopen a delivered order'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a4');
+select lives_ok(
+  $$ update orders set status = 'cancelled' where id = '00000000-0000-0000-0000-0000000000b1' $$,
+  'finance cancels a pending order'
+);
+
+reset role;
+select pg_temp.act_as(null);
+select throws_ok(
+  $$ update orders set status = 'delivered' where id = '00000000-0000-0000-0000-0000000000b6' $$,
+  '23514', 'Balance has not been paid',
+  'edge functions can''t skip out-for-delivery''s balance check'
+);
+select throws_ok(
+  $$ update orders set status = 'pending' where id = '00000000-0000-0000-0000-0000000000b7' $$,
+  '42501', null,
+  'edge functions only move orders forward'
+);
+select lives_ok(
+  $$ update orders set status = 'customs' where id = '00000000-0000-0000-0000-0000000000b5' $$,
+  'edge functions move shipped orders on from carrier updates'
+);
+
+-- ------------------------------------------------------------
+-- Order logs
+-- ------------------------------------------------------------
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000c1');
+select is(
+  (select count(*)::int from order_logs where order_id = '00000000-0000-0000-0000-0000000000b9'), 0,
+  'customers don''t read other customers'' logs'
+);
+select lives_ok(
+  $$ insert into order_logs (order_id, actor_name, actor_role, event) values
+     ('00000000-0000-0000-0000-0000000000b7', 'Test Customer', 'customer', 'CANCEL_REQUESTED') $$,
+  'customers log their own actions'
+);
+select throws_ok(
+  $$ insert into order_logs (order_id, actor_name, actor_role, event) values
+     ('00000000-0000-0000-0000-0000000000b7', 'Test Customer', 'customer', 'DEPOSIT_PAID') $$,
+  '42501', null,
+  'customers can''t log staff events'
+);
+select throws_ok(
+  $$ insert into order_logs (order_id, actor_name, actor_role, event) values
+     ('00000000-0000-0000-0000-0000000000b9', 'Test Customer', 'customer', 'QUOTE_QUESTION') $$,
+  '42501', null,
+  'customers can''t log on someone else''s order'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a3');
+select lives_ok(
+  $$ insert into order_logs (order_id, actor_name, actor_role, event) values
+     ('00000000-0000-0000-0000-0000000000b9', 'Baruk', 'owner', 'NOTE_ADDED') $$,
+  'staff log any event on any order'
+);
+select results_eq(
+  $$ select actor_name, actor_role from order_logs
+      where order_id = '00000000-0000-0000-0000-0000000000b9' and event = 'NOTE_ADDED' $$,
+  $$ values ('Test Logistics', 'logistics') $$,
+  '… signed with their own name and role, not the ones sent'
+);
+
+-- ------------------------------------------------------------
+-- Quotes, payments, refunds and shipments
+-- ------------------------------------------------------------
+select throws_ok(
+  $$ insert into order_quotes (order_id, version, total_cost) values ('00000000-0000-0000-0000-0000000000b9', 1, 1000) $$,
+  '42501', null,
+  'logistics can''t write quotes'
+);
+select lives_ok(
+  $$ insert into shipments (mode) values ('sea') $$,
+  'logistics create shipments'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a2');
+select throws_ok(
+  $$ insert into refunds (order_id, amount) values ('00000000-0000-0000-0000-0000000000b9', 100) $$,
+  '42501', null,
+  'agents can''t record refunds'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000a4');
+select lives_ok(
+  $$ insert into refunds (order_id, amount) values ('00000000-0000-0000-0000-0000000000b9', 100) $$,
+  'finance records refunds'
+);
+
+reset role;
+select pg_temp.act_as('00000000-0000-0000-0000-0000000000c1');
+select results_eq(
+  $$ select order_id from payments where order_id in ('00000000-0000-0000-0000-0000000000b4', '00000000-0000-0000-0000-0000000000b9') $$,
+  $$ values ('00000000-0000-0000-0000-0000000000b4'::uuid) $$,
+  'customers read payments on their own orders only'
+);
+select throws_ok(
+  $$ insert into payments (order_id, phone, amount, status) values ('00000000-0000-0000-0000-0000000000b1', '254700000001', 1, 'confirmed') $$,
+  '42501', null,
+  'customers can''t record payments'
+);
+
+reset role;
+select * from finish();
+rollback;